@@ -0,0 +1,343 @@
+/**
+ * TEMP MAIL CLIENT
+ * JavaScript client for the temporary email server, for Node 18+ and browsers
+ *
+ *   const client = new TempMailClient({ baseUrl: 'http://localhost:3000' });
+ *   const inbox = await client.createInbox();
+ *   const email = await inbox.waitForMessage({ subject: 'Verify' });
+ *
+ * Live events use Socket.IO: the global io() in browsers (load
+ * /socket.io/socket.io.js first), the socket.io-client package in Node.
+ * The server serves this file at /client/temp-mail.js.
+ */
+
+// Events the server relays to subscribed inboxes
+const INBOX_EVENTS = [
+    'new-email',
+    'email-read',
+    'email-unread',
+    'email-deleted',
+    'emails-cleared',
+    'email-sent',
+    'emails-expired',
+    'address-extended',
+    'address-expired'
+];
+
+class TempMailError extends Error {
+    constructor(message, status, body) {
+        super(message);
+        this.name = 'TempMailError';
+        this.status = status; // HTTP status, 0 when the request never got an answer
+        this.body = body;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================
+// CLIENT
+// ============================================
+class TempMailClient {
+    // options: baseUrl (defaults to the current origin in browsers),
+    // fetch (defaults to the global fetch), io (Socket.IO client factory)
+    constructor(options = {}) {
+        this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+        if (!this.baseUrl && !globalThis.location) {
+            throw new TempMailError('baseUrl is required outside the browser', 0, null);
+        }
+        this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+        this.io = options.io || null;
+        this.socket = null;
+        this.subscriptions = new Map(); // address -> { token, listeners: Set }
+    }
+
+    // JSON request against the API; failures throw TempMailError
+    async request(path, { method = 'GET', token, query, body } = {}) {
+        const url = new URL(`${this.baseUrl}${path}`, this.baseUrl ? undefined : globalThis.location.href);
+        Object.entries(query || {}).forEach(([name, value]) => {
+            if (value !== undefined && value !== null) url.searchParams.set(name, String(value));
+        });
+
+        const headers = {};
+        if (token) headers['X-Inbox-Token'] = token;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        let response;
+        try {
+            response = await this.fetch(url.toString(), {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new TempMailError(`Request to ${url.pathname} failed: ${error.message}`, 0, null);
+        }
+
+        const type = response.headers.get('content-type') || '';
+        const data = type.includes('application/json') ? await response.json() : await response.text();
+
+        if (!response.ok || (data && data.success === false)) {
+            const message = (data && data.error) || `${method} ${url.pathname} failed with status ${response.status}`;
+            throw new TempMailError(message, response.status, data);
+        }
+        return data;
+    }
+
+    // New address; options: username, domain, ttl (seconds), type ('public' or 'local')
+    async createInbox(options = {}) {
+        const data = await this.request('/api/email/generate', { query: options });
+        return new Inbox(this, data.email, data.token, data);
+    }
+
+    // Handle for an address created earlier
+    inbox(address, token) {
+        return new Inbox(this, address, token);
+    }
+
+    info() {
+        return this.request('/api/info');
+    }
+
+    // ============================================
+    // SOCKET.IO
+    // ============================================
+    connect() {
+        if (this.socket) return this.socket;
+
+        const io = this.io || globalThis.io || TempMailClient.loadSocketIo();
+        this.socket = io(this.baseUrl || undefined, { transports: ['websocket', 'polling'] });
+
+        // Rooms are per connection, so subscribe again after a reconnect (the
+        // first connect sends what subscribe() queued while connecting)
+        let connectedBefore = false;
+        this.socket.on('connect', () => {
+            if (!connectedBefore) {
+                connectedBefore = true;
+                return;
+            }
+            this.subscriptions.forEach(({ token }, address) => {
+                this.socket.emit('subscribe', { address, token });
+            });
+        });
+
+        INBOX_EVENTS.forEach(event => {
+            this.socket.on(event, payload => {
+                const subscription = this.subscriptions.get(payload && payload.recipient);
+                if (!subscription) return;
+                subscription.listeners.forEach(listener => {
+                    if (listener.event === event) listener.callback(payload);
+                });
+            });
+        });
+
+        return this.socket;
+    }
+
+    static loadSocketIo() {
+        if (typeof require !== 'function') {
+            throw new TempMailError('Socket.IO client not found, load /socket.io/socket.io.js first', 0, null);
+        }
+        try {
+            return require('socket.io-client');
+        } catch (error) {
+            throw new TempMailError('Install socket.io-client to receive live events in Node', 0, null);
+        }
+    }
+
+    // Resolves once the server accepted the inbox token
+    subscribe(address, token, event, callback) {
+        if (!INBOX_EVENTS.includes(event)) {
+            return Promise.reject(new TempMailError(`Unknown event "${event}"`, 0, null));
+        }
+
+        const socket = this.connect();
+        let subscription = this.subscriptions.get(address);
+        const listener = { event, callback };
+        const unsubscribe = () => this.unsubscribe(address, listener);
+
+        if (subscription) {
+            subscription.listeners.add(listener);
+            return Promise.resolve(unsubscribe);
+        }
+
+        subscription = { token, listeners: new Set([listener]) };
+        this.subscriptions.set(address, subscription);
+
+        return new Promise((resolve, reject) => {
+            socket.emit('subscribe', { address, token }, reply => {
+                if (reply && reply.success) return resolve(unsubscribe);
+
+                this.subscriptions.delete(address);
+                reject(new TempMailError((reply && reply.error) || 'Subscription rejected', 403, reply));
+            });
+        });
+    }
+
+    unsubscribe(address, listener) {
+        const subscription = this.subscriptions.get(address);
+        if (!subscription) return;
+
+        subscription.listeners.delete(listener);
+        if (subscription.listeners.size === 0) {
+            this.subscriptions.delete(address);
+            if (this.socket) this.socket.emit('unsubscribe', { address });
+        }
+    }
+
+    // Drop the Socket.IO connection; HTTP calls keep working
+    close() {
+        this.subscriptions.clear();
+        if (this.socket) {
+            this.socket.disconnect();
+            this.socket = null;
+        }
+    }
+}
+
+// ============================================
+// INBOX
+// ============================================
+class Inbox {
+    constructor(client, address, token, details = {}) {
+        this.client = client;
+        this.address = address;
+        this.token = token;
+        this.expiresAt = details.expiresAt || null;
+        this.details = details;
+    }
+
+    path(suffix = '') {
+        return `/api/email/${encodeURIComponent(this.address)}${suffix}`;
+    }
+
+    request(suffix, options = {}) {
+        return this.client.request(this.path(suffix), { ...options, token: this.token });
+    }
+
+    // One page of messages, newest first; query: folder, from, subject, q,
+    // after, before, read, hasAttachments, limit, cursor
+    async page(query = {}) {
+        const data = await this.request('', { query });
+        this.expiresAt = data.expiresAt;
+        return { emails: data.emails, total: data.total, nextCursor: data.nextCursor };
+    }
+
+    async list(query = {}) {
+        return (await this.page(query)).emails;
+    }
+
+    async get(id) {
+        return (await this.request(`/${encodeURIComponent(id)}`)).email;
+    }
+
+    // Raw RFC 822 source as text
+    async raw(id) {
+        return this.request(`/${encodeURIComponent(id)}/raw`);
+    }
+
+    // { links, codes } found in the message
+    async links(id) {
+        const data = await this.request(`/${encodeURIComponent(id)}/links`);
+        return { links: data.links, codes: data.codes };
+    }
+
+    async markAsRead(id) {
+        await this.request(`/${encodeURIComponent(id)}/read`, { method: 'POST' });
+    }
+
+    async delete(id) {
+        await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+
+    async clear() {
+        await this.request('', { method: 'DELETE' });
+    }
+
+    // options: ttl (seconds) or permanent: true
+    async extend(options = {}) {
+        const data = await this.request('/extend', { method: 'POST', body: options });
+        this.expiresAt = data.expiresAt;
+        return this.expiresAt;
+    }
+
+    // First message matching the filter, waiting for it if needed.
+    // filter: subject, from (substrings), since (date); RegExp values or a
+    // "match" predicate are checked here by polling instead of on the server.
+    // options: timeout (ms, default 30000), interval (ms between polls)
+    async waitForMessage(filter = {}, options = {}) {
+        const { timeout = 30000, interval = 1000 } = options;
+        const deadline = Date.now() + timeout;
+        const local = typeof filter.match === 'function' ||
+            Object.values(filter).some(value => value instanceof RegExp);
+
+        while (true) {
+            const remaining = deadline - Date.now();
+
+            if (local) {
+                const email = (await this.list()).find(item => Inbox.matches(item, filter));
+                if (email) return email;
+            } else {
+                try {
+                    const data = await this.request('/wait', {
+                        query: {
+                            subject: filter.subject,
+                            from: filter.from,
+                            since: filter.since instanceof Date ? filter.since.toISOString() : filter.since,
+                            timeout: Math.max(remaining, 0) / 1000
+                        }
+                    });
+                    return data.email;
+                } catch (error) {
+                    // The server caps one wait at MAX_WAIT_SECONDS; keep asking until our own timeout
+                    if (error.status !== 408) throw error;
+                }
+            }
+
+            if (Date.now() >= deadline) {
+                throw new TempMailError(`No message matching ${Inbox.describe(filter)} in ${this.address} within ${timeout} ms`, 408, null);
+            }
+            if (local) await sleep(Math.min(interval, Math.max(deadline - Date.now(), 0)));
+        }
+    }
+
+    static matches(email, filter) {
+        const test = (pattern, value) => {
+            if (pattern === undefined || pattern === null) return true;
+            if (pattern instanceof RegExp) return pattern.test(String(value || ''));
+            return String(value || '').toLowerCase().includes(String(pattern).toLowerCase());
+        };
+
+        return test(filter.subject, email.subject) &&
+            test(filter.from, email.from) &&
+            (!filter.since || new Date(email.date) > new Date(filter.since)) &&
+            (typeof filter.match !== 'function' || !!filter.match(email));
+    }
+
+    static describe(filter) {
+        const parts = Object.entries(filter)
+            .filter(([name]) => name !== 'match')
+            .map(([name, value]) => `${name}=${value}`);
+        if (typeof filter.match === 'function') parts.push('match()');
+        return parts.length > 0 ? parts.join(', ') : 'any message';
+    }
+
+    // Live events for this inbox; resolves to an unsubscribe function
+    on(event, callback) {
+        return this.client.subscribe(this.address, this.token, event, callback);
+    }
+
+    onMessage(callback) {
+        return this.on('new-email', payload => callback(payload.email));
+    }
+}
+
+// Export for modules (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TempMailClient,
+        Inbox,
+        TempMailError,
+        INBOX_EVENTS
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * TEST HELPERS
+ * Temporary inboxes for Jest, Mocha and Playwright suites (Node only)
+ *
+ * Jest / Mocha, one inbox per file (each: true for one per test):
+ *
+ *   const mail = useInbox({ baseUrl: 'http://localhost:3000' });
+ *   it('sends a code', async () => {
+ *       await signUp(mail.address);
+ *       const email = await mail.waitForMessage({ subject: 'Your code' });
+ *   });
+ *
+ * Playwright:
+ *
+ *   const test = base.extend({ inbox: inboxFixture({ baseUrl }) });
+ *   test('signup', async ({ page, inbox }) => { ... });
+ *
+ * The base URL defaults to the TEMP_MAIL_URL environment variable, read when
+ * the first inbox is created, so a global setup may still set it.
+ */
+
+const { TempMailClient } = require('./temp-mail');
+
+function clientFor(options = {}) {
+    if (options.client) return options.client;
+    return new TempMailClient({ baseUrl: options.baseUrl || process.env.TEMP_MAIL_URL });
+}
+
+// Mail is cleared on the way out so the address can expire on its own;
+// a server that already went away is not an error during teardown
+async function disposeInbox(inbox) {
+    try {
+        await inbox.clear();
+    } catch (error) {
+        if (error.status !== 0 && error.status !== 403) throw error;
+    }
+}
+
+// Create an inbox, run fn(inbox), clean up whatever happens
+async function withInbox(options, fn) {
+    if (typeof options === 'function') {
+        fn = options;
+        options = {};
+    }
+
+    const client = clientFor(options);
+    const inbox = await client.createInbox(options.inbox);
+    try {
+        return await fn(inbox);
+    } finally {
+        await disposeInbox(inbox);
+        if (!options.client) client.close();
+    }
+}
+
+// Registers setup and teardown hooks with the running framework (Jest's
+// beforeAll/afterAll or Mocha's before/after) and returns a handle that
+// reaches the current inbox once the hooks have run
+function useInbox(options = {}) {
+    const hooks = options.each
+        ? { setup: global.beforeEach, teardown: global.afterEach }
+        : { setup: global.beforeAll || global.before, teardown: global.afterAll || global.after };
+
+    if (typeof hooks.setup !== 'function' || typeof hooks.teardown !== 'function') {
+        throw new Error('useInbox() needs Jest or Mocha hooks; use withInbox() elsewhere');
+    }
+
+    let client = null;
+    let current = null;
+
+    hooks.setup(async () => {
+        client = client || clientFor(options);
+        current = await client.createInbox(options.inbox);
+    });
+
+    hooks.teardown(async () => {
+        if (current) await disposeInbox(current);
+        current = null;
+        if (!options.each && !options.client && client) {
+            client.close();
+            client = null;
+        }
+    });
+
+    const inbox = () => {
+        if (!current) throw new Error('The inbox is created in a before hook; use it inside tests');
+        return current;
+    };
+
+    return {
+        get client() { return client; },
+        get inbox() { return inbox(); },
+        get address() { return inbox().address; },
+        get token() { return inbox().token; },
+        waitForMessage: (filter, waitOptions) => inbox().waitForMessage(filter, waitOptions),
+        list: query => inbox().list(query),
+        clear: () => inbox().clear()
+    };
+}
+
+// Playwright fixture: a fresh inbox per test. Playwright reads the fixture's
+// parameters, so the first one has to stay an (empty) object pattern
+function inboxFixture(options = {}) {
+    return async ({}, use) => {
+        await withInbox(options, use);
+    };
+}
+
+module.exports = {
+    withInbox,
+    useInbox,
+    inboxFixture
+};
@@ -0,0 +1,152 @@
+/**
+ * MAILBOX ARCHIVES
+ * Packs messages into mbox (mboxrd) or ZIP-of-.eml archives and unpacks them again
+ *
+ * Packing takes [{ source, from, date, name }] where source is the raw
+ * RFC 822 message as a Buffer. Unpacking returns [{ name, size, source }] in
+ * archive order; mbox sources come back with CRLF line endings.
+ *
+ * ZIP entries are only inflated within the limits given to unpack():
+ * maxMessageSize (larger entries come back with source null), maxTotalSize
+ * (all .eml entries together) and MAX_ZIP_ENTRIES. A limit of 0 disables it.
+ */
+
+const AdmZip = require('adm-zip');
+
+const FORMATS = ['mbox', 'zip', 'eml'];
+const MAX_ZIP_ENTRIES = 10000;
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function archiveError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// asctime() style date used on mbox "From " lines: "Mon Oct 19 19:00:45 2026"
+function formatAsctime(date) {
+    const value = new Date(date);
+    const time = isNaN(value.getTime()) ? new Date() : value;
+    const pad = number => String(number).padStart(2, '0');
+
+    return `${DAYS[time.getUTCDay()]} ${MONTHS[time.getUTCMonth()]} ${String(time.getUTCDate()).padStart(2, ' ')} ` +
+        `${pad(time.getUTCHours())}:${pad(time.getUTCMinutes())}:${pad(time.getUTCSeconds())} ${time.getUTCFullYear()}`;
+}
+
+// ============================================
+// MBOX
+// ============================================
+
+// mboxrd: lines matching /^>*From / get one more ">" so they survive a round trip
+function toMbox(messages) {
+    const parts = messages.map(({ source, from, date }) => {
+        const sender = String(from || 'MAILER-DAEMON').replace(/\s+/g, '') || 'MAILER-DAEMON';
+        let body = source.toString('binary')
+            .replace(/\r\n/g, '\n')
+            .replace(/^(>*From )/gm, '>$1');
+        if (!body.endsWith('\n')) body += '\n';
+
+        return `From ${sender} ${formatAsctime(date)}\n${body}\n`;
+    });
+
+    return Buffer.from(parts.join(''), 'binary');
+}
+
+function parseMbox(buffer) {
+    const text = buffer.toString('binary').replace(/\r\n/g, '\n');
+    if (!text.startsWith('From ')) {
+        throw archiveError('Not an mbox file: expected a "From " line first');
+    }
+
+    return text.split(/\n(?=From )/).map((chunk, index) => {
+        const body = chunk.slice(chunk.indexOf('\n') + 1)
+            .replace(/\n*$/, '\n')
+            .replace(/^>(>*From )/gm, '$1');
+
+        const source = Buffer.from(body.replace(/\n/g, '\r\n'), 'binary');
+        return { name: `message ${index + 1}`, size: source.length, source };
+    });
+}
+
+// ============================================
+// ZIP OF .EML FILES
+// ============================================
+function toZip(messages) {
+    const zip = new AdmZip();
+    messages.forEach(({ source, name }) => zip.addFile(name, source));
+    return zip.toBuffer();
+}
+
+// Every .eml entry, by name; other files are ignored. Sizes come from the
+// central directory, and adm-zip never inflates an entry past its declared
+// size, so they bound the memory used before anything is decompressed
+function readZip(buffer, { maxMessageSize = 0, maxTotalSize = 0 } = {}) {
+    let entries;
+    try {
+        entries = new AdmZip(buffer).getEntries();
+    } catch (error) {
+        throw archiveError(`Invalid ZIP archive: ${error.message}`);
+    }
+
+    if (entries.length > MAX_ZIP_ENTRIES) {
+        throw archiveError(`ZIP archive has more than ${MAX_ZIP_ENTRIES} entries`);
+    }
+
+    const messages = entries
+        .filter(entry => !entry.isDirectory && /\.eml$/i.test(entry.entryName))
+        .sort((a, b) => a.entryName.localeCompare(b.entryName));
+    const fits = entry => !maxMessageSize || entry.header.size <= maxMessageSize;
+
+    const total = messages.filter(fits).reduce((sum, entry) => sum + entry.header.size, 0);
+    if (maxTotalSize && total > maxTotalSize) {
+        throw archiveError(`ZIP archive expands to ${total} bytes, more than the limit of ${maxTotalSize}`);
+    }
+
+    return messages.map(entry => ({
+        name: entry.entryName,
+        size: entry.header.size,
+        source: fits(entry) ? inflate(entry) : null
+    }));
+}
+
+function inflate(entry) {
+    try {
+        return entry.getData();
+    } catch (error) {
+        throw archiveError(`Cannot extract ${entry.entryName}: ${error.message}`);
+    }
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+// Guess from the first bytes: ZIP magic, an mbox "From " line, or a single message
+function detectFormat(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'zip';
+    if (buffer.toString('binary', 0, 5) === 'From ') return 'mbox';
+    return 'eml';
+}
+
+function unpack(buffer, format = detectFormat(buffer), limits = {}) {
+    if (!FORMATS.includes(format)) {
+        throw archiveError(`Unknown import format "${format}", expected ${FORMATS.join(', ')}`);
+    }
+    if (!buffer || buffer.length === 0) {
+        throw archiveError('Nothing to import, the request body is empty');
+    }
+
+    if (format === 'zip') return readZip(buffer, limits);
+    if (format === 'mbox') return parseMbox(buffer);
+    return [{ name: 'message 1', size: buffer.length, source: buffer }];
+}
+
+module.exports = {
+    FORMATS,
+    toMbox,
+    toZip,
+    detectFormat,
+    unpack
+};
@@ -0,0 +1,119 @@
+/**
+ * DOMAIN DIAGNOSTICS
+ * Describes the DNS records a custom domain needs to receive mail here
+ * and checks whether they are published
+ *
+ * Wildcard domains ("*.example.com") accept mail for any subdomain; they are
+ * checked by resolving a random label under the base domain.
+ */
+
+const crypto = require('crypto');
+const { Resolver } = require('dns').promises;
+
+function isWildcard(domain) {
+    return domain.startsWith('*.');
+}
+
+function baseDomain(domain) {
+    return isWildcard(domain) ? domain.slice(2) : domain;
+}
+
+function normalizeHost(host) {
+    return String(host || '').trim().toLowerCase().replace(/\.$/, '');
+}
+
+// "servers" is a list such as ['127.0.0.1:5353']; empty uses the system resolver
+function createResolver({ servers = [], timeout = 3000 } = {}) {
+    const resolver = new Resolver({ timeout, tries: 2 });
+    if (servers.length > 0) {
+        resolver.setServers(servers);
+    }
+    return resolver;
+}
+
+// Records to publish: the domain's MX points at mxHost, and mxHost has
+// an A record for the server's public IP
+function requiredRecords(domain, { mxHost, publicIP } = {}) {
+    const target = normalizeHost(mxHost || baseDomain(domain));
+
+    return [
+        { type: 'MX', name: domain, value: `10 ${target}` },
+        { type: 'A', name: target, value: publicIP || '<public IP>' }
+    ];
+}
+
+// Resolve one record type; NXDOMAIN / NODATA become an empty list
+async function lookup(resolver, method, name) {
+    try {
+        return { records: await resolver[method](name) };
+    } catch (error) {
+        if (['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+            return { records: [] };
+        }
+        return { records: [], error: error.code || error.message };
+    }
+}
+
+async function checkDomain(domain, { resolver, mxHost, publicIP } = {}) {
+    resolver = resolver || createResolver();
+    const target = normalizeHost(mxHost || baseDomain(domain));
+    const queryName = isWildcard(domain)
+        ? `${crypto.randomBytes(4).toString('hex')}.${baseDomain(domain)}`
+        : domain;
+
+    const mx = await lookup(resolver, 'resolveMx', queryName);
+    const exchanges = mx.records
+        .sort((a, b) => a.priority - b.priority)
+        .map(record => normalizeHost(record.exchange));
+
+    const a = await lookup(resolver, 'resolve4', target);
+
+    const checks = [
+        {
+            type: 'MX',
+            name: queryName,
+            expected: target,
+            found: exchanges,
+            ok: exchanges.includes(target),
+            error: mx.error
+        },
+        {
+            type: 'A',
+            name: target,
+            expected: publicIP || null,
+            found: a.records,
+            ok: publicIP ? a.records.includes(publicIP) : a.records.length > 0,
+            error: a.error
+        }
+    ];
+
+    return {
+        domain,
+        wildcard: isWildcard(domain),
+        records: requiredRecords(domain, { mxHost, publicIP }),
+        checks,
+        ok: checks.every(check => check.ok)
+    };
+}
+
+// Zone file lines for the required records of every domain
+function formatZone(domains, options = {}) {
+    const lines = [];
+    domains.forEach(domain => {
+        requiredRecords(domain, options).forEach(record => {
+            const value = record.type === 'MX' ? `${record.value}.` : record.value;
+            const line = `${record.name}.\t3600\tIN\t${record.type}\t${value}`;
+            if (!lines.includes(line)) lines.push(line);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    isWildcard,
+    baseDomain,
+    createResolver,
+    requiredRecords,
+    checkDomain,
+    formatZone
+};
@@ -0,0 +1,114 @@
+/**
+ * LINK AND CODE EXTRACTION
+ * Pulls URLs and likely one-time codes out of received emails
+ */
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+const HREF_PATTERN = /href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+const CODE_KEYWORDS = /\b(?:code|otp|pin|passcode|password|verification|verify|token|confirm(?:ation)?)\b/i;
+const CODE_PATTERN = /\b(\d{3}[- ]\d{3}|(?=[A-Z0-9]*\d)[A-Z0-9]{4,8})\b/g;
+
+function decodeEntities(value) {
+    return value
+        .replace(/&amp;/gi, '&')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;|&apos;/gi, "'")
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>');
+}
+
+// Trailing punctuation and unbalanced brackets are sentence context, not URL
+function trimUrl(url) {
+    let trimmed = url.replace(/[.,;:!?]+$/, '');
+    while (/[)\]]$/.test(trimmed)) {
+        const open = trimmed.endsWith(')') ? '(' : '[';
+        const close = trimmed.slice(-1);
+        if (trimmed.split(open).length >= trimmed.split(close).length) break;
+        trimmed = trimmed.slice(0, -1);
+    }
+    return trimmed;
+}
+
+function htmlToText(html) {
+    return decodeEntities(String(html || '')
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '));
+}
+
+// Normalized http(s) URL, or null. Links end up in href attributes of the
+// dashboard, so anything carrying quotes, brackets or whitespace is dropped
+function normalizeUrl(value) {
+    if (/["'`<>\s]/.test(value)) return null;
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (/["'`<>\s]/.test(url.href)) return null;
+    return url.href;
+}
+
+// All http(s) links from the text body, html hrefs and html text, in order of appearance
+function extractLinks(text, html) {
+    const links = [];
+    const add = (url) => {
+        const cleaned = normalizeUrl(trimUrl(decodeEntities(url.trim())));
+        if (cleaned && !links.includes(cleaned)) {
+            links.push(cleaned);
+        }
+    };
+
+    let match;
+    while ((match = HREF_PATTERN.exec(html || '')) !== null) {
+        add(match[1] || match[2] || match[3] || '');
+    }
+
+    [String(text || ''), htmlToText(html)].forEach(source => {
+        (source.match(URL_PATTERN) || []).forEach(add);
+    });
+
+    return links;
+}
+
+// Likely one-time codes: tokens near a keyword such as "code" or "OTP",
+// or a 4-8 digit number standing alone on its own line
+function extractCodes(subject, text, html) {
+    const codes = [];
+    const add = (code) => {
+        const normalized = code.replace(/[- ]/g, '');
+        if (!codes.includes(normalized)) codes.push(normalized);
+    };
+
+    const body = [subject, text || htmlToText(html)]
+        .map(part => String(part || '').replace(URL_PATTERN, ' '))
+        .join('\n');
+
+    body.split(/\n/).forEach(line => {
+        const keyword = CODE_KEYWORDS.exec(line);
+
+        if (keyword) {
+            const after = line.slice(keyword.index + keyword[0].length, keyword.index + keyword[0].length + 60);
+            let match;
+            CODE_PATTERN.lastIndex = 0;
+            while ((match = CODE_PATTERN.exec(after)) !== null) {
+                add(match[1]);
+            }
+        }
+
+        const standalone = /^\s*(\d{4,8}|\d{3}[- ]\d{3})\s*$/.exec(line);
+        if (standalone) {
+            add(standalone[1]);
+        }
+    });
+
+    return codes;
+}
+
+module.exports = {
+    extractLinks,
+    extractCodes
+};
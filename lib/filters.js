@@ -0,0 +1,292 @@
+/**
+ * CONTENT FILTERS
+ * Scores received mail with a pipeline of rules and maps the total to an action
+ *
+ * A rule is a function (message) -> { score, reason } | null, sync or async.
+ * "message" carries from, recipients, subject, text, html, headers, links,
+ * authResults and remoteAddress. Register extra rules with pipeline.use().
+ *
+ * Actions by total score: accept < tag <= quarantine <= reject. Blocked
+ * senders are rejected before any rule runs, whatever the rules would score.
+ */
+
+const net = require('net');
+
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly'];
+
+// ============================================
+// NAIVE BAYES
+// ============================================
+
+// Word-level naive Bayes with Laplace smoothing; trained through the admin API.
+// Token counts have no prototype, so words like "constructor" are plain keys
+class NaiveBayes {
+    constructor(state = {}) {
+        const tokens = state.tokens || {};
+        this.docs = { spam: 0, ham: 0, ...(state.docs || {}) };
+        this.tokens = {
+            spam: Object.assign(Object.create(null), tokens.spam),
+            ham: Object.assign(Object.create(null), tokens.ham)
+        };
+        this.totals = { spam: 0, ham: 0, ...(state.totals || {}) };
+    }
+
+    static tokenize(text) {
+        const words = String(text || '').toLowerCase().match(/[a-z0-9$€£][a-z0-9'$€£-]{2,24}/g) || [];
+        return Array.from(new Set(words));
+    }
+
+    train(text, label) {
+        if (!['spam', 'ham'].includes(label)) {
+            const error = new Error('label must be "spam" or "ham"');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        this.docs[label]++;
+        NaiveBayes.tokenize(text).forEach(token => {
+            this.tokens[label][token] = (this.tokens[label][token] || 0) + 1;
+            this.totals[label]++;
+        });
+    }
+
+    // Needs a few examples of each class before it says anything
+    isReady() {
+        return this.docs.spam >= 5 && this.docs.ham >= 5;
+    }
+
+    // Probability (0..1) that the text is spam
+    classify(text) {
+        const vocabulary = new Set([
+            ...Object.keys(this.tokens.spam),
+            ...Object.keys(this.tokens.ham)
+        ]).size || 1;
+        const totalDocs = this.docs.spam + this.docs.ham;
+
+        let logSpam = Math.log(this.docs.spam / totalDocs);
+        let logHam = Math.log(this.docs.ham / totalDocs);
+
+        NaiveBayes.tokenize(text).forEach(token => {
+            logSpam += Math.log(((this.tokens.spam[token] || 0) + 1) / (this.totals.spam + vocabulary));
+            logHam += Math.log(((this.tokens.ham[token] || 0) + 1) / (this.totals.ham + vocabulary));
+        });
+
+        return 1 / (1 + Math.exp(logHam - logSpam));
+    }
+
+    toJSON() {
+        return { docs: this.docs, tokens: this.tokens, totals: this.totals };
+    }
+}
+
+// ============================================
+// BUILT-IN RULES
+// ============================================
+function headerSanity(message) {
+    const headers = message.headers || {};
+    const problems = [];
+    let score = 0;
+
+    if (!headers.from) { score += 2; problems.push('no From header'); }
+    if (!headers.date) { score += 1; problems.push('no Date header'); }
+    if (!headers['message-id']) { score += 1.5; problems.push('no Message-ID header'); }
+
+    const subject = String(message.subject || '');
+    if (subject.length > 10 && subject === subject.toUpperCase() && /[A-Z]/.test(subject)) {
+        score += 1;
+        problems.push('subject in capitals');
+    }
+
+    return score > 0 ? { score, reason: problems.join(', ') } : null;
+}
+
+function suspiciousLinks(message) {
+    const links = message.links || [];
+    const problems = [];
+    let score = 0;
+
+    const hosts = links.map(link => {
+        try {
+            return new URL(link).hostname.toLowerCase();
+        } catch (error) {
+            return '';
+        }
+    });
+
+    const ipLinks = hosts.filter(host => net.isIP(host.replace(/^\[|\]$/g, ''))).length;
+    if (ipLinks > 0) { score += 2; problems.push(`${ipLinks} links to raw IP addresses`); }
+
+    const shortened = hosts.filter(host => URL_SHORTENERS.includes(host)).length;
+    if (shortened > 0) { score += 1; problems.push(`${shortened} shortened links`); }
+
+    if (links.length > 25) { score += 1; problems.push(`${links.length} links`); }
+
+    return score > 0 ? { score, reason: problems.join(', ') } : null;
+}
+
+function authenticationFailures(message) {
+    const results = message.authResults;
+    if (!results) return null;
+
+    const problems = [];
+    let score = 0;
+
+    if (results.dmarc && results.dmarc.result === 'fail') { score += 3; problems.push('DMARC fail'); }
+    if (results.spf && results.spf.result === 'fail') { score += 1.5; problems.push('SPF fail'); }
+    if (results.dkim && results.dkim.result === 'fail') { score += 1.5; problems.push('DKIM fail'); }
+
+    return score > 0 ? { score, reason: problems.join(', ') } : null;
+}
+
+// ============================================
+// PIPELINE
+// ============================================
+class FilterPipeline {
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.thresholds = {
+            tag: options.tagScore ?? 5,
+            quarantine: options.quarantineScore ?? 8,
+            reject: options.rejectScore ?? 15
+        };
+        this.blockedSenders = new Set();
+        this.bayes = new NaiveBayes();
+        this.rules = [];
+
+        this.use('header-sanity', headerSanity);
+        this.use('suspicious-links', suspiciousLinks);
+        this.use('authentication', authenticationFailures);
+        this.use('bayes', message => this.checkBayes(message));
+    }
+
+    load(state = {}) {
+        (state.blockedSenders || []).forEach(sender => this.blockedSenders.add(sender));
+        this.bayes = new NaiveBayes(state.bayes);
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        this.storage.saveMeta('filters', {
+            blockedSenders: Array.from(this.blockedSenders),
+            bayes: this.bayes.toJSON()
+        }).catch(error => {
+            console.error('Error saving filters:', error.message);
+        });
+    }
+
+    // Register a rule; later rules see the same message, scores add up
+    use(name, rule) {
+        this.rules.push({ name, rule });
+        return this;
+    }
+
+    actionFor(score) {
+        if (score >= this.thresholds.reject) return 'reject';
+        if (score >= this.thresholds.quarantine) return 'quarantine';
+        if (score >= this.thresholds.tag) return 'tag';
+        return 'accept';
+    }
+
+    // -> { score, action, reasons: [{ rule, score, reason }] }
+    async evaluate(message) {
+        const blocked = this.checkBlockedSender(message);
+        if (blocked) {
+            return { score: blocked.score, action: 'reject', reasons: [{ rule: 'blocked-sender', ...blocked }] };
+        }
+
+        const reasons = [];
+
+        for (const { name, rule } of this.rules) {
+            try {
+                const result = await rule(message);
+                if (result && result.score) {
+                    reasons.push({ rule: name, score: result.score, reason: result.reason || '' });
+                }
+            } catch (error) {
+                console.error(`Filter rule ${name} failed:`, error.message);
+            }
+        }
+
+        const score = Math.round(reasons.reduce((sum, entry) => sum + entry.score, 0) * 10) / 10;
+        return { score, action: this.actionFor(score), reasons };
+    }
+
+    // ============================================
+    // BLOCKED SENDERS
+    // ============================================
+
+    // Entries are full addresses or bare domains
+    checkBlockedSender(message) {
+        const sender = String(message.from || '').toLowerCase();
+        const domain = sender.split('@').pop();
+
+        if (this.blockedSenders.has(sender) || this.blockedSenders.has(domain)) {
+            return { score: this.thresholds.reject, reason: `blocked sender ${sender}` };
+        }
+        return null;
+    }
+
+    blockSender(sender) {
+        sender = String(sender || '').trim().toLowerCase();
+        if (!/^([^@\s]+@)?[^@\s]+\.[^@\s]+$/.test(sender)) {
+            const error = new Error('sender must be an email address or domain');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        this.blockedSenders.add(sender);
+        this.save();
+        return sender;
+    }
+
+    unblockSender(sender) {
+        const removed = this.blockedSenders.delete(String(sender || '').toLowerCase());
+        if (removed) this.save();
+        return removed;
+    }
+
+    // ============================================
+    // BAYES
+    // ============================================
+    static textOf(message) {
+        return `${message.subject || ''}\n${message.text || ''}`;
+    }
+
+    // Spam probability above 0.5 adds up to +6, below subtracts up to -3
+    checkBayes(message) {
+        if (!this.bayes.isReady()) return null;
+
+        const probability = this.bayes.classify(FilterPipeline.textOf(message));
+        const score = probability >= 0.5 ? (probability - 0.5) * 12 : (probability - 0.5) * 6;
+        if (Math.abs(score) < 0.5) return null;
+
+        return {
+            score: Math.round(score * 10) / 10,
+            reason: `bayes spam probability ${probability.toFixed(2)}`
+        };
+    }
+
+    train(message, label) {
+        this.bayes.train(FilterPipeline.textOf(message), label);
+        this.save();
+    }
+
+    getStatus() {
+        return {
+            thresholds: this.thresholds,
+            rules: this.rules.map(({ name }) => name),
+            blockedSenders: Array.from(this.blockedSenders),
+            bayes: {
+                ready: this.bayes.isReady(),
+                spam: this.bayes.docs.spam,
+                ham: this.bayes.docs.ham
+            }
+        };
+    }
+}
+
+module.exports = {
+    FilterPipeline,
+    NaiveBayes
+};
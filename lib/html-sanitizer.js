@@ -0,0 +1,104 @@
+/**
+ * HTML EMAIL SANITIZER
+ * Turns a received HTML body into a standalone, script-free document
+ * for display inside a sandboxed iframe
+ */
+
+const sanitizeHtml = require('sanitize-html');
+
+const ALLOWED_TAGS = sanitizeHtml.defaults.allowedTags.concat([
+    'img', 'center', 'font', 'span', 'style'
+]);
+
+const COMMON_ATTRIBUTES = [
+    'style', 'class', 'align', 'valign', 'width', 'height', 'bgcolor',
+    'border', 'cellpadding', 'cellspacing', 'colspan', 'rowspan', 'dir', 'title'
+];
+
+const BASE_STYLES = `
+    body { margin: 16px; font-family: -apple-system, 'Segoe UI', Tahoma, sans-serif;
+           color: #1a1a2e; background: #ffffff; word-wrap: break-word; }
+    img { max-width: 100%; height: auto; }
+    img[data-blocked] { display: inline-block; min-width: 16px; min-height: 16px;
+                        background: #edf2f7; border: 1px dashed #a0aec0; }
+`;
+
+const REMOTE_URL = /^(https?:)?\/\//i;
+
+// Content-Security-Policy for the rendered document: no scripts, no forms,
+// and remote resources only when explicitly requested
+function contentSecurityPolicy({ allowRemote = false } = {}) {
+    const remote = allowRemote ? ' https: http:' : '';
+
+    return [
+        "default-src 'none'",
+        `img-src 'self' data:${remote}`,
+        `style-src 'unsafe-inline'${remote}`,
+        `font-src data:${remote}`,
+        "base-uri 'none'",
+        "form-action 'none'",
+        "frame-ancestors 'self'",
+        'sandbox allow-popups allow-popups-to-escape-sandbox'
+    ].join('; ');
+}
+
+// Options:
+//   allowRemote  keep http(s) images instead of blocking them
+//   resolveCid   function(contentId) -> URL of the stored inline attachment
+// Returns { html, blockedRemote } where html is a complete document
+function renderSafeHtml(html, { allowRemote = false, resolveCid = () => null } = {}) {
+    let blockedRemote = 0;
+
+    const body = sanitizeHtml(String(html || ''), {
+        allowedTags: ALLOWED_TAGS,
+        allowedAttributes: {
+            '*': COMMON_ATTRIBUTES,
+            a: ['href', 'name', 'target', 'rel'],
+            img: ['src', 'alt', 'width', 'height', 'data-blocked'],
+            font: ['color', 'face', 'size']
+        },
+        allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+        allowedSchemesByTag: {
+            img: ['http', 'https', 'data', 'cid']
+        },
+        allowProtocolRelative: true,
+        // <style> cannot run script and the CSP blocks remote url() loads
+        allowVulnerableTags: true,
+        nonTextTags: ['script', 'textarea', 'option', 'noscript', 'title', 'head'],
+        transformTags: {
+            a: (tagName, attribs) => ({
+                tagName,
+                attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' }
+            }),
+            img: (tagName, attribs) => {
+                const src = attribs.src || '';
+
+                if (/^cid:/i.test(src)) {
+                    const url = resolveCid(src.slice(4));
+                    return { tagName, attribs: { ...attribs, src: url || '' } };
+                }
+
+                if (REMOTE_URL.test(src) && !allowRemote) {
+                    blockedRemote++;
+                    const { src: blocked, ...rest } = attribs;
+                    return { tagName, attribs: { ...rest, 'data-blocked': 'remote' } };
+                }
+
+                return { tagName, attribs };
+            }
+        }
+    });
+
+    const document = '<!DOCTYPE html>\n' +
+        '<html><head><meta charset="utf-8">' +
+        '<meta name="referrer" content="no-referrer">' +
+        `<style>${BASE_STYLES}</style>` +
+        `</head><body>${body}</body></html>`;
+
+    return { html: document, blockedRemote };
+}
+
+module.exports = {
+    renderSafeHtml,
+    contentSecurityPolicy
+};
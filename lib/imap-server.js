@@ -0,0 +1,1231 @@
+/**
+ * IMAP SERVER
+ * Minimal IMAP4rev1 (RFC 3501) access to temporary inboxes, with IDLE (RFC 2177)
+ *
+ * LOGIN is the email address and its inbox token. INBOX and Sent map onto
+ * the address's folders. \Seen is stored on the message (markAsRead /
+ * markAsUnread); \Deleted is kept in memory until EXPUNGE or CLOSE removes
+ * the message through deleteEmail. Selected mailboxes follow EmailManager
+ * events, so an IDLE client hears about new mail as soon as it is received.
+ * Every session logged in to an address ends when the address is removed.
+ *
+ * Not supported: APPEND, COPY, CREATE/DELETE/RENAME and custom keywords.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const addressparser = require('nodemailer/lib/addressparser');
+
+const MAX_LINE_LENGTH = 64 * 1024;
+const MAX_LITERAL_SIZE = 64 * 1024;
+const MAX_COMMAND_SIZE = 256 * 1024; // One command with all of its literals
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000; // RFC 3501 minimum for the autologout timer
+const MAX_AUTH_FAILURES = 3;
+const SOURCE_CACHE_SIZE = 10;
+
+const MAILBOXES = {
+    INBOX: { folder: 'inbox', attributes: [] },
+    Sent: { folder: 'sent', attributes: ['\\Sent'] }
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Mailbox events that can change what a selected mailbox shows
+const MAILBOX_EVENTS = ['email', 'sent', 'read', 'unread', 'deleted', 'cleared', 'expired', 'removed', 'address-expired'];
+
+// ============================================
+// COMMAND PARSING
+// ============================================
+
+// Split a command line into atoms, quoted strings and parenthesized lists.
+// Atoms keep bracketed parts whole, e.g. BODY.PEEK[HEADER.FIELDS (FROM TO)]<0.512>
+function tokenize(text) {
+    let position = 0;
+
+    function parseQuoted() {
+        let value = '';
+        position++;
+        while (position < text.length) {
+            const char = text[position++];
+            if (char === '\\') {
+                value += text[position++] || '';
+            } else if (char === '"') {
+                return value;
+            } else {
+                value += char;
+            }
+        }
+        throw new Error('Unterminated quoted string');
+    }
+
+    function parseAtom() {
+        const start = position;
+        let depth = 0;
+        while (position < text.length) {
+            const char = text[position];
+            if (char === '[') depth++;
+            else if (char === ']') depth--;
+            else if (depth === 0 && (char === ' ' || char === '(' || char === ')')) break;
+            position++;
+        }
+        return text.slice(start, position);
+    }
+
+    function parseList(closing) {
+        const items = [];
+        while (position < text.length) {
+            const char = text[position];
+            if (char === ' ') {
+                position++;
+            } else if (char === ')') {
+                if (!closing) throw new Error('Unexpected )');
+                position++;
+                return items;
+            } else if (char === '(') {
+                position++;
+                items.push(parseList(true));
+            } else if (char === '"') {
+                items.push(parseQuoted());
+            } else {
+                items.push(parseAtom());
+            }
+        }
+        if (closing) throw new Error('Unterminated list');
+        return items;
+    }
+
+    return parseList(false);
+}
+
+// "1:3,7,9:*" membership; "*" is the largest value in the mailbox
+function inSequenceSet(set, value, largest) {
+    return String(set).split(',').some(range => {
+        const [from, to = from] = range.split(':').map(part => part === '*' ? largest : parseInt(part, 10));
+        return value >= Math.min(from, to) && value <= Math.max(from, to);
+    });
+}
+
+function isSequenceSet(value) {
+    return typeof value === 'string' && /^(\d+|\*)(:(\d+|\*))?(,(\d+|\*)(:(\d+|\*))?)*$/.test(value);
+}
+
+// "1-Feb-1994" -> UTC midnight timestamp
+function parseSearchDate(value) {
+    const match = /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/.exec(String(value));
+    const month = match ? MONTHS.findIndex(name => name.toLowerCase() === match[2].toLowerCase()) : -1;
+    if (month === -1) throw new Error(`Invalid date ${value}`);
+    return Date.UTC(parseInt(match[3], 10), month, parseInt(match[1], 10));
+}
+
+function dayOf(date) {
+    const value = new Date(date);
+    return Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+}
+
+// ============================================
+// RESPONSE ENCODING
+// ============================================
+
+// Strings are binary (latin1) so message bytes pass through untouched
+function literal(value) {
+    return `{${value.length}}\r\n${value}`;
+}
+
+function nstring(value) {
+    if (value === null || value === undefined) return 'NIL';
+    value = String(value);
+    if (/[\r\n\0\x80-\xff]/.test(value)) return literal(value);
+    return `"${value.replace(/[\\"]/g, match => `\\${match}`)}"`;
+}
+
+function formatInternalDate(date) {
+    const value = new Date(date);
+    const pad = number => String(number).padStart(2, '0');
+    return `${pad(value.getUTCDate())}-${MONTHS[value.getUTCMonth()]}-${value.getUTCFullYear()} ` +
+        `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())} +0000`;
+}
+
+// ============================================
+// MIME STRUCTURE
+// ============================================
+
+// Header block -> [{ name, value, raw }] with folded lines joined
+function parseHeaders(header) {
+    const fields = [];
+    header.split('\r\n').forEach(line => {
+        if (/^[ \t]/.test(line) && fields.length > 0) {
+            const field = fields[fields.length - 1];
+            field.value += ` ${line.trim()}`;
+            field.raw += `\r\n${line}`;
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            fields.push({
+                name: line.slice(0, colon).trim().toLowerCase(),
+                value: line.slice(colon + 1).trim(),
+                raw: line
+            });
+        }
+    });
+    return fields;
+}
+
+function headerValue(node, name) {
+    const field = node.headers.find(entry => entry.name === name);
+    return field ? field.value : null;
+}
+
+// "text/plain; charset=utf-8" -> { type, subtype, params }
+function parseContentType(value, fallback) {
+    const [type, subtype] = (String(value || fallback).split(';')[0].trim().toLowerCase() || fallback).split('/');
+    const params = {};
+    const pattern = /;\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;\s]*)/g;
+    let match;
+
+    while ((match = pattern.exec(String(value || ''))) !== null) {
+        params[match[1].toLowerCase()] = match[2].replace(/^"|"$/g, '').replace(/\\(.)/g, '$1');
+    }
+    return { type, subtype: subtype || 'plain', params };
+}
+
+// Body parts between boundary lines; the CRLF before a boundary belongs to it
+function splitMultipart(body, boundary) {
+    const delimiter = `\r\n--${boundary}`;
+    const text = `\r\n${body}`;
+    const parts = [];
+    let start = null;
+    let index = text.indexOf(delimiter);
+
+    while (index !== -1) {
+        if (start !== null) parts.push(text.slice(start, Math.max(index, start)));
+        if (text.startsWith('--', index + delimiter.length)) return parts;
+
+        const lineEnd = text.indexOf('\r\n', index + delimiter.length);
+        if (lineEnd === -1) return parts;
+        start = lineEnd + 2;
+        index = text.indexOf(delimiter, lineEnd);
+    }
+
+    if (start !== null) parts.push(text.slice(start));
+    return parts;
+}
+
+// Message or body part -> { header, body, headers, contentType, children, message }
+function parsePart(source, defaultType = 'text/plain') {
+    let header = source;
+    let body = '';
+
+    if (source.startsWith('\r\n')) {
+        header = '\r\n';
+        body = source.slice(2);
+    } else {
+        const split = source.indexOf('\r\n\r\n');
+        if (split !== -1) {
+            header = source.slice(0, split + 4);
+            body = source.slice(split + 4);
+        }
+    }
+
+    const node = { header, body, headers: parseHeaders(header), children: [], message: null };
+    node.contentType = parseContentType(headerValue(node, 'content-type'), defaultType);
+
+    const { type, subtype, params } = node.contentType;
+    if (type === 'multipart' && params.boundary) {
+        const childType = subtype === 'digest' ? 'message/rfc822' : 'text/plain';
+        node.children = splitMultipart(body, params.boundary).map(part => parsePart(part, childType));
+    } else if (type === 'message' && subtype === 'rfc822') {
+        node.message = parsePart(body);
+    }
+    return node;
+}
+
+function addressList(value) {
+    if (!value) return 'NIL';
+
+    const addresses = addressparser(value).flatMap(entry => entry.group || [entry]);
+    if (addresses.length === 0) return 'NIL';
+
+    return `(${addresses.map(({ name, address }) => {
+        const at = String(address || '').lastIndexOf('@');
+        const mailbox = at === -1 ? address : address.slice(0, at);
+        const host = at === -1 ? null : address.slice(at + 1);
+        return `(${nstring(name || null)} NIL ${nstring(mailbox || null)} ${nstring(host)})`;
+    }).join('')})`;
+}
+
+function envelope(node) {
+    const get = name => headerValue(node, name);
+    const from = addressList(get('from'));
+
+    return `(${[
+        nstring(get('date')),
+        nstring(get('subject')),
+        from,
+        get('sender') ? addressList(get('sender')) : from,
+        get('reply-to') ? addressList(get('reply-to')) : from,
+        addressList(get('to')),
+        addressList(get('cc')),
+        addressList(get('bcc')),
+        nstring(get('in-reply-to')),
+        nstring(get('message-id'))
+    ].join(' ')})`;
+}
+
+function lineCount(text) {
+    return (text.match(/\r\n/g) || []).length;
+}
+
+function bodyStructure(node) {
+    const { type, subtype, params } = node.contentType;
+
+    if (node.children.length > 0) {
+        return `(${node.children.map(bodyStructure).join('')} ${nstring(subtype.toUpperCase())})`;
+    }
+
+    const paramEntries = Object.entries(params).filter(([name]) => name !== 'boundary');
+    const fields = [
+        nstring(type.toUpperCase()),
+        nstring(subtype.toUpperCase()),
+        paramEntries.length > 0
+            ? `(${paramEntries.map(([name, value]) => `${nstring(name.toUpperCase())} ${nstring(value)}`).join(' ')})`
+            : 'NIL',
+        nstring(headerValue(node, 'content-id')),
+        nstring(headerValue(node, 'content-description')),
+        nstring((headerValue(node, 'content-transfer-encoding') || '7BIT').toUpperCase()),
+        node.body.length
+    ];
+
+    if (node.message) {
+        fields.push(envelope(node.message), bodyStructure(node.message), lineCount(node.body));
+    } else if (type === 'text') {
+        fields.push(lineCount(node.body));
+    }
+    return `(${fields.join(' ')})`;
+}
+
+// BODY[section] contents, e.g. "", "HEADER", "1.2", "2.MIME", "HEADER.FIELDS (FROM TO)";
+// parts that do not exist come back empty
+function sectionText(root, section) {
+    const match = /^((?:\d+\.)*\d+)?\.?(HEADER\.FIELDS\.NOT|HEADER\.FIELDS|HEADER|TEXT|MIME)?\s*(?:\((.*)\))?$/i.exec(section.trim());
+    if (!match) return '';
+
+    const [, path, specifier = '', fieldList = ''] = match;
+    let node = root;
+
+    for (const number of path ? path.split('.') : []) {
+        // A message/rfc822 part is addressed through the message it carries,
+        // and a single-part message body is its part 1
+        const container = node.message || node;
+        if (container.children.length > 0) {
+            node = container.children[parseInt(number, 10) - 1];
+        } else if (number === '1' && (container !== node || node === root)) {
+            node = container;
+        } else {
+            return '';
+        }
+        if (!node) return '';
+    }
+
+    const upper = specifier.toUpperCase();
+    if (!upper) return path ? node.body : root.header + root.body;
+    if (upper === 'MIME') return path ? node.header : '';
+
+    const message = path ? node.message : root;
+    if (!message) return '';
+    if (upper === 'TEXT') return message.body;
+    if (upper === 'HEADER') return message.header;
+
+    const names = fieldList.trim().split(/\s+/).filter(Boolean).map(name => name.toLowerCase());
+    const exclude = upper === 'HEADER.FIELDS.NOT';
+    const lines = message.headers
+        .filter(field => names.includes(field.name) !== exclude)
+        .map(field => `${field.raw}\r\n`);
+    return `${lines.join('')}\r\n`;
+}
+
+// ============================================
+// SESSION
+// ============================================
+class ImapSession {
+    constructor(server, socket) {
+        this.server = server;
+        this.socket = null;
+        this.remoteAddress = String(socket.remoteAddress || '').replace(/^::ffff:/i, '');
+        this.secure = false;
+        this.upgrading = false;
+        this.address = null;
+        this.mailbox = null; // { name, folder, readOnly }
+        this.view = []; // Selected messages in sequence order: { id, uid, flags, recent }
+        this.idleTag = null;
+        this.authFailures = 0;
+        this.sources = new Map();
+        this.buffer = '';
+        this.segments = [];
+        this.commandSize = 0;
+        this.literalSize = null;
+        this.continuation = null;
+        this.queue = Promise.resolve();
+
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(IDLE_TIMEOUT_MS);
+        socket.on('data', this.onData = chunk => this.read(chunk));
+        socket.on('timeout', () => this.end('* BYE Autologout, idle for too long'));
+        socket.on('error', error => {
+            if (error.code !== 'ECONNRESET') {
+                console.error('IMAP connection error:', error.message);
+            }
+        });
+        socket.on('close', () => this.server.release(this));
+    }
+
+    send(line) {
+        if (!this.socket.destroyed && !this.socket.writableEnded) this.socket.write(Buffer.from(`${line}\r\n`, 'binary'));
+    }
+
+    end(line) {
+        if (line) this.send(line);
+        this.socket.end();
+    }
+
+    // Lines may end in a {n} or {n+} literal that continues the same command
+    read(chunk) {
+        this.buffer += chunk.toString('binary');
+
+        while (true) {
+            if (this.literalSize !== null) {
+                if (this.buffer.length < this.literalSize) break;
+
+                const value = this.buffer.slice(0, this.literalSize);
+                this.buffer = this.buffer.slice(this.literalSize);
+                this.segments.push(`"${value.replace(/[\\"]/g, match => `\\${match}`)}"`);
+                this.literalSize = null;
+                continue;
+            }
+
+            const index = this.buffer.indexOf('\r\n');
+            if (index === -1) break;
+
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+
+            const literalMatch = /\{(\d+)(\+)?\}$/.exec(line);
+            if (literalMatch) {
+                const size = parseInt(literalMatch[1], 10);
+                if (size > MAX_LITERAL_SIZE) {
+                    this.end('* BYE Literal too large');
+                    return;
+                }
+                this.commandSize += line.length + size;
+                if (this.commandSize > MAX_COMMAND_SIZE) {
+                    this.segments = [];
+                    this.end('* BYE Command too large');
+                    return;
+                }
+                this.segments.push(line.slice(0, literalMatch.index));
+                this.literalSize = size;
+                if (!literalMatch[2]) this.send('+ Ready for literal data');
+                continue;
+            }
+
+            const command = this.segments.join('') + line;
+            this.segments = [];
+            this.commandSize = 0;
+
+            // A command waiting for a continuation line gets it directly
+            if (this.continuation) {
+                const resolve = this.continuation;
+                this.continuation = null;
+                resolve(command.trim());
+                continue;
+            }
+
+            this.queue = this.queue.then(() => this.handle(command)).catch(error => {
+                console.error('IMAP command failed:', error.message);
+                this.send('* BAD Internal error');
+            });
+        }
+
+        if (this.buffer.length > MAX_LINE_LENGTH) {
+            this.buffer = '';
+            this.end('* BYE Line too long');
+        }
+    }
+
+    async handle(line) {
+        // Commands pipelined behind LOGOUT or a BYE are dropped
+        if (this.socket.destroyed || this.socket.writableEnded || this.upgrading) return;
+
+        if (this.idleTag) {
+            const tag = this.idleTag;
+            this.idleTag = null;
+            if (line.trim().toUpperCase() !== 'DONE') {
+                return this.send(`${tag} BAD Expected DONE`);
+            }
+            return this.send(`${tag} OK IDLE terminated`);
+        }
+
+        let tokens;
+        try {
+            tokens = tokenize(line);
+        } catch (error) {
+            return this.send(`* BAD ${error.message}`);
+        }
+
+        const [tag, name, ...args] = tokens;
+        if (typeof tag !== 'string' || !tag || typeof name !== 'string') {
+            return this.send(`${typeof tag === 'string' && tag ? tag : '*'} BAD Missing command`);
+        }
+
+        let command = name.toUpperCase();
+        let byUid = false;
+        if (command === 'UID' && typeof args[0] === 'string') {
+            command = args.shift().toUpperCase();
+            byUid = true;
+        }
+
+        const handler = this.commands()[command];
+        if (!handler || (byUid && !handler.uid)) {
+            return this.send(`${tag} BAD Unknown command ${command.slice(0, 20)}`);
+        }
+        if (handler.state === 'authenticated' && !this.address) {
+            return this.send(`${tag} NO Log in first`);
+        }
+        if (handler.state === 'selected' && !this.mailbox) {
+            return this.send(`${tag} NO Select a mailbox first`);
+        }
+        if (handler.state === 'guest' && this.address) {
+            return this.send(`${tag} BAD Already logged in`);
+        }
+
+        try {
+            await handler.run(tag, args, byUid);
+        } catch (error) {
+            this.send(`${tag} BAD ${error.message}`);
+        }
+    }
+
+    commands() {
+        return {
+            CAPABILITY: { run: tag => this.capability(tag) },
+            NOOP: { run: tag => this.noop(tag) },
+            LOGOUT: { run: tag => this.logout(tag) },
+            STARTTLS: { state: 'guest', run: tag => this.starttls(tag) },
+            LOGIN: { state: 'guest', run: (tag, args) => this.login(tag, args) },
+            AUTHENTICATE: { state: 'guest', run: (tag, args) => this.authenticate(tag, args) },
+            LIST: { state: 'authenticated', run: (tag, args) => this.list(tag, args, 'LIST') },
+            LSUB: { state: 'authenticated', run: (tag, args) => this.list(tag, args, 'LSUB') },
+            SUBSCRIBE: { state: 'authenticated', run: tag => this.send(`${tag} OK SUBSCRIBE completed`) },
+            UNSUBSCRIBE: { state: 'authenticated', run: tag => this.send(`${tag} OK UNSUBSCRIBE completed`) },
+            NAMESPACE: { state: 'authenticated', run: tag => this.namespace(tag) },
+            STATUS: { state: 'authenticated', run: (tag, args) => this.status(tag, args) },
+            SELECT: { state: 'authenticated', run: (tag, args) => this.select(tag, args, false) },
+            EXAMINE: { state: 'authenticated', run: (tag, args) => this.select(tag, args, true) },
+            IDLE: { state: 'authenticated', run: tag => this.idle(tag) },
+            CHECK: { state: 'selected', run: tag => this.noop(tag) },
+            CLOSE: { state: 'selected', run: tag => this.close(tag, true) },
+            UNSELECT: { state: 'selected', run: tag => this.close(tag, false) },
+            EXPUNGE: { state: 'selected', run: tag => this.expunge(tag) },
+            FETCH: { state: 'selected', uid: true, run: (tag, args, byUid) => this.fetch(tag, args, byUid) },
+            STORE: { state: 'selected', uid: true, run: (tag, args, byUid) => this.store(tag, args, byUid) },
+            SEARCH: { state: 'selected', uid: true, run: (tag, args, byUid) => this.search(tag, args, byUid) }
+        };
+    }
+
+    // ============================================
+    // NOT AUTHENTICATED
+    // ============================================
+    canStartTls() {
+        return !this.secure && !!this.server.secureContext;
+    }
+
+    canLogin() {
+        return this.secure || this.server.allowInsecureAuth;
+    }
+
+    capability(tag) {
+        const capabilities = ['IMAP4rev1', 'LITERAL+', 'IDLE', 'NAMESPACE', 'UNSELECT'];
+        if (!this.address) {
+            if (this.canStartTls()) capabilities.push('STARTTLS');
+            capabilities.push(this.canLogin() ? 'AUTH=PLAIN' : 'LOGINDISABLED');
+        }
+
+        this.send(`* CAPABILITY ${capabilities.join(' ')}`);
+        this.send(`${tag} OK CAPABILITY completed`);
+    }
+
+    noop(tag) {
+        this.sync(true);
+        this.send(`${tag} OK Completed`);
+    }
+
+    logout(tag) {
+        this.send('* BYE Logging out');
+        this.send(`${tag} OK LOGOUT completed`);
+        this.end();
+    }
+
+    // Swap the plain socket for a TLS one; anything pipelined after STARTTLS is dropped
+    starttls(tag) {
+        if (!this.canStartTls()) {
+            return this.send(`${tag} NO STARTTLS not available`);
+        }
+
+        this.send(`${tag} OK Begin TLS negotiation now`);
+        this.upgrading = true;
+        this.buffer = '';
+
+        const plain = this.socket;
+        plain.removeListener('data', this.onData);
+        plain.removeAllListeners('timeout');
+
+        const secureSocket = new tls.TLSSocket(plain, {
+            isServer: true,
+            secureContext: this.server.secureContext
+        });
+        secureSocket.once('secure', () => {
+            this.secure = true;
+            this.upgrading = false;
+            this.attach(secureSocket);
+        });
+        secureSocket.on('error', () => plain.destroy());
+    }
+
+    login(tag, [address, token]) {
+        if (!this.canLogin()) {
+            return this.send(`${tag} NO [PRIVACYREQUIRED] Plaintext login requires TLS, use STARTTLS first`);
+        }
+        if (typeof address !== 'string' || typeof token !== 'string') {
+            return this.send(`${tag} BAD LOGIN needs the email address and inbox token`);
+        }
+
+        this.checkCredentials(tag, address, token);
+    }
+
+    // AUTHENTICATE PLAIN with the credentials on the same line (SASL-IR style)
+    // or in a continuation
+    async authenticate(tag, [mechanism, initial]) {
+        if (String(mechanism).toUpperCase() !== 'PLAIN') {
+            return this.send(`${tag} NO Only AUTHENTICATE PLAIN is supported`);
+        }
+        if (!this.canLogin()) {
+            return this.send(`${tag} NO [PRIVACYREQUIRED] Plaintext login requires TLS, use STARTTLS first`);
+        }
+
+        const response = initial || await this.readContinuation();
+        if (response === '*') {
+            return this.send(`${tag} BAD Authentication cancelled`);
+        }
+
+        const [, address, token] = Buffer.from(response, 'base64').toString('utf8').split('\0');
+        if (!address || !token) {
+            return this.send(`${tag} BAD Malformed PLAIN response`);
+        }
+
+        this.checkCredentials(tag, address, token);
+    }
+
+    // Ask for one more client line and hand it back instead of running it as a command
+    readContinuation() {
+        return new Promise(resolve => {
+            this.continuation = resolve;
+            this.send('+ ');
+        });
+    }
+
+    checkCredentials(tag, address, token) {
+        if (!this.server.emailManager.verifyToken(address, token)) {
+            this.authFailures++;
+            console.log(`🔒 Failed IMAP login for ${address} from ${this.remoteAddress}`);
+
+            if (this.authFailures >= MAX_AUTH_FAILURES) {
+                this.send(`${tag} NO [AUTHENTICATIONFAILED] Too many failed logins`);
+                return this.end('* BYE Goodbye');
+            }
+            return this.send(`${tag} NO [AUTHENTICATIONFAILED] Invalid address or inbox token`);
+        }
+
+        this.address = address;
+        console.log(`📬 IMAP login: ${address} from ${this.remoteAddress}`);
+        this.send(`${tag} OK Logged in`);
+    }
+
+    // ============================================
+    // AUTHENTICATED
+    // ============================================
+    mailboxName(value) {
+        const name = String(value || '');
+        if (name.toUpperCase() === 'INBOX') return 'INBOX';
+        return MAILBOXES[name] ? name : null;
+    }
+
+    namespace(tag) {
+        this.send('* NAMESPACE (("" "/")) NIL NIL');
+        this.send(`${tag} OK NAMESPACE completed`);
+    }
+
+    list(tag, [reference = '', pattern = ''], command) {
+        if (pattern === '') {
+            this.send(`* ${command} (\\Noselect) "/" ""`);
+            return this.send(`${tag} OK ${command} completed`);
+        }
+
+        const regex = new RegExp(`^${String(reference + pattern)
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/%/g, '[^/]*')}$`, 'i');
+
+        Object.entries(MAILBOXES)
+            .filter(([name]) => regex.test(name))
+            .forEach(([name, mailbox]) => {
+                this.send(`* ${command} (${['\\HasNoChildren', ...mailbox.attributes].join(' ')}) "/" ${nstring(name)}`);
+            });
+        this.send(`${tag} OK ${command} completed`);
+    }
+
+    // Messages of a folder in UID order, with UIDs assigned where missing
+    messagesOf(folder) {
+        const emailManager = this.server.emailManager;
+        if (!emailManager.ensureUids(this.address)) return [];
+
+        return emailManager.getEmailsForAddress(this.address, folder)
+            .slice()
+            .sort((a, b) => a.uid - b.uid);
+    }
+
+    status(tag, [name, items]) {
+        const mailboxName = this.mailboxName(name);
+        if (!mailboxName || !Array.isArray(items)) {
+            return this.send(`${tag} NO [NONEXISTENT] No such mailbox`);
+        }
+
+        const messages = this.messagesOf(MAILBOXES[mailboxName].folder);
+        const entry = this.server.emailManager.emails.get(this.address);
+        const values = {
+            MESSAGES: messages.length,
+            RECENT: 0,
+            UIDNEXT: entry ? entry.uidNext : 1,
+            UIDVALIDITY: entry ? entry.uidValidity : 1,
+            UNSEEN: messages.filter(email => !email.read).length
+        };
+
+        const requested = items.map(item => String(item).toUpperCase()).filter(item => item in values);
+        this.send(`* STATUS ${nstring(mailboxName)} (${requested.map(item => `${item} ${values[item]}`).join(' ')})`);
+        this.send(`${tag} OK STATUS completed`);
+    }
+
+    select(tag, [name], readOnly) {
+        const mailboxName = this.mailboxName(name);
+        const entry = this.server.emailManager.ensureUids(this.address);
+        this.mailbox = null;
+        this.view = [];
+        this.sources.clear();
+
+        if (!mailboxName || !entry) {
+            return this.send(`${tag} NO [NONEXISTENT] No such mailbox`);
+        }
+
+        this.mailbox = { name: mailboxName, folder: MAILBOXES[mailboxName].folder, readOnly };
+        this.view = this.messagesOf(this.mailbox.folder).map(email => ({
+            id: email.id,
+            uid: email.uid,
+            recent: false,
+            flags: ''
+        }));
+        this.view.forEach(item => { item.flags = this.flagsOf(item); });
+
+        const firstUnseen = this.view.findIndex(item => !item.flags.includes('\\Seen'));
+
+        this.send('* FLAGS (\\Seen \\Deleted)');
+        this.send(`* OK [PERMANENTFLAGS (${readOnly ? '' : '\\Seen \\Deleted'})] Flags permitted`);
+        this.send(`* ${this.view.length} EXISTS`);
+        this.send('* 0 RECENT');
+        if (firstUnseen !== -1) this.send(`* OK [UNSEEN ${firstUnseen + 1}] First unseen`);
+        this.send(`* OK [UIDVALIDITY ${entry.uidValidity}] UIDs valid`);
+        this.send(`* OK [UIDNEXT ${entry.uidNext}] Predicted next UID`);
+        this.send(`${tag} OK [${readOnly ? 'READ-ONLY' : 'READ-WRITE'}] ${readOnly ? 'EXAMINE' : 'SELECT'} completed`);
+    }
+
+    // Wait for changes; EmailManager events call sync() while the client idles
+    idle(tag) {
+        this.idleTag = tag;
+        this.send('+ idling');
+        this.sync(true);
+    }
+
+    // ============================================
+    // SELECTED
+    // ============================================
+    flagsOf(entry) {
+        const email = this.server.emailManager.getEmail(this.address, entry.id);
+        const flags = [];
+        if (email && email.read) flags.push('\\Seen');
+        if (this.server.deletedFlags(this.address).has(entry.id)) flags.push('\\Deleted');
+        if (entry.recent) flags.push('\\Recent');
+        return flags.join(' ');
+    }
+
+    // Report what changed since the last look: EXPUNGE (only when the
+    // command allows it), new EXISTS, and flag updates made elsewhere
+    sync(allowExpunge) {
+        if (!this.mailbox) return;
+
+        if (!this.server.emailManager.emails.has(this.address)) {
+            return this.end('* BYE This inbox no longer exists');
+        }
+
+        const current = this.messagesOf(this.mailbox.folder);
+        const ids = new Set(current.map(email => email.id));
+
+        if (allowExpunge) {
+            for (let index = this.view.length - 1; index >= 0; index--) {
+                if (!ids.has(this.view[index].id)) {
+                    this.send(`* ${index + 1} EXPUNGE`);
+                    this.view.splice(index, 1);
+                }
+            }
+        }
+
+        const known = new Set(this.view.map(entry => entry.id));
+        const added = current.filter(email => !known.has(email.id));
+        if (added.length > 0) {
+            added.forEach(email => {
+                const entry = { id: email.id, uid: email.uid, recent: true, flags: '' };
+                entry.flags = this.flagsOf(entry);
+                this.view.push(entry);
+            });
+            this.send(`* ${this.view.length} EXISTS`);
+            this.send(`* ${added.length} RECENT`);
+        }
+
+        this.view.forEach((entry, index) => {
+            if (!ids.has(entry.id)) return;
+            const flags = this.flagsOf(entry);
+            if (flags !== entry.flags) {
+                entry.flags = flags;
+                this.send(`* ${index + 1} FETCH (FLAGS (${flags}))`);
+            }
+        });
+    }
+
+    // Sequence set or UID set -> [{ seq, entry }]
+    resolve(set, byUid) {
+        if (!isSequenceSet(set)) throw new Error('Invalid message set');
+
+        const largest = byUid
+            ? (this.view.length > 0 ? this.view[this.view.length - 1].uid : 0)
+            : this.view.length;
+
+        return this.view
+            .map((entry, index) => ({ seq: index + 1, entry }))
+            .filter(({ seq, entry }) => inSequenceSet(set, byUid ? entry.uid : seq, largest));
+    }
+
+    async message(entry) {
+        if (this.sources.has(entry.id)) return this.sources.get(entry.id);
+
+        const source = await this.server.emailManager.getSource(this.address, entry.id);
+        const text = source ? source.toString('binary').replace(/\r?\n/g, '\r\n') : '';
+        const parsed = { text, root: parsePart(text) };
+
+        this.sources.set(entry.id, parsed);
+        if (this.sources.size > SOURCE_CACHE_SIZE) {
+            this.sources.delete(this.sources.keys().next().value);
+        }
+        return parsed;
+    }
+
+    // Macros and single items -> upper-cased item list
+    fetchItems(spec, byUid) {
+        const macros = {
+            ALL: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE', 'ENVELOPE'],
+            FAST: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE'],
+            FULL: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE', 'ENVELOPE', 'BODY']
+        };
+
+        let items = Array.isArray(spec) ? spec : [spec];
+        if (items.length === 1 && macros[String(items[0]).toUpperCase()]) {
+            items = macros[String(items[0]).toUpperCase()];
+        }
+        items = items.map(item => {
+            if (typeof item !== 'string') throw new Error('Invalid fetch item');
+            return item.replace(/^[^[]+/, name => name.toUpperCase());
+        });
+
+        if (byUid && !items.includes('UID')) items.unshift('UID');
+        return items;
+    }
+
+    async fetch(tag, [set, spec], byUid) {
+        const items = this.fetchItems(spec, byUid);
+        const targets = this.resolve(set, byUid);
+        const emailManager = this.server.emailManager;
+
+        for (const { seq, entry } of targets) {
+            const email = emailManager.getEmail(this.address, entry.id);
+            if (!email) continue;
+
+            const parts = [];
+            let markSeen = false;
+
+            for (const item of items) {
+                const section = /^BODY(\.PEEK)?\[([^\]]*)\](?:<(\d+)(?:\.(\d+))?>)?$/.exec(item);
+
+                if (item === 'UID') {
+                    parts.push(`UID ${entry.uid}`);
+                } else if (item === 'FLAGS') {
+                    parts.push('FLAGS');
+                } else if (item === 'INTERNALDATE') {
+                    parts.push(`INTERNALDATE "${formatInternalDate(email.date)}"`);
+                } else if (item === 'RFC822.SIZE') {
+                    parts.push(`RFC822.SIZE ${(await this.message(entry)).text.length}`);
+                } else if (item === 'ENVELOPE') {
+                    parts.push(`ENVELOPE ${envelope((await this.message(entry)).root)}`);
+                } else if (item === 'BODYSTRUCTURE' || item === 'BODY') {
+                    parts.push(`${item} ${bodyStructure((await this.message(entry)).root)}`);
+                } else if (item === 'RFC822') {
+                    parts.push(`RFC822 ${literal((await this.message(entry)).text)}`);
+                    markSeen = true;
+                } else if (item === 'RFC822.HEADER') {
+                    parts.push(`RFC822.HEADER ${literal((await this.message(entry)).root.header)}`);
+                } else if (item === 'RFC822.TEXT') {
+                    parts.push(`RFC822.TEXT ${literal((await this.message(entry)).root.body)}`);
+                    markSeen = true;
+                } else if (section) {
+                    const [, peek, name, origin, length] = section;
+                    let text = sectionText((await this.message(entry)).root, name);
+                    if (origin !== undefined) {
+                        text = text.slice(parseInt(origin, 10), length !== undefined ? parseInt(origin, 10) + parseInt(length, 10) : undefined);
+                    }
+                    parts.push(`BODY[${name}]${origin !== undefined ? `<${origin}>` : ''} ${literal(text)}`);
+                    if (!peek) markSeen = true;
+                } else {
+                    throw new Error(`Unsupported fetch item ${item.slice(0, 40)}`);
+                }
+            }
+
+            if (markSeen && !this.mailbox.readOnly && emailManager.markAsRead(this.address, entry.id)) {
+                if (!items.includes('FLAGS')) parts.push('FLAGS');
+            }
+
+            // Flags go out last so a \Seen set by this FETCH is included
+            entry.flags = this.flagsOf(entry);
+            this.send(`* ${seq} FETCH (${parts.map(part => part === 'FLAGS' ? `FLAGS (${entry.flags})` : part).join(' ')})`);
+        }
+
+        this.sync(false);
+        this.send(`${tag} OK ${byUid ? 'UID ' : ''}FETCH completed`);
+    }
+
+    // STORE set [+|-]FLAGS[.SILENT] (flags); \Seen and \Deleted are kept,
+    // other flags are accepted and ignored
+    store(tag, [set, action, flagList], byUid) {
+        if (this.mailbox.readOnly) {
+            return this.send(`${tag} NO Mailbox is read-only`);
+        }
+
+        const match = /^([+-])?FLAGS(\.SILENT)?$/i.exec(String(action));
+        if (!match) {
+            return this.send(`${tag} BAD Invalid STORE action`);
+        }
+
+        const [, mode, silent] = match;
+        const flags = [].concat(flagList || []).map(flag => String(flag).toLowerCase());
+        const emailManager = this.server.emailManager;
+        const deleted = this.server.deletedFlags(this.address);
+
+        for (const { seq, entry } of this.resolve(set, byUid)) {
+            const apply = (flag, setter) => {
+                const wanted = flags.includes(flag);
+                if (mode === '+' && wanted) setter(true);
+                else if (mode === '-' && wanted) setter(false);
+                else if (!mode) setter(wanted);
+            };
+
+            apply('\\seen', value => value
+                ? emailManager.markAsRead(this.address, entry.id)
+                : emailManager.markAsUnread(this.address, entry.id));
+            apply('\\deleted', value => value ? deleted.add(entry.id) : deleted.delete(entry.id));
+
+            entry.flags = this.flagsOf(entry);
+            if (!silent) {
+                this.send(`* ${seq} FETCH (${byUid ? `UID ${entry.uid} ` : ''}FLAGS (${entry.flags}))`);
+            }
+        }
+
+        this.server.notify(this.address, this);
+        this.sync(false);
+        this.send(`${tag} OK ${byUid ? 'UID ' : ''}STORE completed`);
+    }
+
+    // Remove \Deleted messages of the selected mailbox through deleteEmail
+    removeDeleted() {
+        const deleted = this.server.deletedFlags(this.address);
+        const removed = this.view.filter(entry => deleted.has(entry.id));
+
+        removed.forEach(entry => {
+            this.server.emailManager.deleteEmail(this.address, entry.id);
+            deleted.delete(entry.id);
+        });
+        if (removed.length > 0) {
+            console.log(`📭 IMAP expunged ${removed.length} messages from ${this.address}`);
+        }
+    }
+
+    expunge(tag) {
+        if (this.mailbox.readOnly) {
+            return this.send(`${tag} NO Mailbox is read-only`);
+        }
+
+        this.removeDeleted();
+        this.sync(true);
+        this.send(`${tag} OK EXPUNGE completed`);
+    }
+
+    close(tag, expunge) {
+        if (expunge && !this.mailbox.readOnly) this.removeDeleted();
+
+        this.mailbox = null;
+        this.view = [];
+        this.sources.clear();
+        this.send(`${tag} OK ${expunge ? 'CLOSE' : 'UNSELECT'} completed`);
+    }
+
+    // Search keys -> predicate over { seq, uid, email, flags, largestSeq, largestUid }
+    searchKey(tokens) {
+        const token = tokens.shift();
+        if (token === undefined) throw new Error('Incomplete search');
+
+        if (Array.isArray(token)) {
+            const keys = [];
+            while (token.length > 0) keys.push(this.searchKey(token));
+            return context => keys.every(key => key(context));
+        }
+
+        const key = token.toUpperCase();
+        const textOf = (email, field) => {
+            switch (field) {
+                case 'FROM': return email.from;
+                case 'TO': return email.to;
+                case 'CC': return email.cc;
+                case 'SUBJECT': return email.subject;
+                case 'BODY': return email.text;
+                default: return [email.from, email.to, email.cc, email.subject, email.text].join('\n');
+            }
+        };
+        const hasFlag = flag => context => context.flags.includes(flag);
+
+        switch (key) {
+            case 'ALL': return () => true;
+            case 'SEEN': return hasFlag('\\Seen');
+            case 'UNSEEN': return context => !context.flags.includes('\\Seen');
+            case 'DELETED': return hasFlag('\\Deleted');
+            case 'UNDELETED': return context => !context.flags.includes('\\Deleted');
+            case 'RECENT': return hasFlag('\\Recent');
+            case 'NEW': return context => context.flags.includes('\\Recent') && !context.flags.includes('\\Seen');
+            case 'OLD': return context => !context.flags.includes('\\Recent');
+            case 'ANSWERED':
+            case 'FLAGGED':
+            case 'DRAFT': return () => false;
+            case 'UNANSWERED':
+            case 'UNFLAGGED':
+            case 'UNDRAFT': return () => true;
+            case 'KEYWORD': tokens.shift(); return () => false;
+            case 'UNKEYWORD': tokens.shift(); return () => true;
+            case 'FROM':
+            case 'TO':
+            case 'CC':
+            case 'SUBJECT':
+            case 'BODY':
+            case 'TEXT': {
+                const needle = String(tokens.shift() || '').toLowerCase();
+                return context => String(textOf(context.email, key) || '').toLowerCase().includes(needle);
+            }
+            case 'SINCE':
+            case 'SENTSINCE': {
+                const day = parseSearchDate(tokens.shift());
+                return context => dayOf(context.email.date) >= day;
+            }
+            case 'BEFORE':
+            case 'SENTBEFORE': {
+                const day = parseSearchDate(tokens.shift());
+                return context => dayOf(context.email.date) < day;
+            }
+            case 'ON':
+            case 'SENTON': {
+                const day = parseSearchDate(tokens.shift());
+                return context => dayOf(context.email.date) === day;
+            }
+            case 'LARGER': {
+                const size = parseInt(tokens.shift(), 10);
+                return context => (context.email.rawSize || 0) > size;
+            }
+            case 'SMALLER': {
+                const size = parseInt(tokens.shift(), 10);
+                return context => (context.email.rawSize || 0) < size;
+            }
+            case 'UID': {
+                const set = tokens.shift();
+                if (!isSequenceSet(set)) throw new Error('Invalid UID set');
+                return context => inSequenceSet(set, context.uid, context.largestUid);
+            }
+            case 'NOT': {
+                const inner = this.searchKey(tokens);
+                return context => !inner(context);
+            }
+            case 'OR': {
+                const left = this.searchKey(tokens);
+                const right = this.searchKey(tokens);
+                return context => left(context) || right(context);
+            }
+            default:
+                if (isSequenceSet(token)) {
+                    return context => inSequenceSet(token, context.seq, context.largestSeq);
+                }
+                throw new Error(`Unsupported search key ${key.slice(0, 20)}`);
+        }
+    }
+
+    search(tag, args, byUid) {
+        const tokens = args.slice();
+        if (String(tokens[0]).toUpperCase() === 'CHARSET') tokens.splice(0, 2);
+
+        const keys = [];
+        while (tokens.length > 0) keys.push(this.searchKey(tokens));
+
+        const largestUid = this.view.length > 0 ? this.view[this.view.length - 1].uid : 0;
+        const results = [];
+
+        this.view.forEach((entry, index) => {
+            const email = this.server.emailManager.getEmail(this.address, entry.id);
+            if (!email) return;
+
+            const context = {
+                seq: index + 1,
+                uid: entry.uid,
+                email,
+                flags: this.flagsOf(entry),
+                largestSeq: this.view.length,
+                largestUid
+            };
+            if (keys.every(key => key(context))) {
+                results.push(byUid ? entry.uid : index + 1);
+            }
+        });
+
+        this.send(`* SEARCH${results.length > 0 ? ` ${results.join(' ')}` : ''}`);
+        this.sync(false);
+        this.send(`${tag} OK ${byUid ? 'UID ' : ''}SEARCH completed`);
+    }
+}
+
+// ============================================
+// SERVER
+// ============================================
+class ImapServer {
+    constructor(options = {}) {
+        this.emailManager = options.emailManager;
+        this.secure = !!options.secure; // Implicit TLS (IMAPS) instead of STARTTLS
+        this.allowInsecureAuth = !!options.allowInsecureAuth;
+        this.secureContext = null;
+        this.sessions = new Set();
+        this.sockets = new Set(); // Every accepted connection, TLS handshakes included
+        this.deleted = new Map();
+
+        // Clients idling on an address hear about its changes right away;
+        // everyone else picks them up with their next command
+        this.listeners = MAILBOX_EVENTS.map(event => {
+            const listener = address => this.notify(address);
+            this.emailManager.on(event, listener);
+            return [event, listener];
+        });
+
+        this.server = net.createServer(socket => this.accept(socket));
+        this.server.on('error', error => {
+            console.error('IMAP Server Error:', error.message);
+        });
+    }
+
+    updateSecureContext({ key, cert }) {
+        this.secureContext = tls.createSecureContext({ key, cert });
+    }
+
+    accept(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+
+        if (!this.secure) {
+            return this.greet(new ImapSession(this, socket));
+        }
+
+        if (!this.secureContext) {
+            return socket.destroy();
+        }
+
+        const secureSocket = new tls.TLSSocket(socket, { isServer: true, secureContext: this.secureContext });
+        secureSocket.once('secure', () => {
+            const session = new ImapSession(this, secureSocket);
+            session.secure = true;
+            this.greet(session);
+        });
+        secureSocket.on('error', () => socket.destroy());
+    }
+
+    greet(session) {
+        this.sessions.add(session);
+        session.send('* OK IMAP4rev1 server ready');
+    }
+
+    release(session) {
+        this.sessions.delete(session);
+    }
+
+    // \Deleted flags per address, shared by every session on it
+    deletedFlags(address) {
+        if (!this.deleted.has(address)) this.deleted.set(address, new Set());
+        return this.deleted.get(address);
+    }
+
+    notify(address, except = null) {
+        if (!this.emailManager.emails.has(address)) return this.closeMailbox(address);
+
+        this.sessions.forEach(session => {
+            if (session !== except && session.idleTag && session.address === address) {
+                session.sync(true);
+            }
+        });
+    }
+
+    // End the sessions of an address that is gone, selected or not, so they
+    // cannot reach the mailbox of whoever claims the address next
+    closeMailbox(address) {
+        this.deleted.delete(address);
+        this.sessions.forEach(session => {
+            if (session.address === address) session.end('* BYE This inbox no longer exists');
+        });
+    }
+
+    listen(port, host, callback) {
+        this.server.listen(port, host, callback);
+        return this;
+    }
+
+    address() {
+        return this.server.address();
+    }
+
+    close(callback) {
+        this.listeners.forEach(([event, listener]) => this.emailManager.removeListener(event, listener));
+        this.sockets.forEach(socket => socket.destroy());
+        this.server.close(callback);
+    }
+}
+
+module.exports = {
+    ImapServer
+};
@@ -0,0 +1,111 @@
+/**
+ * OUTBOUND MAIL
+ * Sends mail through a configurable upstream SMTP relay using nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+const QUOTA_WINDOW_MS = 60 * 60 * 1000;
+
+class MailSender {
+    // options: relay host, port, secure, user, pass, rejectUnauthorized;
+    // maxPerHour caps messages per sender, maxPerHourPerIP per client (0 disables)
+    constructor(options = {}) {
+        this.options = options;
+        this.transport = null;
+        this.maxPerHour = options.maxPerHour || 0;
+        this.maxPerHourPerIP = options.maxPerHourPerIP || 0;
+        this.sent = new Map(); // "sender:<address>" or "ip:<address>" -> send times within the last hour
+    }
+
+    isConfigured() {
+        return !!this.options.host;
+    }
+
+    // Count one message against the hourly quotas of the sender and the client
+    // IP. Returns the quota that is used up ({ max, scope }), or null once the
+    // message has been counted against both
+    takeQuota(sender, ip) {
+        const now = Date.now();
+        this.sent.forEach((times, key) => {
+            if (now - times[times.length - 1] >= QUOTA_WINDOW_MS) this.sent.delete(key);
+        });
+
+        const quotas = [
+            { key: `sender:${sender}`, max: this.maxPerHour, scope: 'per inbox' },
+            { key: `ip:${ip}`, max: this.maxPerHourPerIP, scope: 'per client' }
+        ]
+            .filter(quota => quota.max)
+            .map(quota => ({ ...quota, times: (this.sent.get(quota.key) || []).filter(time => now - time < QUOTA_WINDOW_MS) }));
+
+        const full = quotas.find(quota => quota.times.length >= quota.max);
+        if (full) return { max: full.max, scope: full.scope };
+
+        quotas.forEach(quota => this.sent.set(quota.key, quota.times.concat(now)));
+        return null;
+    }
+
+    getTransport() {
+        if (!this.transport) {
+            this.transport = nodemailer.createTransport({
+                host: this.options.host,
+                port: this.options.port,
+                secure: this.options.secure,
+                auth: this.options.user ? {
+                    user: this.options.user,
+                    pass: this.options.pass
+                } : undefined,
+                tls: {
+                    rejectUnauthorized: this.options.rejectUnauthorized !== false
+                }
+            });
+        }
+        return this.transport;
+    }
+
+    // Compile the message to its RFC 822 source so the exact bytes that
+    // were relayed can be kept in the Sent folder
+    async compose(message) {
+        const mail = new MailComposer(message).compile();
+        mail.keepBcc = false;
+
+        const raw = await new Promise((resolve, reject) => {
+            mail.build((error, buffer) => error ? reject(error) : resolve(buffer));
+        });
+
+        return {
+            raw,
+            envelope: mail.getEnvelope(),
+            messageId: mail.messageId()
+        };
+    }
+
+    // Relay a compiled message; "envelope" is { from, to: [] }
+    async sendRaw(raw, envelope) {
+        if (!this.isConfigured()) {
+            const error = new Error('Outbound relay is not configured. Set RELAY_HOST to send mail.');
+            error.statusCode = 503;
+            throw error;
+        }
+
+        return this.getTransport().sendMail({ envelope, raw });
+    }
+
+    async send(message) {
+        const compiled = await this.compose(message);
+        const info = await this.sendRaw(compiled.raw, compiled.envelope);
+        return { ...compiled, info };
+    }
+
+    close() {
+        if (this.transport) {
+            this.transport.close();
+            this.transport = null;
+        }
+    }
+}
+
+module.exports = {
+    MailSender
+};
@@ -0,0 +1,432 @@
+/**
+ * POP3 SERVER
+ * Mail client access to temporary inboxes (RFC 1939 with CAPA, UIDL, TOP and STLS)
+ *
+ * USER is the email address and PASS its inbox token. A session sees the
+ * inbox as it was at login, oldest message first. RETR and TOP serve the
+ * stored raw source; DELE only marks a message, QUIT deletes the marked
+ * ones through EmailManager.deleteEmail.
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+const MAX_LINE_LENGTH = 1024;
+const IDLE_TIMEOUT_MS = 10 * 60 * 1000; // RFC 1939 minimum for the autologout timer
+const MAX_AUTH_FAILURES = 3;
+
+// CRLF line endings with a leading "." doubled, as a multi-line response needs
+function dotStuff(text) {
+    const lines = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    return lines.endsWith('\r\n') ? lines : `${lines}\r\n`;
+}
+
+// ============================================
+// SESSION
+// ============================================
+class Pop3Session {
+    constructor(server, socket) {
+        this.server = server;
+        this.socket = null;
+        this.remoteAddress = String(socket.remoteAddress || '').replace(/^::ffff:/i, '');
+        this.state = 'AUTHORIZATION';
+        this.secure = false;
+        this.upgrading = false;
+        this.user = null;
+        this.address = null;
+        this.messages = [];
+        this.authFailures = 0;
+        this.buffer = '';
+        this.queue = Promise.resolve();
+
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(IDLE_TIMEOUT_MS);
+        socket.on('data', this.onData = chunk => this.read(chunk));
+        socket.on('timeout', () => this.end('-ERR Autologout, idle for too long'));
+        socket.on('error', error => {
+            if (error.code !== 'ECONNRESET') {
+                console.error('POP3 connection error:', error.message);
+            }
+        });
+        socket.on('close', () => this.server.release(this));
+    }
+
+    send(line) {
+        if (!this.socket.destroyed) this.socket.write(`${line}\r\n`);
+    }
+
+    sendMultiline(first, body) {
+        if (this.socket.destroyed) return;
+        this.socket.write(Buffer.from(`${first}\r\n${dotStuff(body)}.\r\n`, 'binary'));
+    }
+
+    end(line) {
+        if (line) this.send(line);
+        this.socket.end();
+    }
+
+    // The mailbox is gone (removed or expired); nothing pending is applied
+    abort(line) {
+        this.state = 'CLOSED';
+        this.server.release(this);
+        this.end(line);
+    }
+
+    // Commands are queued so pipelined ones run in order
+    read(chunk) {
+        this.buffer += chunk.toString('binary');
+
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.queue = this.queue.then(() => this.handle(line)).catch(error => {
+                console.error('POP3 command failed:', error.message);
+                this.send('-ERR [SYS/TEMP] Internal error');
+            });
+        }
+
+        if (this.buffer.length > MAX_LINE_LENGTH) {
+            this.buffer = '';
+            this.end('-ERR Line too long');
+        }
+    }
+
+    async handle(line) {
+        if (this.socket.destroyed || this.upgrading || this.state === 'CLOSED') return;
+
+        const [command = '', ...args] = line.trim().split(/\s+/);
+        const verb = command.toUpperCase();
+        const handler = this.commands()[verb];
+
+        if (!handler) {
+            return this.send(`-ERR Unknown command ${verb.slice(0, 20)}`);
+        }
+        if (handler.state && handler.state !== this.state) {
+            return this.send(`-ERR ${verb} not allowed now`);
+        }
+
+        await handler.run(args);
+    }
+
+    commands() {
+        return {
+            CAPA: { run: () => this.capa() },
+            STLS: { state: 'AUTHORIZATION', run: () => this.stls() },
+            USER: { state: 'AUTHORIZATION', run: args => this.userCommand(args) },
+            PASS: { state: 'AUTHORIZATION', run: args => this.pass(args) },
+            QUIT: { run: () => this.quit() },
+            STAT: { state: 'TRANSACTION', run: () => this.stat() },
+            LIST: { state: 'TRANSACTION', run: args => this.list(args) },
+            UIDL: { state: 'TRANSACTION', run: args => this.uidl(args) },
+            RETR: { state: 'TRANSACTION', run: args => this.retr(args) },
+            TOP: { state: 'TRANSACTION', run: args => this.top(args) },
+            DELE: { state: 'TRANSACTION', run: args => this.dele(args) },
+            RSET: { state: 'TRANSACTION', run: () => this.rset() },
+            NOOP: { state: 'TRANSACTION', run: () => this.send('+OK') }
+        };
+    }
+
+    // ============================================
+    // AUTHORIZATION
+    // ============================================
+    canStartTls() {
+        return !this.secure && !!this.server.secureContext;
+    }
+
+    canLogin() {
+        return this.secure || this.server.allowInsecureAuth;
+    }
+
+    capa() {
+        const capabilities = ['TOP', 'UIDL', 'RESP-CODES', 'AUTH-RESP-CODE', 'PIPELINING'];
+        if (this.state === 'AUTHORIZATION') {
+            if (this.canLogin()) capabilities.push('USER');
+            if (this.canStartTls()) capabilities.push('STLS');
+        }
+        capabilities.push('IMPLEMENTATION public-email-server');
+
+        this.sendMultiline('+OK Capability list follows', capabilities.join('\r\n'));
+    }
+
+    // Swap the plain socket for a TLS one; anything pipelined after STLS is dropped
+    stls() {
+        if (!this.canStartTls()) {
+            return this.send('-ERR STLS not available');
+        }
+
+        this.send('+OK Begin TLS negotiation');
+        this.upgrading = true;
+        this.buffer = '';
+
+        const plain = this.socket;
+        plain.removeListener('data', this.onData);
+        plain.removeAllListeners('timeout');
+
+        const secureSocket = new tls.TLSSocket(plain, {
+            isServer: true,
+            secureContext: this.server.secureContext
+        });
+        secureSocket.once('secure', () => {
+            this.secure = true;
+            this.upgrading = false;
+            this.attach(secureSocket);
+        });
+        secureSocket.on('error', () => plain.destroy());
+    }
+
+    userCommand([user]) {
+        if (!this.canLogin()) {
+            return this.send('-ERR Plaintext login requires TLS, use STLS first');
+        }
+        if (!user) {
+            return this.send('-ERR USER needs the email address');
+        }
+
+        this.user = user;
+        this.send('+OK Send the inbox token with PASS');
+    }
+
+    async pass(args) {
+        if (!this.user) {
+            return this.send('-ERR USER first');
+        }
+
+        const token = args.join(' ');
+        const address = this.user;
+        this.user = null;
+
+        if (!this.server.emailManager.verifyToken(address, token)) {
+            this.authFailures++;
+            console.log(`🔒 Failed POP3 login for ${address} from ${this.remoteAddress}`);
+
+            if (this.authFailures >= MAX_AUTH_FAILURES) {
+                return this.end('-ERR [AUTH] Too many failed logins');
+            }
+            return this.send('-ERR [AUTH] Invalid address or inbox token');
+        }
+
+        if (!this.server.lock(address, this)) {
+            return this.send('-ERR [IN-USE] Mailbox is already open in another session');
+        }
+
+        this.address = address;
+        this.state = 'TRANSACTION';
+        this.messages = [];
+        for (const email of this.server.emailManager.getEmailsForAddress(address, 'inbox').slice().reverse()) {
+            const size = email.rawSize || (await this.server.emailManager.getSource(address, email.id)).length;
+            this.messages.push({ email, size, deleted: false });
+        }
+
+        console.log(`📬 POP3 login: ${address} from ${this.remoteAddress}`);
+        this.send(`+OK ${address} has ${this.messages.length} messages`);
+    }
+
+    // ============================================
+    // TRANSACTION
+    // ============================================
+
+    // "n" argument -> message entry, or null after sending the error
+    message(number) {
+        const entry = /^\d+$/.test(number || '') ? this.messages[parseInt(number, 10) - 1] : null;
+
+        if (!entry) {
+            this.send('-ERR No such message');
+            return null;
+        }
+        if (entry.deleted) {
+            this.send('-ERR Message already deleted');
+            return null;
+        }
+        return entry;
+    }
+
+    live() {
+        return this.messages
+            .map((entry, index) => ({ ...entry, number: index + 1 }))
+            .filter(entry => !entry.deleted);
+    }
+
+    stat() {
+        const live = this.live();
+        this.send(`+OK ${live.length} ${live.reduce((sum, entry) => sum + entry.size, 0)}`);
+    }
+
+    list([number]) {
+        if (number !== undefined) {
+            const entry = this.message(number);
+            if (entry) this.send(`+OK ${number} ${entry.size}`);
+            return;
+        }
+
+        const live = this.live();
+        this.sendMultiline(`+OK ${live.length} messages`,
+            live.map(entry => `${entry.number} ${entry.size}`).join('\r\n'));
+    }
+
+    uidl([number]) {
+        if (number !== undefined) {
+            const entry = this.message(number);
+            if (entry) this.send(`+OK ${number} ${entry.email.id}`);
+            return;
+        }
+
+        this.sendMultiline('+OK Unique IDs follow',
+            this.live().map(entry => `${entry.number} ${entry.email.id}`).join('\r\n'));
+    }
+
+    async source(entry) {
+        const source = await this.server.emailManager.getSource(this.address, entry.email.id);
+        return source ? source.toString('binary') : '';
+    }
+
+    async retr([number]) {
+        const entry = this.message(number);
+        if (!entry) return;
+
+        const source = await this.source(entry);
+        this.sendMultiline(`+OK ${entry.size} octets`, source);
+        this.server.emailManager.markAsRead(this.address, entry.email.id);
+    }
+
+    // Headers, the blank line, then the first "lines" lines of the body
+    async top([number, lines]) {
+        if (!/^\d+$/.test(lines || '')) {
+            return this.send('-ERR TOP needs a message number and a line count');
+        }
+
+        const entry = this.message(number);
+        if (!entry) return;
+
+        const source = (await this.source(entry)).replace(/\r?\n/g, '\r\n');
+        const split = source.indexOf('\r\n\r\n');
+        const headers = split === -1 ? source : source.slice(0, split);
+        const body = split === -1 ? [] : source.slice(split + 4).split('\r\n');
+
+        this.sendMultiline('+OK Top of message follows',
+            [headers, '', ...body.slice(0, parseInt(lines, 10))].join('\r\n'));
+    }
+
+    dele([number]) {
+        const entry = this.message(number);
+        if (!entry) return;
+
+        entry.deleted = true;
+        this.send(`+OK Message ${number} deleted`);
+    }
+
+    rset() {
+        this.messages.forEach(entry => { entry.deleted = false; });
+        this.send(`+OK ${this.messages.length} messages`);
+    }
+
+    // Leaving the transaction state is the only time deletions are applied
+    quit() {
+        if (this.state === 'TRANSACTION') {
+            this.state = 'UPDATE';
+            const deleted = this.messages.filter(entry => entry.deleted);
+            deleted.forEach(entry => this.server.emailManager.deleteEmail(this.address, entry.email.id));
+
+            if (deleted.length > 0) {
+                console.log(`📭 POP3 deleted ${deleted.length} messages from ${this.address}`);
+            }
+        }
+
+        this.end('+OK Bye');
+    }
+}
+
+// ============================================
+// SERVER
+// ============================================
+class Pop3Server {
+    constructor(options = {}) {
+        this.emailManager = options.emailManager;
+        this.secure = !!options.secure; // Implicit TLS (POP3S) instead of STLS
+        this.allowInsecureAuth = !!options.allowInsecureAuth;
+        // Open mailboxes; pass the same Map to the plain and implicit TLS listeners
+        this.locks = options.locks || new Map();
+        this.secureContext = null;
+        this.sessions = new Set();
+        this.sockets = new Set(); // Every accepted connection, TLS handshakes included
+
+        this.server = net.createServer(socket => this.accept(socket));
+        this.server.on('error', error => {
+            console.error('POP3 Server Error:', error.message);
+        });
+    }
+
+    updateSecureContext({ key, cert }) {
+        this.secureContext = tls.createSecureContext({ key, cert });
+    }
+
+    accept(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+
+        if (!this.secure) {
+            return this.greet(new Pop3Session(this, socket));
+        }
+
+        if (!this.secureContext) {
+            return socket.destroy();
+        }
+
+        const secureSocket = new tls.TLSSocket(socket, { isServer: true, secureContext: this.secureContext });
+        secureSocket.once('secure', () => {
+            const session = new Pop3Session(this, secureSocket);
+            session.secure = true;
+            this.greet(session);
+        });
+        secureSocket.on('error', () => socket.destroy());
+    }
+
+    greet(session) {
+        this.sessions.add(session);
+        session.send('+OK POP3 server ready');
+    }
+
+    // RFC 1939 wants an exclusive lock on the maildrop per session
+    lock(address, session) {
+        if (this.locks.has(address)) return false;
+        this.locks.set(address, session);
+        return true;
+    }
+
+    release(session) {
+        this.sessions.delete(session);
+        if (session.address && this.locks.get(session.address) === session) {
+            this.locks.delete(session.address);
+        }
+    }
+
+    // End the sessions of an address that was removed, so they cannot reach
+    // the mailbox of whoever claims the address next
+    closeMailbox(address) {
+        this.sessions.forEach(session => {
+            if (session.address === address) session.abort('-ERR [SYS/PERM] Mailbox no longer exists');
+        });
+    }
+
+    listen(port, host, callback) {
+        this.server.listen(port, host, callback);
+        return this;
+    }
+
+    address() {
+        return this.server.address();
+    }
+
+    close(callback) {
+        this.sockets.forEach(socket => socket.destroy());
+        this.server.close(callback);
+    }
+}
+
+module.exports = {
+    Pop3Server
+};
@@ -0,0 +1,196 @@
+/**
+ * SMTP ABUSE PROTECTION
+ * Per-IP connection limits, per-minute message limits and an IP blocklist
+ *
+ * A limit of 0 disables that check. Blocklist entries are single addresses
+ * or CIDR ranges ("203.0.113.0/24") and are persisted in storage meta.
+ */
+
+const net = require('net');
+
+const WINDOW_MS = 60 * 1000;
+
+// "::ffff:1.2.3.4" -> "1.2.3.4" so IPv4 clients match IPv4 entries
+function normalizeIP(ip) {
+    return String(ip || '').replace(/^::ffff:/i, '');
+}
+
+class SmtpLimiter {
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.maxConnectionsPerIP = options.maxConnectionsPerIP || 0;
+        this.messagesPerMinutePerIP = options.messagesPerMinutePerIP || 0;
+        this.messagesPerMinutePerRecipient = options.messagesPerMinutePerRecipient || 0;
+
+        this.connections = new Map();
+        this.windows = new Map();
+        this.blocked = new Map();
+        this.blockList = new net.BlockList();
+
+        // Forget idle rate windows so the map does not grow forever
+        this.sweeper = setInterval(() => this.sweep(), WINDOW_MS);
+        this.sweeper.unref();
+    }
+
+    // ============================================
+    // CONNECTIONS
+    // ============================================
+    openConnection(ip) {
+        ip = normalizeIP(ip);
+        const count = this.connections.get(ip) || 0;
+
+        if (this.maxConnectionsPerIP && count >= this.maxConnectionsPerIP) {
+            return false;
+        }
+
+        this.connections.set(ip, count + 1);
+        return true;
+    }
+
+    closeConnection(ip) {
+        ip = normalizeIP(ip);
+        const count = (this.connections.get(ip) || 0) - 1;
+
+        if (count > 0) {
+            this.connections.set(ip, count);
+        } else {
+            this.connections.delete(ip);
+        }
+    }
+
+    // ============================================
+    // MESSAGE RATES
+    // ============================================
+
+    // Count one event against a sliding one-minute window; false once over the limit
+    hit(key, limit) {
+        if (!limit) return true;
+
+        const now = Date.now();
+        const hits = (this.windows.get(key) || []).filter(time => now - time < WINDOW_MS);
+
+        if (hits.length >= limit) {
+            this.windows.set(key, hits);
+            return false;
+        }
+
+        hits.push(now);
+        this.windows.set(key, hits);
+        return true;
+    }
+
+    allowMessageFromIP(ip) {
+        return this.hit(`ip:${normalizeIP(ip)}`, this.messagesPerMinutePerIP);
+    }
+
+    allowMessageToRecipient(address) {
+        return this.hit(`rcpt:${String(address).toLowerCase()}`, this.messagesPerMinutePerRecipient);
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, hits] of this.windows.entries()) {
+            if (hits.every(time => now - time >= WINDOW_MS)) {
+                this.windows.delete(key);
+            }
+        }
+    }
+
+    // ============================================
+    // BLOCKLIST
+    // ============================================
+    load(entries = []) {
+        entries.forEach(entry => this.blocked.set(entry.ip, entry));
+        this.rebuildBlockList();
+        if (this.blocked.size > 0) {
+            console.log(`🚫 Loaded ${this.blocked.size} blocked IPs`);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        this.storage.saveMeta('blocklist', this.listBlocked()).catch(error => {
+            console.error('Error saving blocklist:', error.message);
+        });
+    }
+
+    // net.BlockList has no removal, so it is rebuilt from the entries
+    rebuildBlockList() {
+        this.blockList = new net.BlockList();
+        for (const { ip } of this.blocked.values()) {
+            const [address, prefix] = ip.split('/');
+            const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+            if (prefix !== undefined) {
+                this.blockList.addSubnet(address, parseInt(prefix, 10), family);
+            } else {
+                this.blockList.addAddress(address, family);
+            }
+        }
+    }
+
+    isBlocked(ip) {
+        ip = normalizeIP(ip);
+        const family = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+        return net.isIP(ip) !== 0 && this.blockList.check(ip, family);
+    }
+
+    block(ip, reason = '') {
+        const [address, prefix] = String(ip || '').trim().split('/');
+        const version = net.isIP(address);
+        const maxPrefix = version === 6 ? 128 : 32;
+
+        if (!version || (prefix !== undefined &&
+            (!/^\d+$/.test(prefix) || parseInt(prefix, 10) > maxPrefix))) {
+            const error = new Error('ip must be an IP address or CIDR range');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const entry = {
+            ip: prefix !== undefined ? `${address}/${parseInt(prefix, 10)}` : address,
+            reason: String(reason || ''),
+            createdAt: new Date().toISOString()
+        };
+
+        this.blocked.set(entry.ip, entry);
+        this.rebuildBlockList();
+        this.save();
+        return entry;
+    }
+
+    unblock(ip) {
+        const removed = this.blocked.delete(ip);
+        if (removed) {
+            this.rebuildBlockList();
+            this.save();
+        }
+        return removed;
+    }
+
+    listBlocked() {
+        return Array.from(this.blocked.values());
+    }
+
+    getStatus() {
+        return {
+            limits: {
+                maxConnectionsPerIP: this.maxConnectionsPerIP,
+                messagesPerMinutePerIP: this.messagesPerMinutePerIP,
+                messagesPerMinutePerRecipient: this.messagesPerMinutePerRecipient
+            },
+            activeConnections: Object.fromEntries(this.connections),
+            blocked: this.blocked.size
+        };
+    }
+
+    close() {
+        clearInterval(this.sweeper);
+    }
+}
+
+module.exports = {
+    SmtpLimiter,
+    normalizeIP
+};
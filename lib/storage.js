@@ -0,0 +1,600 @@
+/**
+ * STORAGE BACKENDS
+ * Persistence adapters used by EmailManager
+ *
+ * Every backend implements the same interface:
+ *   open()                         prepare files / database
+ *   load()                         -> { emails: Map, meta: Object }
+ *   saveAddress(entry)             insert or update an address (without messages)
+ *   saveMessage(address, message)  insert or update a single message
+ *   deleteMessage(address, id)     remove a single message
+ *   deleteAddress(address)         remove an address and its messages
+ *   saveMeta(key, value)           store a small JSON value (stats, settings)
+ *   putBlob(key, buffer)           store binary content (raw source, attachments)
+ *   getBlob(key)                   -> Buffer or null
+ *   deleteBlobs(prefix)            remove every blob stored under "prefix/"
+ *   close()                        flush pending writes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// The journal is rewritten once appends since the last snapshot outgrow it
+const COMPACT_MIN_BYTES = 8 * 1024 * 1024;
+
+// Strip the message list from an address entry before persisting it
+function addressRecord(entry) {
+    const { messages, ...record } = entry;
+    return record;
+}
+
+// Build the in-memory shape EmailManager works with
+function buildEmails(addresses, messages) {
+    const emails = new Map();
+
+    for (const [address, record] of addresses) {
+        emails.set(address, { ...record, messages: [] });
+    }
+
+    for (const [address, byId] of messages) {
+        const entry = emails.get(address);
+        if (!entry) continue;
+
+        entry.messages = Array.from(byId.values())
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    return emails;
+}
+
+// ============================================
+// IN-MEMORY STORAGE
+// ============================================
+class MemoryStorage {
+    constructor() {
+        this.name = 'memory';
+        this.blobs = new Map();
+    }
+
+    async open() {}
+
+    async load() {
+        return { emails: new Map(), meta: {} };
+    }
+
+    async saveAddress() {}
+
+    async saveMessage() {}
+
+    async deleteMessage() {}
+
+    async deleteAddress() {}
+
+    async saveMeta() {}
+
+    async putBlob(key, buffer) {
+        this.blobs.set(key, Buffer.from(buffer));
+    }
+
+    async getBlob(key) {
+        return this.blobs.get(key) || null;
+    }
+
+    async deleteBlobs(prefix) {
+        for (const key of this.blobs.keys()) {
+            if (key.startsWith(`${prefix}/`)) {
+                this.blobs.delete(key);
+            }
+        }
+    }
+
+    async close() {
+        this.blobs.clear();
+    }
+}
+
+// ============================================
+// APPEND-ONLY JSON LINES STORAGE
+// ============================================
+// Records are appended to journal.jsonl as operations and replayed on
+// load. Updates re-append whole records, so the journal is compacted into a
+// snapshot at load and whenever the bytes appended since the last snapshot
+// exceed the snapshot itself (and COMPACT_MIN_BYTES). A journal with a torn
+// line is compacted at load too, so appends never continue a fragment. Blobs live
+// maildir-style in blobs/<emailId>/, written to tmp/ first and renamed into
+// place so a crash never leaves a partial file.
+class JsonLinesStorage {
+    constructor(options = {}) {
+        this.name = 'jsonl';
+        this.dir = options.dir;
+        this.legacyFile = options.legacyFile || null;
+        this.journalFile = path.join(this.dir, 'journal.jsonl');
+        this.blobDir = path.join(this.dir, 'blobs');
+        this.tmpDir = path.join(this.dir, 'tmp');
+
+        this.pending = [];
+        this.writing = Promise.resolve();
+        this.flushScheduled = false;
+        this.snapshotBytes = 0;
+        this.appendedBytes = 0;
+        this.compacting = false;
+    }
+
+    async open() {
+        await fs.promises.mkdir(this.blobDir, { recursive: true });
+        await fs.promises.mkdir(this.tmpDir, { recursive: true });
+    }
+
+    async load() {
+        const { addresses, messages, meta, operations, torn } = await this.replay();
+        const emails = buildEmails(addresses, messages);
+
+        // Compact once the journal holds mostly superseded operations
+        const live = emails.size + Object.keys(meta).length +
+            Array.from(emails.values()).reduce((sum, entry) => sum + entry.messages.length, 0);
+        if (torn || operations > live * 2 || !fs.existsSync(this.journalFile)) {
+            await this.compact(emails, meta);
+        } else {
+            this.snapshotBytes = (await fs.promises.stat(this.journalFile)).size;
+        }
+
+        return { emails, meta };
+    }
+
+    // Read the journal (or the legacy file) back into addresses, messages and meta
+    async replay() {
+        const addresses = new Map();
+        const messages = new Map();
+        const meta = {};
+        let operations = 0;
+        let torn = false;
+
+        const apply = (op) => {
+            operations++;
+
+            switch (op.op) {
+                case 'address':
+                    addresses.set(op.address, op.data);
+                    break;
+                case 'message':
+                    if (!messages.has(op.address)) messages.set(op.address, new Map());
+                    messages.get(op.address).set(op.data.id, op.data);
+                    break;
+                case 'delete-message':
+                    messages.get(op.address)?.delete(op.id);
+                    break;
+                case 'delete-address':
+                    addresses.delete(op.address);
+                    messages.delete(op.address);
+                    break;
+                case 'meta':
+                    meta[op.key] = op.value;
+                    break;
+            }
+        };
+
+        if (fs.existsSync(this.journalFile)) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(this.journalFile, 'utf8'),
+                crlfDelay: Infinity
+            });
+
+            for await (const line of lines) {
+                if (!line.trim()) continue;
+
+                try {
+                    apply(JSON.parse(line));
+                } catch (error) {
+                    // A torn final line after a crash is skipped
+                    console.log('⚠️  Skipping corrupt journal line');
+                    torn = true;
+                }
+            }
+
+            torn = torn || !(await this.endsWithNewline());
+        } else if (this.legacyFile && fs.existsSync(this.legacyFile)) {
+            this.importLegacy(apply);
+        }
+
+        return { addresses, messages, meta, operations, torn };
+    }
+
+    // A write cut short before its newline may still parse as a whole record
+    async endsWithNewline() {
+        const handle = await fs.promises.open(this.journalFile, 'r');
+        try {
+            const { size } = await handle.stat();
+            if (size === 0) return true;
+
+            const last = Buffer.alloc(1);
+            await handle.read(last, 0, 1, size - 1);
+            return last[0] === 0x0a;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    importLegacy(apply) {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.legacyFile, 'utf8'));
+
+            for (const [address, entry] of Object.entries(data.emails || {})) {
+                apply({ op: 'address', address, data: addressRecord(entry) });
+                (entry.messages || []).forEach(message => {
+                    apply({ op: 'message', address, data: message });
+                });
+            }
+
+            if (data.stats) {
+                apply({ op: 'meta', key: 'stats', value: data.stats });
+            }
+
+            console.log(`📂 Imported legacy storage from ${path.basename(this.legacyFile)}`);
+        } catch (error) {
+            console.error('Error importing legacy storage:', error.message);
+        }
+    }
+
+    // Rewrite the journal as a snapshot of the current state (atomic rename)
+    async compact(emails, meta) {
+        await this.writing;
+        await this.writeSnapshot(emails, meta, this.appendedBytes);
+    }
+
+    // covered: the appended bytes already contained in emails and meta
+    async writeSnapshot(emails, meta, covered) {
+        const tmpFile = path.join(this.tmpDir, `journal-${process.pid}-${Date.now()}.jsonl`);
+        const handle = await fs.promises.open(tmpFile, 'w');
+        let bytes = 0;
+        const write = async (op) => {
+            const line = JSON.stringify(op) + '\n';
+            bytes += Buffer.byteLength(line);
+            await handle.write(line);
+        };
+
+        try {
+            for (const [address, entry] of emails) {
+                await write({ op: 'address', address, data: addressRecord(entry) });
+                for (const message of entry.messages) {
+                    await write({ op: 'message', address, data: message });
+                }
+            }
+            for (const [key, value] of Object.entries(meta)) {
+                await write({ op: 'meta', key, value });
+            }
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fs.promises.rename(tmpFile, this.journalFile);
+        this.snapshotBytes = bytes;
+        this.appendedBytes -= covered;
+    }
+
+    // Runtime compaction: replay the journal itself into a fresh snapshot.
+    // It runs in the write chain, so appends queued meanwhile land after it
+    compactIfNeeded() {
+        if (this.compacting || this.appendedBytes <= Math.max(this.snapshotBytes, COMPACT_MIN_BYTES)) return;
+
+        // Appends flushed from now on are written after the replay
+        const covered = this.appendedBytes;
+        this.compacting = true;
+        this.writing = this.writing
+            .then(async () => {
+                const { addresses, messages, meta } = await this.replay();
+                await this.writeSnapshot(buildEmails(addresses, messages), meta, covered);
+            })
+            .catch(error => console.error('Error compacting journal:', error.message))
+            .finally(() => {
+                this.compacting = false;
+            });
+    }
+
+    // Queue an operation; all operations of one tick are appended together
+    append(op) {
+        this.pending.push(JSON.stringify(op) + '\n');
+
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            setImmediate(() => this.flush());
+        }
+
+        return this.writing;
+    }
+
+    flush() {
+        this.flushScheduled = false;
+        if (this.pending.length === 0) return this.writing;
+
+        const chunk = this.pending.join('');
+        this.pending = [];
+        this.appendedBytes += Buffer.byteLength(chunk);
+
+        this.writing = this.writing
+            .then(() => fs.promises.appendFile(this.journalFile, chunk, 'utf8'))
+            .catch(error => console.error('Error writing journal:', error.message));
+        this.compactIfNeeded();
+
+        return this.writing;
+    }
+
+    async saveAddress(entry) {
+        return this.append({ op: 'address', address: entry.address, data: addressRecord(entry) });
+    }
+
+    async saveMessage(address, message) {
+        return this.append({ op: 'message', address, data: message });
+    }
+
+    async deleteMessage(address, id) {
+        return this.append({ op: 'delete-message', address, id });
+    }
+
+    async deleteAddress(address) {
+        return this.append({ op: 'delete-address', address });
+    }
+
+    async saveMeta(key, value) {
+        return this.append({ op: 'meta', key, value });
+    }
+
+    blobPath(key) {
+        const resolved = path.resolve(this.blobDir, key);
+        if (!resolved.startsWith(this.blobDir + path.sep)) {
+            throw new Error(`Invalid blob key: ${key}`);
+        }
+        return resolved;
+    }
+
+    async putBlob(key, buffer) {
+        const target = this.blobPath(key);
+        const tmpFile = path.join(this.tmpDir, crypto.randomBytes(8).toString('hex'));
+
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(tmpFile, buffer);
+        await fs.promises.rename(tmpFile, target);
+    }
+
+    async getBlob(key) {
+        try {
+            return await fs.promises.readFile(this.blobPath(key));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async deleteBlobs(prefix) {
+        await fs.promises.rm(this.blobPath(prefix), { recursive: true, force: true });
+    }
+
+    async close() {
+        await this.flush();
+    }
+}
+
+// ============================================
+// SQLITE STORAGE
+// ============================================
+// Uses node-sqlite3-wasm, SQLite compiled to WebAssembly with direct file
+// access, so no native build is needed. Its calls are synchronous, so writes
+// are queued like the JSON lines journal and run in one transaction per tick.
+// WAL needs shared memory the wasm build lacks unless the database is opened
+// in exclusive locking mode, which suits a single server process anyway.
+// Prepared statements live in wasm memory and have to be finalized before
+// the database is closed.
+class SqliteStorage {
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.file = options.file;
+        this.legacyFile = options.legacyFile || null;
+        this.db = null;
+
+        this.pending = [];
+        this.flushed = Promise.resolve();
+        this.flushScheduled = false;
+    }
+
+    async open() {
+        const { Database } = require('node-sqlite3-wasm');
+
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        const isNew = !fs.existsSync(this.file);
+
+        this.db = new Database(this.file);
+        this.db.exec(`
+            PRAGMA locking_mode = EXCLUSIVE;
+            PRAGMA journal_mode = WAL;
+            PRAGMA synchronous = NORMAL;
+            CREATE TABLE IF NOT EXISTS addresses (address TEXT PRIMARY KEY, data TEXT NOT NULL);
+            CREATE TABLE IF NOT EXISTS messages (
+                id TEXT PRIMARY KEY,
+                address TEXT NOT NULL,
+                date TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS messages_address ON messages (address, date);
+            CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+            CREATE TABLE IF NOT EXISTS blobs (key TEXT PRIMARY KEY, data BLOB NOT NULL);
+        `);
+
+        this.statements = {
+            saveAddress: this.db.prepare('INSERT OR REPLACE INTO addresses (address, data) VALUES (?, ?)'),
+            saveMessage: this.db.prepare('INSERT OR REPLACE INTO messages (id, address, date, data) VALUES (?, ?, ?, ?)'),
+            deleteMessage: this.db.prepare('DELETE FROM messages WHERE address = ? AND id = ?'),
+            deleteAddress: this.db.prepare('DELETE FROM addresses WHERE address = ?'),
+            deleteAddressMessages: this.db.prepare('DELETE FROM messages WHERE address = ?'),
+            saveMeta: this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+            putBlob: this.db.prepare('INSERT OR REPLACE INTO blobs (key, data) VALUES (?, ?)'),
+            getBlob: this.db.prepare('SELECT data FROM blobs WHERE key = ?'),
+            deleteBlobs: this.db.prepare('DELETE FROM blobs WHERE key LIKE ? ESCAPE \'\\\'')
+        };
+
+        if (isNew && this.legacyFile && fs.existsSync(this.legacyFile)) {
+            this.importLegacy();
+        }
+    }
+
+    importLegacy() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.legacyFile, 'utf8'));
+
+            this.transaction(() => {
+                for (const [address, entry] of Object.entries(data.emails || {})) {
+                    this.statements.saveAddress.run([address, JSON.stringify(addressRecord(entry))]);
+                    (entry.messages || []).forEach(message => {
+                        this.statements.saveMessage.run([message.id, address, message.date, JSON.stringify(message)]);
+                    });
+                }
+                if (data.stats) {
+                    this.statements.saveMeta.run(['stats', JSON.stringify(data.stats)]);
+                }
+            });
+
+            console.log(`📂 Imported legacy storage from ${path.basename(this.legacyFile)}`);
+        } catch (error) {
+            console.error('Error importing legacy storage:', error.message);
+        }
+    }
+
+    transaction(fn) {
+        this.db.exec('BEGIN');
+        try {
+            fn();
+            this.db.exec('COMMIT');
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    // Queue a write; all writes of one tick are committed together
+    write(statement, params) {
+        this.pending.push([statement, params]);
+
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            this.flushed = new Promise(resolve => setImmediate(() => resolve(this.flush())));
+        }
+
+        return this.flushed;
+    }
+
+    flush() {
+        this.flushScheduled = false;
+        if (this.pending.length === 0 || !this.db) return;
+
+        const pending = this.pending;
+        this.pending = [];
+
+        try {
+            this.transaction(() => {
+                pending.forEach(([statement, params]) => this.statements[statement].run(params));
+            });
+        } catch (error) {
+            console.error('Error writing database:', error.message);
+        }
+    }
+
+    async load() {
+        const addresses = new Map();
+        const messages = new Map();
+        const meta = {};
+
+        for (const row of this.db.all('SELECT address, data FROM addresses')) {
+            addresses.set(row.address, JSON.parse(row.data));
+        }
+
+        for (const row of this.db.all('SELECT address, data FROM messages')) {
+            const message = JSON.parse(row.data);
+            if (!messages.has(row.address)) messages.set(row.address, new Map());
+            messages.get(row.address).set(message.id, message);
+        }
+
+        for (const row of this.db.all('SELECT key, value FROM meta')) {
+            meta[row.key] = JSON.parse(row.value);
+        }
+
+        return { emails: buildEmails(addresses, messages), meta };
+    }
+
+    async saveAddress(entry) {
+        return this.write('saveAddress', [entry.address, JSON.stringify(addressRecord(entry))]);
+    }
+
+    async saveMessage(address, message) {
+        return this.write('saveMessage', [message.id, address, message.date, JSON.stringify(message)]);
+    }
+
+    async deleteMessage(address, id) {
+        return this.write('deleteMessage', [address, id]);
+    }
+
+    async deleteAddress(address) {
+        this.write('deleteAddressMessages', [address]);
+        return this.write('deleteAddress', [address]);
+    }
+
+    async saveMeta(key, value) {
+        return this.write('saveMeta', [key, JSON.stringify(value)]);
+    }
+
+    async putBlob(key, buffer) {
+        return this.write('putBlob', [key, buffer]);
+    }
+
+    // Queued writes go first so a blob reads back right after putBlob()
+    async getBlob(key) {
+        this.flush();
+        const row = this.statements.getBlob.get([key]);
+        return row ? Buffer.from(row.data) : null;
+    }
+
+    async deleteBlobs(prefix) {
+        const escaped = prefix.replace(/[\\%_]/g, match => `\\${match}`);
+        return this.write('deleteBlobs', [`${escaped}/%`]);
+    }
+
+    async close() {
+        if (this.db) {
+            this.flush();
+            Object.values(this.statements).forEach(statement => statement.finalize());
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+// ============================================
+// FACTORY
+// ============================================
+function createStorage(options = {}) {
+    const backend = (options.backend || 'memory').toLowerCase();
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'jsonl':
+        case 'file':
+            return new JsonLinesStorage({
+                dir: options.dataDir,
+                legacyFile: options.legacyFile
+            });
+        case 'sqlite':
+            return new SqliteStorage({
+                file: path.join(options.dataDir, 'emails.sqlite'),
+                legacyFile: options.legacyFile
+            });
+        default:
+            throw new Error(`Unknown storage backend: ${options.backend}`);
+    }
+}
+
+module.exports = {
+    createStorage,
+    MemoryStorage,
+    JsonLinesStorage,
+    SqliteStorage
+};
@@ -0,0 +1,91 @@
+/**
+ * SMTP TLS
+ * Loads the certificate used for STARTTLS and implicit TLS, generating a
+ * self-signed one (kept in DATA_DIR/tls) when no cert/key files are configured
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const selfsigned = require('selfsigned');
+
+async function readIfExists(file) {
+    try {
+        return await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function generateSelfSigned(hostnames) {
+    const names = hostnames.length > 0 ? hostnames : ['localhost'];
+    const altNames = names.map(name => net.isIP(name)
+        ? { type: 7, ip: name }
+        : { type: 2, value: name });
+
+    const pems = await selfsigned.generate([{ name: 'commonName', value: names[0] }], {
+        keySize: 2048,
+        algorithm: 'sha256',
+        notAfterDate: new Date(Date.now() + 5 * 365 * 24 * 60 * 60 * 1000),
+        extensions: [{ name: 'subjectAltName', altNames }]
+    });
+
+    return { key: pems.private, cert: pems.cert };
+}
+
+// Options:
+//   certFile, keyFile  PEM files to use as-is
+//   dataDir            where a generated self-signed pair is cached
+//   hostnames          names/IPs for a generated certificate
+// Returns { key, cert, source } where source is 'files' or 'self-signed'
+async function loadTlsOptions({ certFile, keyFile, dataDir, hostnames = [] } = {}) {
+    if (certFile || keyFile) {
+        if (!certFile || !keyFile) {
+            throw new Error('Set both TLS_CERT_FILE and TLS_KEY_FILE, or neither');
+        }
+
+        return {
+            key: await fs.promises.readFile(keyFile, 'utf8'),
+            cert: await fs.promises.readFile(certFile, 'utf8'),
+            source: 'files'
+        };
+    }
+
+    const dir = path.join(dataDir, 'tls');
+    const keyPath = path.join(dir, 'selfsigned-key.pem');
+    const certPath = path.join(dir, 'selfsigned-cert.pem');
+
+    const [key, cert] = await Promise.all([readIfExists(keyPath), readIfExists(certPath)]);
+    if (key && cert) {
+        return { key, cert, source: 'self-signed' };
+    }
+
+    const generated = await generateSelfSigned(hostnames);
+    try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(keyPath, generated.key, { mode: 0o600 });
+        await fs.promises.writeFile(certPath, generated.cert);
+        console.log(`🔐 Generated self-signed certificate in ${dir}`);
+    } catch (error) {
+        console.log(`⚠️  Could not save self-signed certificate: ${error.message}`);
+    }
+
+    return { ...generated, source: 'self-signed' };
+}
+
+// TLS status of an SMTP session, stored on every received message
+function describeSession(session) {
+    const cipher = session.secure && session.tlsOptions ? session.tlsOptions : null;
+
+    return {
+        secure: !!session.secure,
+        protocol: cipher ? cipher.version || null : null,
+        cipher: cipher ? cipher.standardName || cipher.name || null : null
+    };
+}
+
+module.exports = {
+    loadTlsOptions,
+    describeSession
+};
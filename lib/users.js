@@ -0,0 +1,162 @@
+/**
+ * SMTP USERS
+ * Accounts for authenticated submission (SMTP AUTH PLAIN/LOGIN)
+ *
+ * Passwords are stored as "scrypt$<salt>$<hash>" (hex). Each user may send
+ * as the addresses listed in "addresses"; "*@example.com" allows a whole domain.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+function normalizeAddresses(addresses) {
+    const list = [].concat(addresses || [])
+        .map(address => String(address).trim().toLowerCase())
+        .filter(Boolean);
+
+    const invalid = list.find(address => !/^[^@\s]+@[^@\s]+$/.test(address));
+    if (invalid) {
+        throw badRequest(`Invalid address "${invalid}"`);
+    }
+    return list;
+}
+
+class UserStore {
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.users = new Map();
+    }
+
+    load(users = []) {
+        users.forEach(user => this.users.set(user.username, user));
+        if (this.users.size > 0) {
+            console.log(`👤 Loaded ${this.users.size} SMTP users`);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        this.storage.saveMeta('smtpUsers', Array.from(this.users.values())).catch(error => {
+            console.error('Error saving SMTP users:', error.message);
+        });
+    }
+
+    // Password hashes never leave the store
+    describe(user) {
+        const { passwordHash, ...rest } = user;
+        return rest;
+    }
+
+    get(username) {
+        return this.users.get(String(username || '').toLowerCase()) || null;
+    }
+
+    list() {
+        return Array.from(this.users.values()).map(user => this.describe(user));
+    }
+
+    async create({ username, password, addresses } = {}) {
+        username = String(username || '').trim().toLowerCase();
+
+        if (!/^[a-z0-9_.@-]{3,64}$/.test(username)) {
+            throw badRequest('username must be 3-64 characters of a-z, 0-9, _ . @ -');
+        }
+        if (!password || String(password).length < 8) {
+            throw badRequest('password must be at least 8 characters');
+        }
+        if (this.users.has(username)) {
+            const error = new Error('User already exists');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const user = {
+            username,
+            passwordHash: await hashPassword(password),
+            addresses: normalizeAddresses(addresses),
+            createdAt: new Date().toISOString()
+        };
+
+        this.users.set(username, user);
+        this.save();
+        return user;
+    }
+
+    async update(username, { password, addresses } = {}) {
+        const user = this.get(username);
+        if (!user) return null;
+
+        if (password !== undefined) {
+            if (String(password).length < 8) {
+                throw badRequest('password must be at least 8 characters');
+            }
+            user.passwordHash = await hashPassword(password);
+        }
+        if (addresses !== undefined) {
+            user.addresses = normalizeAddresses(addresses);
+        }
+
+        user.updatedAt = new Date().toISOString();
+        this.save();
+        return user;
+    }
+
+    remove(username) {
+        const removed = this.users.delete(String(username || '').toLowerCase());
+        if (removed) this.save();
+        return removed;
+    }
+
+    // Resolves to the user on success, null otherwise
+    async authenticate(username, password) {
+        const user = this.get(username);
+        if (!user) {
+            // Spend the same time as a real check so usernames can't be probed
+            await verifyPassword(password, `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`);
+            return null;
+        }
+
+        return await verifyPassword(password, user.passwordHash) ? user : null;
+    }
+
+    canSendAs(username, address) {
+        const user = this.get(username);
+        if (!user) return false;
+
+        address = String(address || '').toLowerCase();
+        const domain = address.split('@').pop();
+
+        return user.addresses.some(allowed => allowed === address || allowed === `*@${domain}`);
+    }
+}
+
+module.exports = {
+    UserStore,
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,305 @@
+/**
+ * OUTBOUND WEBHOOKS
+ * Signed JSON POSTs on inbox events, with retries and a delivery log
+ *
+ * Each request carries:
+ *   X-Webhook-Event      event name, e.g. "email.received"
+ *   X-Webhook-Delivery   unique delivery id (stable across retries)
+ *   X-Webhook-Timestamp  unix seconds when the delivery was created
+ *   X-Webhook-Signature  "sha256=" + HMAC-SHA256(secret, timestamp + "." + body)
+ *
+ * Per-address webhooks are registered with nothing more than an inbox token,
+ * so unless allowPrivateTargets is set they may only reach public addresses:
+ * the host is checked when the webhook is created and again on every
+ * delivery, against the addresses the connection actually uses.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const DELIVERY_LOG_SIZE = 50;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges.
+// BlockList matches IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the
+// IPv4 rules and IPv4 addresses against ::ffff:0:0/96, so that range stays out
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(ip) {
+    const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    const family = net.isIP(address);
+    if (!family) return true;
+    return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function targetError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// dns.lookup() replacement for outgoing requests that refuses non-public addresses
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            return callback(targetError(`${hostname} resolves to a non-public address (${blocked.address})`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+class WebhookManager {
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.maxRetries = options.maxRetries ?? 5;
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.timeout = options.timeout ?? 5000;
+        this.allowPrivateTargets = !!options.allowPrivateTargets;
+
+        this.webhooks = new Map();
+        this.deliveries = new Map();
+        this.timers = new Map(); // webhook id -> Set of pending retry timers
+    }
+
+    load(webhooks = []) {
+        webhooks.forEach(webhook => this.webhooks.set(webhook.id, webhook));
+        if (this.webhooks.size > 0) {
+            console.log(`🔗 Loaded ${this.webhooks.size} webhooks`);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        this.storage.saveMeta('webhooks', Array.from(this.webhooks.values())).catch(error => {
+            console.error('Error saving webhooks:', error.message);
+        });
+    }
+
+    // Global webhooks are created by an admin; inbox webhooks by anyone with a token
+    isRestricted(webhook) {
+        return webhook.address !== null && !this.allowPrivateTargets;
+    }
+
+    // address === null registers a global webhook that fires for every inbox
+    async create({ url, address = null, secret, events } = {}) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            parsed = null;
+        }
+
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            throw targetError('Webhook url must be a valid http(s) URL');
+        }
+
+        if (this.isRestricted({ address })) {
+            await this.checkTarget(parsed.hostname);
+        }
+
+        const webhook = {
+            id: crypto.randomBytes(8).toString('hex'),
+            url: parsed.toString(),
+            address,
+            secret: secret || crypto.randomBytes(24).toString('hex'),
+            events: Array.isArray(events) && events.length > 0 ? events : ['email.received'],
+            createdAt: new Date().toISOString()
+        };
+
+        this.webhooks.set(webhook.id, webhook);
+        this.save();
+        return webhook;
+    }
+
+    // Rejects unless every address the host resolves to is public
+    async checkTarget(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+
+        if (net.isIP(host)) {
+            addresses = [host];
+        } else {
+            try {
+                addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+            } catch (error) {
+                throw targetError(`Cannot resolve webhook host ${host}: ${error.code || error.message}`);
+            }
+        }
+
+        const blocked = addresses.find(isPrivateAddress);
+        if (blocked) {
+            throw targetError(blocked === host
+                ? `Webhook url must point to a public address, ${host} is not one`
+                : `Webhook url must point to a public address, ${host} resolves to ${blocked}`);
+        }
+    }
+
+    // The secret is only shown once, when the webhook is created
+    describe(webhook) {
+        const { secret, ...rest } = webhook;
+        return rest;
+    }
+
+    get(id) {
+        return this.webhooks.get(id) || null;
+    }
+
+    list(address) {
+        return Array.from(this.webhooks.values())
+            .filter(webhook => address === undefined || webhook.address === address);
+    }
+
+    remove(id) {
+        const removed = this.webhooks.delete(id);
+        if (removed) {
+            this.deliveries.delete(id);
+            this.clearTimers(id);
+            this.save();
+        }
+        return removed;
+    }
+
+    removeForAddress(address) {
+        this.list(address).forEach(webhook => this.remove(webhook.id));
+    }
+
+    getDeliveries(id) {
+        return this.deliveries.get(id) || [];
+    }
+
+    // Fire an event to every global webhook and every webhook of the address
+    dispatch(event, address, data) {
+        for (const webhook of this.webhooks.values()) {
+            if (webhook.address !== null && webhook.address !== address) continue;
+            if (!webhook.events.includes(event) && !webhook.events.includes('*')) continue;
+
+            this.deliver(webhook, event, { address, ...data });
+        }
+    }
+
+    // Send a test event and report the outcome of the first attempt
+    test(id) {
+        const webhook = this.get(id);
+        if (!webhook) return Promise.resolve(null);
+
+        return this.deliver(webhook, 'webhook.test', {
+            address: webhook.address,
+            message: 'This is a test delivery'
+        }, { retry: false });
+    }
+
+    deliver(webhook, event, data, { retry = true } = {}) {
+        const delivery = {
+            id: crypto.randomBytes(8).toString('hex'),
+            timestamp: Math.floor(Date.now() / 1000)
+        };
+        const body = JSON.stringify({
+            event,
+            deliveryId: delivery.id,
+            timestamp: new Date(delivery.timestamp * 1000).toISOString(),
+            ...data
+        });
+        const signature = crypto.createHmac('sha256', webhook.secret)
+            .update(`${delivery.timestamp}.${body}`)
+            .digest('hex');
+
+        const attempt = async (number) => {
+            // Retries of a webhook deleted in the meantime are dropped
+            if (!this.webhooks.has(webhook.id)) return null;
+
+            const started = Date.now();
+            const entry = {
+                deliveryId: delivery.id,
+                event,
+                attempt: number,
+                date: new Date().toISOString()
+            };
+
+            try {
+                // The lookup catches hosts that resolve elsewhere since creation;
+                // IP literals never reach it, so check the target up front too
+                const restricted = this.isRestricted(webhook);
+                if (restricted) await this.checkTarget(new URL(webhook.url).hostname);
+
+                const response = await axios.post(webhook.url, body, {
+                    timeout: this.timeout,
+                    maxRedirects: 0,
+                    lookup: restricted ? publicLookup : undefined,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'public-email-server-webhooks',
+                        'X-Webhook-Event': event,
+                        'X-Webhook-Delivery': delivery.id,
+                        'X-Webhook-Timestamp': String(delivery.timestamp),
+                        'X-Webhook-Signature': `sha256=${signature}`
+                    },
+                    validateStatus: () => true
+                });
+
+                entry.statusCode = response.status;
+                entry.success = response.status >= 200 && response.status < 300;
+            } catch (error) {
+                entry.success = false;
+                entry.error = error.message;
+            }
+
+            entry.duration = Date.now() - started;
+
+            if (!entry.success && retry && number <= this.maxRetries) {
+                // Exponential backoff: 1x, 2x, 4x, ... the base delay
+                entry.nextRetryIn = this.retryDelay * Math.pow(2, number - 1);
+                const timer = setTimeout(() => {
+                    this.timers.get(webhook.id)?.delete(timer);
+                    attempt(number + 1);
+                }, entry.nextRetryIn);
+                if (!this.timers.has(webhook.id)) this.timers.set(webhook.id, new Set());
+                this.timers.get(webhook.id).add(timer);
+            }
+
+            this.logDelivery(webhook.id, entry);
+            if (!entry.success) {
+                console.log(`⚠️  Webhook ${webhook.url} failed (attempt ${number}): ${entry.error || entry.statusCode}`);
+            }
+            return entry;
+        };
+
+        return attempt(1);
+    }
+
+    logDelivery(id, entry) {
+        if (!this.webhooks.has(id)) return;
+
+        const log = this.deliveries.get(id) || [];
+        log.unshift(entry);
+        this.deliveries.set(id, log.slice(0, DELIVERY_LOG_SIZE));
+    }
+
+    clearTimers(id) {
+        (this.timers.get(id) || []).forEach(timer => clearTimeout(timer));
+        this.timers.delete(id);
+    }
+
+    close() {
+        Array.from(this.timers.keys()).forEach(id => this.clearTimers(id));
+    }
+}
+
+module.exports = {
+    WebhookManager,
+    isPrivateAddress,
+    publicLookup
+};
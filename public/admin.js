@@ -0,0 +1,397 @@
+/**
+ * PUBLIC EMAIL SERVER - ADMIN DASHBOARD
+ * Talks to /api/admin/* with the ADMIN_TOKEN kept in sessionStorage
+ */
+
+// ============================================
+// ADMIN CLIENT
+// ============================================
+class AdminClient {
+    constructor() {
+        this.token = sessionStorage.getItem('adminToken') || '';
+        this.search = '';
+        this.offset = 0;
+        this.pageSize = 25;
+        this.config = {};
+        this.defaults = {};
+        this.overrides = {};
+        
+        this.setupEventListeners();
+        
+        if (this.token) {
+            this.showDashboard();
+        }
+    }
+    
+    // ============================================
+    // API
+    // ============================================
+    async api(path, options = {}) {
+        const response = await fetch(`/api/admin${path}`, {
+            ...options,
+            headers: {
+                'X-Admin-Token': this.token,
+                ...(options.body ? { 'Content-Type': 'application/json' } : {})
+            }
+        });
+        const data = await response.json();
+        
+        if (response.status === 401 || response.status === 403) {
+            this.signOut();
+        }
+        if (!data.success) {
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        return data;
+    }
+    
+    // ============================================
+    // SESSION
+    // ============================================
+    async signIn() {
+        this.token = document.getElementById('adminToken').value.trim();
+        if (!this.token) return;
+        
+        try {
+            await this.api('/overview');
+            sessionStorage.setItem('adminToken', this.token);
+            this.showDashboard();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+    
+    signOut() {
+        this.token = '';
+        sessionStorage.removeItem('adminToken');
+        document.getElementById('adminDashboard').style.display = 'none';
+        document.getElementById('logoutBtn').style.display = 'none';
+        document.getElementById('loginCard').style.display = 'block';
+    }
+    
+    showDashboard() {
+        document.getElementById('loginCard').style.display = 'none';
+        document.getElementById('adminDashboard').style.display = 'flex';
+        document.getElementById('logoutBtn').style.display = 'inline-flex';
+        this.refresh();
+    }
+    
+    refresh() {
+        this.loadOverview();
+        this.loadAddresses();
+        this.loadConfig();
+        this.loadRejected();
+    }
+    
+    // ============================================
+    // OVERVIEW
+    // ============================================
+    async loadOverview() {
+        try {
+            const data = await this.api('/overview');
+            const stats = data.stats;
+            
+            document.getElementById('overviewStats').innerHTML = [
+                ['envelope', stats.totalEmails, 'Total Emails'],
+                ['users', stats.activeAddresses, 'Active Addresses'],
+                ['shield-virus', data.quarantined, 'Quarantined'],
+                ['ban', stats.rejectedSessions, 'Rejected Sessions'],
+                ['clock', this.formatUptime(stats.uptime), 'Uptime']
+            ].map(([icon, value, label]) => `
+                <div class="stat">
+                    <div class="stat-icon"><i class="fas fa-${icon}"></i></div>
+                    <div class="stat-info">
+                        <span class="stat-value">${this.escapeHtml(String(value))}</span>
+                        <span class="stat-label">${label}</span>
+                    </div>
+                </div>
+            `).join('');
+            
+            const connections = Object.values(data.smtp.activeConnections)
+                .reduce((sum, count) => sum + count, 0);
+            
+            document.getElementById('overviewDetails').innerHTML = [
+                ['Domains', stats.domains.join(', ')],
+                ['Storage', data.storage],
+                ['Memory (RSS)', this.formatSize(data.memory.rss)],
+                ['SMTP', `port ${data.smtp.port}${data.smtp.smtpsPort ? `, SMTPS ${data.smtp.smtpsPort}` : ''}${data.smtp.starttls ? ', STARTTLS' : ''}`],
+                ['Open SMTP connections', connections],
+                ['Blocked IPs', data.smtp.blocked],
+                ['SMTP users', data.smtp.users],
+                ['Webhooks', data.webhooks],
+                ['Outbound relay', data.relay ? 'configured' : 'not configured']
+            ].map(([label, value]) => `
+                <div class="detail-item">
+                    <span>${label}</span>
+                    <code>${this.escapeHtml(String(value))}</code>
+                </div>
+            `).join('');
+        } catch (error) {
+            this.showToast(`Failed to load overview: ${error.message}`, 'error');
+        }
+    }
+    
+    async runCleanup() {
+        try {
+            const data = await this.api('/cleanup', { method: 'POST' });
+            this.showToast(`Removed ${data.deletedEmails} emails and ${data.expiredAddresses} expired addresses`, 'success');
+            this.refresh();
+        } catch (error) {
+            this.showToast(`Cleanup failed: ${error.message}`, 'error');
+        }
+    }
+    
+    // ============================================
+    // ADDRESSES
+    // ============================================
+    async loadAddresses() {
+        try {
+            const params = new URLSearchParams({ q: this.search, limit: this.pageSize, offset: this.offset });
+            const data = await this.api(`/addresses?${params}`);
+            const rows = document.getElementById('addressRows');
+            
+            rows.innerHTML = data.addresses.length === 0
+                ? '<tr><td colspan="7" class="admin-empty">No addresses</td></tr>'
+                : data.addresses.map(entry => `
+                    <tr>
+                        <td><code>${this.escapeHtml(entry.address)}</code>${entry.claimed ? '' : ' <span class="spam-tag">unclaimed</span>'}</td>
+                        <td>${this.formatDate(entry.created)}</td>
+                        <td>${entry.expiresAt ? this.formatDate(entry.expiresAt) : 'Never'}</td>
+                        <td>${entry.stats.received}</td>
+                        <td>${entry.stats.read}</td>
+                        <td>${entry.folders.inbox} / ${entry.folders.sent} / ${entry.folders.quarantine}</td>
+                        <td>
+                            <button class="icon-btn delete-btn" title="Delete address" data-address="${this.escapeHtml(entry.address)}">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('');
+            
+            const last = Math.min(data.offset + data.addresses.length, data.total);
+            document.getElementById('addressCount').textContent = data.total === 0
+                ? '0 addresses'
+                : `${data.offset + 1}-${last} of ${data.total}`;
+            document.getElementById('addressPrev').disabled = data.offset === 0;
+            document.getElementById('addressNext').disabled = last >= data.total;
+        } catch (error) {
+            this.showToast(`Failed to load addresses: ${error.message}`, 'error');
+        }
+    }
+    
+    async deleteAddress(address) {
+        if (!confirm(`Delete ${address} and all of its mail?`)) return;
+        
+        try {
+            await this.api(`/addresses/${encodeURIComponent(address)}`, { method: 'DELETE' });
+            this.showToast(`${address} deleted`, 'success');
+            this.loadAddresses();
+            this.loadOverview();
+        } catch (error) {
+            this.showToast(`Delete failed: ${error.message}`, 'error');
+        }
+    }
+    
+    // ============================================
+    // RUNTIME CONFIG
+    // ============================================
+    async loadConfig() {
+        try {
+            const data = await this.api('/config');
+            this.config = data.config;
+            this.defaults = data.defaults;
+            this.overrides = data.overrides;
+            this.renderConfig();
+        } catch (error) {
+            this.showToast(`Failed to load config: ${error.message}`, 'error');
+        }
+    }
+    
+    renderConfig() {
+        document.getElementById('configForm').innerHTML = Object.entries(this.config).map(([key, value]) => {
+            const input = typeof value === 'boolean'
+                ? `<select data-key="${key}">
+                        <option value="true"${value ? ' selected' : ''}>true</option>
+                        <option value="false"${value ? '' : ' selected'}>false</option>
+                   </select>`
+                : `<input type="${typeof value === 'number' ? 'number' : 'text'}" step="any" data-key="${key}" value="${this.escapeHtml(String(value))}">`;
+            
+            return `
+                <div class="form-group">
+                    <label>
+                        ${key}
+                        ${key in this.overrides ? `<button class="icon-btn" title="Reset to ${this.escapeHtml(String(this.defaults[key]))}" data-reset="${key}"><i class="fas fa-undo"></i></button>` : ''}
+                    </label>
+                    ${input}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Only values that differ from what the server reported are sent
+    async saveConfig() {
+        const changes = {};
+        
+        document.querySelectorAll('#configForm [data-key]').forEach(field => {
+            const key = field.dataset.key;
+            const current = this.config[key];
+            const value = typeof current === 'boolean' ? field.value === 'true'
+                : typeof current === 'number' ? parseFloat(field.value)
+                : field.value.trim();
+            
+            if (value !== current) changes[key] = value;
+        });
+        
+        if (Object.keys(changes).length === 0) {
+            this.showToast('Nothing changed', 'info');
+            return;
+        }
+        
+        await this.patchConfig(changes, `Saved ${Object.keys(changes).join(', ')}`);
+    }
+    
+    async resetConfig(key) {
+        await this.patchConfig({ [key]: null }, `${key} reset to default`);
+    }
+    
+    async patchConfig(changes, message) {
+        try {
+            const data = await this.api('/config', { method: 'PATCH', body: JSON.stringify(changes) });
+            this.config = data.config;
+            this.overrides = data.overrides;
+            this.renderConfig();
+            this.showToast(message, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+    
+    // ============================================
+    // REJECTED SESSIONS
+    // ============================================
+    async loadRejected() {
+        try {
+            const stage = document.getElementById('rejectedStage').value;
+            const data = await this.api(`/rejected-sessions?limit=100${stage ? `&stage=${stage}` : ''}`);
+            const rows = document.getElementById('rejectedRows');
+            
+            rows.innerHTML = data.rejected.length === 0
+                ? '<tr><td colspan="6" class="admin-empty">Nothing rejected</td></tr>'
+                : data.rejected.map(entry => `
+                    <tr>
+                        <td>${this.formatDate(entry.date)}</td>
+                        <td>${this.escapeHtml(entry.stage)}</td>
+                        <td><code>${this.escapeHtml(entry.remoteAddress || '')}</code></td>
+                        <td>${this.escapeHtml(entry.from || entry.username || '')}</td>
+                        <td>${this.escapeHtml(entry.recipient || (entry.recipients || []).join(', '))}</td>
+                        <td title="${this.escapeHtml(entry.reason)}">${entry.code}</td>
+                    </tr>
+                `).join('');
+        } catch (error) {
+            this.showToast(`Failed to load rejected sessions: ${error.message}`, 'error');
+        }
+    }
+    
+    // ============================================
+    // UTILITIES
+    // ============================================
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleString();
+    }
+    
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    formatUptime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+        
+        if (days > 0) return `${days}d ${hours % 24}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+        return `${seconds}s`;
+    }
+    
+    showToast(message, type = 'info', duration = 5000) {
+        const container = document.getElementById('toastContainer');
+        const icons = { success: 'check-circle', error: 'exclamation-circle', warning: 'exclamation-triangle', info: 'info-circle' };
+        const titles = { success: 'Success', error: 'Error', warning: 'Warning', info: 'Info' };
+        
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.innerHTML = `
+            <div class="toast-icon">
+                <i class="fas fa-${icons[type] || icons.info}"></i>
+            </div>
+            <div class="toast-content">
+                <div class="toast-title">${titles[type] || titles.info}</div>
+                <div class="toast-message">${this.escapeHtml(message)}</div>
+            </div>
+            <button class="toast-close" onclick="this.parentElement.remove()">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        
+        container.appendChild(toast);
+        setTimeout(() => toast.remove(), duration);
+    }
+    
+    // EVENT HANDLERS
+    setupEventListeners() {
+        document.getElementById('loginBtn').addEventListener('click', () => this.signIn());
+        document.getElementById('adminToken').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.signIn();
+        });
+        document.getElementById('logoutBtn').addEventListener('click', () => this.signOut());
+        document.getElementById('refreshBtn').addEventListener('click', () => this.refresh());
+        document.getElementById('cleanupBtn').addEventListener('click', () => this.runCleanup());
+        document.getElementById('saveConfigBtn').addEventListener('click', () => this.saveConfig());
+        document.getElementById('rejectedStage').addEventListener('change', () => this.loadRejected());
+        
+        // Search as you type, debounced
+        let searchTimer = null;
+        document.getElementById('addressSearch').addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                this.search = e.target.value.trim();
+                this.offset = 0;
+                this.loadAddresses();
+            }, 300);
+        });
+        
+        document.getElementById('addressPrev').addEventListener('click', () => {
+            this.offset = Math.max(this.offset - this.pageSize, 0);
+            this.loadAddresses();
+        });
+        document.getElementById('addressNext').addEventListener('click', () => {
+            this.offset += this.pageSize;
+            this.loadAddresses();
+        });
+        
+        // Row buttons are re-rendered, so listen on the containers
+        document.getElementById('addressRows').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-address]');
+            if (button) this.deleteAddress(button.dataset.address);
+        });
+        document.getElementById('configForm').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-reset]');
+            if (button) this.resetConfig(button.dataset.reset);
+        });
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.adminClient = new AdminClient();
+});
@@ -14,8 +14,22 @@ class EmailClient {
         this.serverInfo = null;
         this.currentView = 'list'; // 'list' or 'detail'
         this.selectedEmail = null;
+        this.showingSource = false;
+        this.filters = { q: '', unread: false, attachments: false, today: false };
+        this.nextCursor = null;
+        this.pageSize = 50;
+        this.folder = 'inbox'; // 'inbox', 'sent' or 'quarantine'
+        this.expiresAt = null; // ISO date, null for permanent addresses
+        this.replyTo = null;
         this.autoRefresh = true;
         this.refreshInterval = null;
+        this.inboxTokens = this.loadInboxTokens();
+        
+        // Restore the last inbox if we still hold its token
+        const lastEmail = localStorage.getItem('currentEmail');
+        if (lastEmail && this.inboxTokens[lastEmail]) {
+            this.currentEmail = lastEmail;
+        }
         
         this.initialize();
     }
@@ -33,9 +47,17 @@ class EmailClient {
         // Setup auto-refresh
         this.setupAutoRefresh();
         
-        // Update time
+        if (this.currentEmail) {
+            document.getElementById('currentEmailDisplay').textContent = this.currentEmail;
+            this.loadEmails();
+        }
+        
+        // Update time and the inbox countdown
         this.updateCurrentTime();
-        setInterval(() => this.updateCurrentTime(), 1000);
+        setInterval(() => {
+            this.updateCurrentTime();
+            this.updateExpiryCountdown();
+        }, 1000);
     }
     
     connectSocket() {
@@ -44,6 +66,7 @@ class EmailClient {
         this.socket.on('connect', () => {
             this.showToast('Connected to server', 'success');
             this.updateConnectionStatus(true);
+            this.subscribeInbox();
         });
         
         this.socket.on('disconnect', () => {
@@ -52,7 +75,7 @@ class EmailClient {
         });
         
         this.socket.on('new-email', (data) => {
-            if (this.currentEmail && data.recipient === this.currentEmail) {
+            if (this.isCurrentInbox(data)) {
                 this.showToast(`New email from ${data.email.from}`, 'success');
                 this.loadEmails();
                 
@@ -63,6 +86,119 @@ class EmailClient {
                 this.showDesktopNotification(data.email);
             }
         });
+        
+        // Keep other open tabs of the same inbox in sync
+        this.socket.on('email-read', (data) => {
+            if (!this.isCurrentInbox(data)) return;
+            
+            const email = this.emails.find(e => e.id === data.id);
+            if (email && !email.read) {
+                email.read = true;
+                this.renderEmailList();
+            }
+        });
+        
+        this.socket.on('email-unread', (data) => {
+            if (!this.isCurrentInbox(data)) return;
+            
+            const email = this.emails.find(e => e.id === data.id);
+            if (email && email.read) {
+                email.read = false;
+                this.renderEmailList();
+            }
+        });
+        
+        this.socket.on('email-deleted', (data) => {
+            if (this.isCurrentInbox(data)) {
+                this.removeEmails([data.id]);
+            }
+        });
+        
+        this.socket.on('email-sent', (data) => {
+            if (this.isCurrentInbox(data) && this.folder === 'sent') {
+                this.loadEmails();
+            }
+        });
+        
+        this.socket.on('emails-expired', (data) => {
+            if (this.isCurrentInbox(data)) {
+                this.removeEmails(data.ids);
+            }
+        });
+        
+        this.socket.on('emails-cleared', (data) => {
+            if (this.isCurrentInbox(data)) {
+                this.removeEmails(this.emails.map(e => e.id));
+            }
+        });
+        
+        this.socket.on('address-extended', (data) => {
+            if (this.isCurrentInbox(data)) {
+                this.setExpiry(data.expiresAt);
+            }
+        });
+        
+        this.socket.on('address-expired', (data) => {
+            if (this.isCurrentInbox(data)) {
+                this.showToast(`${data.recipient} has expired`, 'warning');
+                this.forgetCurrentInbox();
+            }
+        });
+    }
+    
+    isCurrentInbox(data) {
+        return !!this.currentEmail && data.recipient === this.currentEmail;
+    }
+    
+    removeEmails(ids) {
+        this.emails = this.emails.filter(e => !ids.includes(e.id));
+        this.renderEmailList();
+        
+        if (this.selectedEmail && ids.includes(this.selectedEmail.id)) {
+            this.showEmailList();
+        }
+    }
+    
+    subscribeInbox(previousEmail = null) {
+        if (!this.socket || !this.currentEmail) return;
+        
+        if (previousEmail && previousEmail !== this.currentEmail) {
+            this.socket.emit('unsubscribe', { address: previousEmail });
+        }
+        
+        this.socket.emit('subscribe', {
+            address: this.currentEmail,
+            token: this.inboxTokens[this.currentEmail]
+        }, (response) => {
+            if (!response || !response.success) {
+                console.error('Inbox subscription failed:', response && response.error);
+            }
+        });
+    }
+    
+    // INBOX TOKENS
+    loadInboxTokens() {
+        try {
+            return JSON.parse(localStorage.getItem('inboxTokens')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    rememberInbox(address, token) {
+        this.inboxTokens[address] = token;
+        localStorage.setItem('inboxTokens', JSON.stringify(this.inboxTokens));
+        localStorage.setItem('currentEmail', address);
+    }
+    
+    // Fetch a per-address API route with the inbox token attached
+    inboxFetch(url, options = {}) {
+        const headers = {
+            ...(options.headers || {}),
+            'X-Inbox-Token': this.inboxTokens[this.currentEmail] || ''
+        };
+        
+        return fetch(url, { ...options, headers });
     }
     
     async loadServerInfo() {
@@ -95,8 +231,10 @@ class EmailClient {
                     domainSelect.appendChild(option);
                 });
                 
-                // Set default to public IP if available
-                if (data.publicIP) {
+                // Default to the first custom domain, then the public IP
+                if (data.customDomains && data.customDomains.length > 0) {
+                    domainSelect.value = data.customDomains[0];
+                } else if (data.publicIP) {
                     domainSelect.value = data.publicIP;
                     document.getElementById('footerSmtp').textContent = `${data.publicIP}:1025`;
                 }
@@ -113,7 +251,8 @@ class EmailClient {
         const params = new URLSearchParams({
             type: type,
             username: usernameInput.value || '',
-            domain: domainSelect.value || ''
+            domain: domainSelect.value || '',
+            ttl: document.getElementById('lifetime').value || ''
         });
         
         try {
@@ -121,8 +260,12 @@ class EmailClient {
             const data = await response.json();
             
             if (data.success) {
+                const previousEmail = this.currentEmail;
                 this.currentEmail = data.email;
+                this.rememberInbox(data.email, data.token);
+                this.subscribeInbox(previousEmail);
                 this.showEmailResult(data);
+                this.setExpiry(data.expiresAt);
                 this.loadEmails();
                 this.loadDomains();
             } else {
@@ -134,15 +277,45 @@ class EmailClient {
         }
     }
     
-    async loadEmails() {
+    // Build the list query from the active search box and filter chips
+    buildEmailQuery(limit, cursor = null) {
+        const params = new URLSearchParams({ limit, folder: this.folder });
+        
+        if (this.filters.q) params.set('q', this.filters.q);
+        if (this.filters.unread) params.set('read', 'false');
+        if (this.filters.attachments) params.set('hasAttachments', 'true');
+        if (this.filters.today) {
+            params.set('after', new Date(Date.now() - 86400000).toISOString());
+        }
+        if (cursor) params.set('cursor', cursor);
+        
+        return params;
+    }
+    
+    hasActiveFilters() {
+        return !!(this.filters.q || this.filters.unread || this.filters.attachments || this.filters.today);
+    }
+    
+    async loadEmails({ reset = false } = {}) {
         if (!this.currentEmail) return;
         
+        // Refreshes keep every page that was already loaded
+        const limit = reset ? this.pageSize : Math.max(this.pageSize, this.emails.length);
+        
         try {
-            const response = await fetch(`/api/email/${this.currentEmail}`);
+            const response = await this.inboxFetch(`/api/email/${this.currentEmail}?${this.buildEmailQuery(limit)}`);
             const data = await response.json();
             
+            if (response.status === 401 || response.status === 403) {
+                this.showToast('Access to this inbox was lost. Generate a new email.', 'warning');
+                this.forgetCurrentInbox();
+                return;
+            }
+            
             if (data.success) {
+                this.setExpiry(data.expiresAt);
                 this.emails = data.emails;
+                this.nextCursor = data.nextCursor;
                 this.renderEmailList();
                 this.updateStatsUI();
             }
@@ -151,11 +324,29 @@ class EmailClient {
         }
     }
     
+    async loadMoreEmails() {
+        if (!this.currentEmail || !this.nextCursor) return;
+        
+        try {
+            const query = this.buildEmailQuery(this.pageSize, this.nextCursor);
+            const response = await this.inboxFetch(`/api/email/${this.currentEmail}?${query}`);
+            const data = await response.json();
+            
+            if (data.success) {
+                this.emails = this.emails.concat(data.emails);
+                this.nextCursor = data.nextCursor;
+                this.renderEmailList();
+            }
+        } catch (error) {
+            console.error('Failed to load more emails:', error);
+        }
+    }
+    
     async markAsRead(emailId) {
         if (!this.currentEmail) return;
         
         try {
-            const response = await fetch(`/api/email/${this.currentEmail}/${emailId}/read`, {
+            const response = await this.inboxFetch(`/api/email/${this.currentEmail}/${emailId}/read`, {
                 method: 'POST'
             });
             
@@ -174,7 +365,7 @@ class EmailClient {
         }
         
         try {
-            const response = await fetch(`/api/email/${this.currentEmail}/${emailId}`, {
+            const response = await this.inboxFetch(`/api/email/${this.currentEmail}/${emailId}`, {
                 method: 'DELETE'
             });
             
@@ -200,7 +391,7 @@ class EmailClient {
         }
         
         try {
-            const response = await fetch(`/api/email/${this.currentEmail}`, {
+            const response = await this.inboxFetch(`/api/email/${this.currentEmail}`, {
                 method: 'DELETE'
             });
             
@@ -251,8 +442,17 @@ class EmailClient {
     renderEmailList() {
         const emailList = document.getElementById('emailList');
         
+        document.getElementById('loadMore').style.display =
+            this.nextCursor && this.currentView === 'list' ? 'block' : 'none';
+        
         if (!this.emails || this.emails.length === 0) {
-            emailList.innerHTML = `
+            emailList.innerHTML = this.hasActiveFilters() ? `
+                <div class="empty-inbox">
+                    <i class="fas fa-search"></i>
+                    <h3>No matching emails</h3>
+                    <p>Try a different search or clear the filters.</p>
+                </div>
+            ` : `
                 <div class="empty-inbox">
                     <i class="fas fa-envelope-open"></i>
                     <h3>No emails yet</h3>
@@ -271,10 +471,13 @@ class EmailClient {
                 </div>
                 <div class="email-content">
                     <div class="email-header">
-                        <div class="email-sender">${this.escapeHtml(email.from)}</div>
+                        <div class="email-sender">${this.escapeHtml(this.folder === 'sent' ? `To: ${email.to}` : email.from)}</div>
                         <div class="email-date">${this.formatDate(email.date)}</div>
                     </div>
-                    <div class="email-subject">${this.escapeHtml(email.subject)}</div>
+                    <div class="email-subject">
+                        ${email.spam && email.spam.action !== 'accept' ? `<span class="spam-tag" title="Spam score ${email.spam.score}">Spam?</span>` : ''}
+                        ${this.escapeHtml(email.subject)}
+                    </div>
                     <div class="email-preview">${this.escapeHtml(email.text.substring(0, 100) + (email.text.length > 100 ? '...' : ''))}</div>
                 </div>
             </div>
@@ -290,37 +493,206 @@ class EmailClient {
         
         // Update UI
         document.getElementById('emailList').style.display = 'none';
+        document.getElementById('inboxFilters').style.display = 'none';
+        document.getElementById('loadMore').style.display = 'none';
         document.getElementById('emailDetail').style.display = 'flex';
         
         // Fill email details
-        document.getElementById('emailSubject').textContent = this.escapeHtml(email.subject);
-        document.getElementById('detailFrom').textContent = this.escapeHtml(email.from);
-        document.getElementById('detailTo').textContent = this.escapeHtml(email.to);
+        document.getElementById('emailSubject').textContent = email.subject;
+        document.getElementById('detailFrom').textContent = email.from;
+        document.getElementById('detailTo').textContent = email.to;
         document.getElementById('detailDate').textContent = this.formatDate(email.date, true);
+        this.renderSecurity(email);
+        this.renderAuthResults(email);
         document.getElementById('emailBodyText').textContent = email.text || 'No text content';
         
-        // Show HTML if available
+        // Show HTML if available (sanitized server-side, rendered in a sandboxed iframe)
         if (email.html) {
-            document.getElementById('emailBodyHtml').innerHTML = email.html;
+            this.renderHtmlBody(email, false);
             document.getElementById('emailBodyHtml').style.display = 'block';
             document.getElementById('emailBodyText').style.display = 'none';
         } else {
+            document.getElementById('emailBodyHtml').removeAttribute('src');
             document.getElementById('emailBodyHtml').style.display = 'none';
             document.getElementById('emailBodyText').style.display = 'block';
+            document.getElementById('remoteContentBar').style.display = 'none';
         }
         
+        this.renderExtracts(email);
+        this.renderAttachments(email);
+        this.setSourceVisible(false);
+        
         // Mark as read
         if (!email.read) {
             this.markAsRead(emailId);
         }
     }
     
+    // One-click chips for verification codes (copy) and links (open)
+    renderExtracts(email) {
+        const container = document.getElementById('emailExtracts');
+        const codes = email.codes || [];
+        const links = (email.links || []).slice(0, 10);
+        
+        if (codes.length === 0 && links.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        
+        container.innerHTML = codes.map(code => `
+            <button class="extract-chip code" title="Copy code" data-code="${this.escapeHtml(code)}">
+                <i class="fas fa-key"></i>
+                <span>${this.escapeHtml(code)}</span>
+            </button>
+        `).join('') + links.map(link => `
+            <a class="extract-chip" href="${this.escapeHtml(link)}" target="_blank" rel="noopener noreferrer" title="${this.escapeHtml(link)}">
+                <i class="fas fa-link"></i>
+                <span>${this.escapeHtml(link.replace(/^https?:\/\//, ''))}</span>
+            </a>
+        `).join('');
+        container.querySelectorAll('[data-code]').forEach(chip => {
+            chip.addEventListener('click', () => this.copyText(chip.dataset.code, 'Code copied to clipboard'));
+        });
+        container.style.display = 'flex';
+    }
+    
+    renderAttachments(email) {
+        const container = document.getElementById('emailAttachments');
+        const attachments = Array.isArray(email.attachments) ? email.attachments : [];
+        
+        if (attachments.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        
+        const baseUrl = `/api/email/${encodeURIComponent(email.to)}/${email.id}/attachments`;
+        const token = encodeURIComponent(this.inboxTokens[email.to] || '');
+        
+        container.innerHTML = attachments.map(att => `
+            <a class="attachment-item ${att.stored ? '' : 'unavailable'}"
+               href="${baseUrl}/${att.id}?token=${token}"
+               title="${att.stored ? 'Download' : 'Attachment too large, not stored'}">
+                <i class="fas fa-paperclip"></i>
+                <span>${this.escapeHtml(att.filename)}</span>
+                <span class="attachment-size">${this.formatSize(att.size)}</span>
+            </a>
+        `).join('');
+        container.style.display = 'flex';
+    }
+    
+    // Transport security of the SMTP session the message arrived on
+    renderSecurity(email) {
+        const container = document.getElementById('detailSecurity');
+        const tls = email.tls;
+        
+        if (!tls) {
+            container.innerHTML = '<span class="security-badge">Unknown</span>';
+        } else if (tls.secure) {
+            container.innerHTML = `<span class="security-badge secure" title="${this.escapeHtml(tls.cipher || '')}">
+                <i class="fas fa-lock"></i> ${this.escapeHtml(tls.protocol || 'TLS')}</span>`;
+        } else {
+            container.innerHTML = '<span class="security-badge insecure"><i class="fas fa-lock-open"></i> Not encrypted</span>';
+        }
+    }
+    
+    // SPF / DKIM / DMARC verdicts recorded when the message was received
+    renderAuthResults(email) {
+        const container = document.getElementById('detailAuth');
+        const results = email.authResults;
+        
+        if (!results) {
+            container.innerHTML = '<span class="security-badge">Not checked</span>';
+            return;
+        }
+        
+        const badge = (label, check) => {
+            const result = (check && check.result) || 'none';
+            const state = result === 'pass' ? 'secure' : result === 'none' || result === 'neutral' ? '' : 'insecure';
+            const detail = check && (check.domain || check.comment) || '';
+            
+            return `<span class="security-badge ${state}" title="${this.escapeHtml(detail)}">
+                ${label}: ${this.escapeHtml(result)}</span>`;
+        };
+        
+        container.innerHTML = [
+            badge('SPF', results.spf),
+            badge('DKIM', results.dkim && {
+                result: results.dkim.result,
+                domain: (results.dkim.signatures || []).map(sig => sig.domain).filter(Boolean).join(', ')
+            }),
+            badge('DMARC', results.dmarc)
+        ].join(' ');
+    }
+    
+    renderHtmlBody(email, allowRemote) {
+        const params = new URLSearchParams({
+            token: this.inboxTokens[email.to] || '',
+            remote: allowRemote ? 'true' : 'false'
+        });
+        
+        document.getElementById('emailBodyHtml').src =
+            `/api/email/${encodeURIComponent(email.to)}/${email.id}/html?${params}`;
+        
+        // Offer the toggle only when the message references remote images
+        const hasRemote = /<img[^>]+src\s*=\s*["']?(https?:)?\/\//i.test(email.html);
+        document.getElementById('remoteContentBar').style.display =
+            hasRemote && !allowRemote ? 'flex' : 'none';
+    }
+    
+    loadRemoteContent() {
+        if (!this.selectedEmail || !this.selectedEmail.html) return;
+        this.renderHtmlBody(this.selectedEmail, true);
+    }
+    
+    async toggleSource() {
+        if (!this.selectedEmail) return;
+        
+        if (this.showingSource) {
+            this.setSourceVisible(false);
+            return;
+        }
+        
+        const email = this.selectedEmail;
+        
+        try {
+            const response = await this.inboxFetch(`/api/email/${encodeURIComponent(email.to)}/${email.id}/raw`);
+            if (!response.ok) {
+                this.showToast('Message source not available', 'warning');
+                return;
+            }
+            
+            document.getElementById('emailSource').textContent = await response.text();
+            this.setSourceVisible(true);
+        } catch (error) {
+            console.error('Failed to load message source:', error);
+            this.showToast('Failed to load message source', 'error');
+        }
+    }
+    
+    setSourceVisible(visible) {
+        const email = this.selectedEmail;
+        const sourceView = document.getElementById('emailSource');
+        const toggleBtn = document.getElementById('toggleSourceBtn');
+        
+        this.showingSource = visible;
+        sourceView.style.display = visible ? 'block' : 'none';
+        document.getElementById('emailBodyText').style.display = !visible && email && !email.html ? 'block' : 'none';
+        document.getElementById('emailBodyHtml').style.display = !visible && email && email.html ? 'block' : 'none';
+        toggleBtn.innerHTML = visible ?
+            '<i class="fas fa-envelope-open-text"></i> View Message' :
+            '<i class="fas fa-code"></i> View Source';
+    }
+    
     showEmailList() {
         this.currentView = 'list';
         this.selectedEmail = null;
         
         document.getElementById('emailList').style.display = 'block';
+        document.getElementById('inboxFilters').style.display = 'flex';
         document.getElementById('emailDetail').style.display = 'none';
+        document.getElementById('loadMore').style.display = this.nextCursor ? 'block' : 'none';
     }
     
     updateServerInfoUI(data) {
@@ -328,11 +700,11 @@ class EmailClient {
             document.getElementById('totalEmails').textContent = data.stats.totalEmails;
             document.getElementById('activeAddresses').textContent = data.stats.activeAddresses;
             document.getElementById('uptime').textContent = this.formatUptime(data.stats.uptime);
-            
-            if (data.stats.publicIP) {
-                document.getElementById('publicIP').textContent = data.stats.publicIP;
-                document.getElementById('webUrl').textContent = `http://${data.stats.publicIP}:${data.config.httpPort}`;
-            }
+        }
+        
+        if (data.network && data.network.publicIP) {
+            document.getElementById('publicIP').textContent = data.network.publicIP;
+            document.getElementById('webUrl').textContent = `http://${data.network.publicIP}:${data.config.httpPort}`;
         }
     }
     
@@ -368,7 +740,7 @@ class EmailClient {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
     
     formatDate(dateString, full = false) {
@@ -397,6 +769,12 @@ class EmailClient {
         }
     }
     
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
     formatUptime(ms) {
         const seconds = Math.floor(ms / 1000);
         const minutes = Math.floor(seconds / 60);
@@ -414,6 +792,82 @@ class EmailClient {
         }
     }
     
+    // ============================================
+    // ADDRESS LIFETIME
+    // ============================================
+    setExpiry(expiresAt) {
+        this.expiresAt = expiresAt === undefined ? this.expiresAt : expiresAt;
+        this.updateExpiryCountdown();
+    }
+    
+    updateExpiryCountdown() {
+        const countdown = document.getElementById('expiryCountdown');
+        
+        if (!this.currentEmail) {
+            countdown.style.display = 'none';
+            return;
+        }
+        
+        countdown.style.display = 'inline-block';
+        if (this.expiresAt === null) {
+            countdown.textContent = 'Permanent';
+            countdown.classList.remove('expiring');
+            return;
+        }
+        
+        const remaining = Math.max(0, Math.floor((new Date(this.expiresAt) - Date.now()) / 1000));
+        const hours = Math.floor(remaining / 3600);
+        const minutes = Math.floor((remaining % 3600) / 60);
+        const seconds = remaining % 60;
+        
+        countdown.textContent = hours > 0
+            ? `Expires in ${hours}h ${minutes}m`
+            : `Expires in ${minutes}m ${String(seconds).padStart(2, '0')}s`;
+        countdown.classList.toggle('expiring', remaining < 600);
+    }
+    
+    async extendAddress() {
+        if (!this.currentEmail) {
+            this.showToast('Generate an email address first', 'warning');
+            return;
+        }
+        
+        try {
+            const response = await this.inboxFetch(`/api/email/${encodeURIComponent(this.currentEmail)}/extend`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ttl: document.getElementById('lifetime').value || undefined })
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                this.setExpiry(data.expiresAt);
+                this.showToast('Inbox lifetime extended', 'success');
+            } else {
+                this.showToast(data.error || 'Failed to extend inbox', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to extend inbox:', error);
+            this.showToast('Network error. Please check connection.', 'error');
+        }
+    }
+    
+    // The address is gone for good: drop its token and reset the inbox view
+    forgetCurrentInbox() {
+        if (this.currentEmail) {
+            delete this.inboxTokens[this.currentEmail];
+            localStorage.setItem('inboxTokens', JSON.stringify(this.inboxTokens));
+        }
+        
+        this.currentEmail = null;
+        this.expiresAt = null;
+        this.emails = [];
+        localStorage.removeItem('currentEmail');
+        document.getElementById('currentEmailDisplay').textContent = 'No email selected';
+        this.renderEmailList();
+        this.updateExpiryCountdown();
+    }
+    
     updateCurrentTime() {
         const now = new Date();
         document.getElementById('currentTime').textContent = 
@@ -434,13 +888,22 @@ class EmailClient {
         });
     }
     
+    copyText(text, message) {
+        navigator.clipboard.writeText(text).then(() => {
+            this.showToast(message, 'success');
+        }).catch(err => {
+            console.error('Failed to copy:', err);
+            this.showToast('Failed to copy to clipboard', 'error');
+        });
+    }
+    
     shareEmail() {
         if (!this.currentEmail || !navigator.share) {
             this.copyEmailToClipboard();
             return;
         }
         
-        const publicIP = this.serverInfo?.stats?.publicIP || 'localhost';
+        const publicIP = this.serverInfo?.network?.publicIP || 'localhost';
         
         navigator.share({
             title: 'My Temporary Email Address',
@@ -570,8 +1033,59 @@ class EmailClient {
             this.showEmailList();
         });
         
+        // Search (debounced) and filter chips
+        let searchTimeout = null;
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                this.filters.q = e.target.value.trim();
+                this.loadEmails({ reset: true });
+            }, 300);
+        });
+        
+        document.querySelectorAll('.filter-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const filter = chip.dataset.filter;
+                this.filters[filter] = !this.filters[filter];
+                chip.classList.toggle('active', this.filters[filter]);
+                this.loadEmails({ reset: true });
+            });
+        });
+        
+        document.getElementById('loadMore').addEventListener('click', () => {
+            this.loadMoreEmails();
+        });
+        
+        // Folders
+        document.querySelectorAll('.folder-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                document.querySelectorAll('.folder-tab').forEach(t => t.classList.remove('active'));
+                tab.classList.add('active');
+                this.folder = tab.dataset.folder;
+                this.loadEmails({ reset: true });
+            });
+        });
+        
+        // Compose
+        document.getElementById('composeBtn').addEventListener('click', () => {
+            this.openCompose();
+        });
+        
+        document.getElementById('extendBtn').addEventListener('click', () => {
+            this.extendAddress();
+        });
+        
+        document.getElementById('composeSend').addEventListener('click', () => {
+            this.sendComposed();
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && document.getElementById('composeModal').style.display !== 'none') {
+                this.closeCompose();
+                return;
+            }
+            
             if (e.key === 'Escape' && this.currentView === 'detail') {
                 this.showEmailList();
             }
@@ -613,11 +1127,76 @@ class EmailClient {
     replyToEmail() {
         if (!this.selectedEmail) return;
         
-        const subject = `Re: ${this.selectedEmail.subject}`;
-        const body = `\n\n--- Original Message ---\nFrom: ${this.selectedEmail.from}\nDate: ${this.formatDate(this.selectedEmail.date, true)}\n\n${this.selectedEmail.text}`;
+        const email = this.selectedEmail;
+        const subject = /^re:/i.test(email.subject) ? email.subject : `Re: ${email.subject}`;
+        const body = `\n\n--- Original Message ---\nFrom: ${email.from}\nDate: ${this.formatDate(email.date, true)}\n\n${email.text}`;
+        
+        this.openCompose({
+            to: email.folder === 'sent' ? email.to : email.from,
+            subject,
+            body,
+            inReplyTo: email.id
+        });
+    }
+    
+    // COMPOSE
+    openCompose({ to = '', subject = '', body = '', inReplyTo = null } = {}) {
+        if (!this.currentEmail) {
+            this.showToast('Generate an email address first', 'warning');
+            return;
+        }
+        
+        this.replyTo = inReplyTo;
+        document.getElementById('composeTitle').textContent = inReplyTo ? 'Reply' : 'New Message';
+        document.getElementById('composeFrom').value = this.currentEmail;
+        document.getElementById('composeTo').value = to;
+        document.getElementById('composeSubject').value = subject;
+        document.getElementById('composeBody').value = body;
+        document.getElementById('composeModal').style.display = 'flex';
+        document.getElementById(to ? 'composeBody' : 'composeTo').focus();
+    }
+    
+    closeCompose() {
+        this.replyTo = null;
+        document.getElementById('composeModal').style.display = 'none';
+    }
+    
+    async sendComposed() {
+        const to = document.getElementById('composeTo').value.trim();
+        if (!to) {
+            this.showToast('Please enter a recipient', 'warning');
+            return;
+        }
+        
+        const sendBtn = document.getElementById('composeSend');
+        sendBtn.disabled = true;
         
-        this.showToast('Reply feature coming soon!', 'info');
-        // In a real implementation, you would open a compose window
+        try {
+            const response = await this.inboxFetch(`/api/email/${this.currentEmail}/send`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    to,
+                    subject: document.getElementById('composeSubject').value,
+                    text: document.getElementById('composeBody').value,
+                    inReplyTo: this.replyTo || undefined
+                })
+            });
+            
+            const data = await response.json();
+            if (data.success) {
+                this.showToast('Email sent', 'success');
+                this.closeCompose();
+                if (this.folder === 'sent') this.loadEmails();
+            } else {
+                this.showToast(data.error || 'Failed to send email', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to send email:', error);
+            this.showToast('Failed to send email', 'error');
+        } finally {
+            sendBtn.disabled = false;
+        }
     }
     
     deleteCurrentEmail() {
@@ -646,6 +1225,9 @@ document.addEventListener('DOMContentLoaded', () => {
     window.shareEmail = () => emailClient.shareEmail();
     window.replyToEmail = () => emailClient.replyToEmail();
     window.deleteCurrentEmail = () => emailClient.deleteCurrentEmail();
+    window.toggleSource = () => emailClient.toggleSource();
+    window.closeCompose = () => emailClient.closeCompose();
+    window.loadRemoteContent = () => emailClient.loadRemoteContent();
     window.showHelp = () => emailClient.showToast('Help documentation coming soon!', 'info');
     window.showSettings = () => emailClient.showToast('Settings coming soon!', 'info');
     window.refreshStats = () => {
@@ -12,874 +12,3301 @@ const MailParser = require("mailparser").MailParser;
 const express = require("express");
 const http = require("http");
 const socketIo = require("socket.io");
-const fs = require("fs");
 const path = require("path");
 const publicIp = require('public-ip');
 const cors = require('cors');
 const os = require('os');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Readable } = require('stream');
 const { execSync } = require('child_process');
-require('dotenv').config();
+const addressparser = require('nodemailer/lib/addressparser');
+const { createStorage } = require('./lib/storage');
+const { extractLinks, extractCodes } = require('./lib/extract');
+const { WebhookManager } = require('./lib/webhooks');
+const { MailSender } = require('./lib/mail-sender');
+const { renderSafeHtml, contentSecurityPolicy } = require('./lib/html-sanitizer');
+const dnsCheck = require('./lib/dns');
+const { SmtpLimiter, normalizeIP } = require('./lib/smtp-limits');
+const { loadTlsOptions, describeSession } = require('./lib/tls');
+const { UserStore } = require('./lib/users');
+const { createAuthResolver, verifyMessage } = require('./lib/mail-auth');
+const { FilterPipeline } = require('./lib/filters');
+const { Pop3Server } = require('./lib/pop3-server');
+const { ImapServer } = require('./lib/imap-server');
+const archive = require('./lib/archive');
 
 // ============================================
-// INITIAL SETUP
+// CONFIGURATION
 // ============================================
-const app = express();
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Defaults come from the environment; createServer() passes overrides
+function loadConfig(overrides = {}) {
+    return {
+        // Ports
+        SMTP_PORT: parseInt(process.env.SMTP_PORT) || 1025,
+        SMTPS_PORT: parseInt(process.env.SMTPS_PORT) || 0, // Implicit TLS, 0 disables
+        HTTP_PORT: parseInt(process.env.HTTP_PORT) || 3000,
+        
+        // Custom domains, comma separated; "*.example.com" accepts any subdomain
+        PUBLIC_DOMAINS: (process.env.PUBLIC_DOMAIN || '').split(',')
+            .map(domain => domain.trim().toLowerCase())
+            .filter(Boolean),
+        MX_HOST: process.env.MX_HOST || '',
+        MANUAL_PUBLIC_IP: (process.env.MANUAL_PUBLIC_IP || '').trim(), // Used instead of detecting the public IP
+        DNS_SERVERS: (process.env.DNS_SERVERS || '').split(',')
+            .map(server => server.trim())
+            .filter(Boolean),
+        
+        // Email Settings
+        EMAIL_EXPIRY_HOURS: parseInt(process.env.EMAIL_EXPIRY_HOURS) || 24,
+        
+        // Address lifetimes: generate accepts ?ttl= (seconds) up to the maximum
+        ADDRESS_TTL_HOURS: parseFloat(process.env.ADDRESS_TTL_HOURS) || parseInt(process.env.EMAIL_EXPIRY_HOURS) || 24,
+        MAX_ADDRESS_TTL_HOURS: parseFloat(process.env.MAX_ADDRESS_TTL_HOURS) || 168,
+        ALLOW_PERMANENT_ADDRESSES: process.env.ALLOW_PERMANENT_ADDRESSES === 'true',
+        CLEANUP_INTERVAL_SECONDS: parseInt(process.env.CLEANUP_INTERVAL_SECONDS) || 60,
+        
+        MAX_EMAILS_PER_ADDRESS: parseInt(process.env.MAX_EMAILS_PER_ADDRESS) || 100,
+        MAX_WAIT_SECONDS: parseInt(process.env.MAX_WAIT_SECONDS) || 120,
+        ALLOW_ATTACHMENTS: process.env.ALLOW_ATTACHMENTS === 'true',
+        MAX_ATTACHMENT_SIZE: parseSize(process.env.MAX_ATTACHMENT_SIZE || '5MB'),
+        MAX_IMPORT_SIZE: parseSize(process.env.MAX_IMPORT_SIZE || '50MB'), // Upload limit for inbox imports
+        
+        // Security
+        // 'strict' accepts only configured/detected domains, 'catch-all' accepts any
+        // recipient; the legacy ALLOW_RELAY=true means catch-all
+        RECIPIENT_POLICY: process.env.RECIPIENT_POLICY || (process.env.ALLOW_RELAY === 'true' ? 'catch-all' : 'strict'),
+        REQUIRE_AUTH: process.env.REQUIRE_AUTH === 'true', // SMTP AUTH against the admin-managed user store
+        SMTP_ALLOW_INSECURE_AUTH: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true', // AUTH without STARTTLS
+        
+        // SMTP TLS (without cert/key files a self-signed certificate is generated)
+        SMTP_STARTTLS: process.env.SMTP_STARTTLS !== 'false',
+        TLS_CERT_FILE: process.env.TLS_CERT_FILE || '',
+        TLS_KEY_FILE: process.env.TLS_KEY_FILE || '',
+        
+        // POP3 access to inboxes (USER is the address, PASS its inbox token); 0 disables
+        POP3_PORT: parseInt(process.env.POP3_PORT) || 0,
+        POP3S_PORT: parseInt(process.env.POP3S_PORT) || 0, // Implicit TLS
+        POP3_ALLOW_INSECURE_AUTH: process.env.POP3_ALLOW_INSECURE_AUTH === 'true', // USER/PASS without STLS
+        
+        // IMAP access to inboxes (LOGIN is the address and its inbox token); 0 disables
+        IMAP_PORT: parseInt(process.env.IMAP_PORT) || 0,
+        IMAPS_PORT: parseInt(process.env.IMAPS_PORT) || 0, // Implicit TLS
+        IMAP_ALLOW_INSECURE_AUTH: process.env.IMAP_ALLOW_INSECURE_AUTH === 'true', // LOGIN without STARTTLS
+        
+        // SPF/DKIM/DMARC verification of received mail; AUTH_DNS_FIXTURES points
+        // at a JSON file of DNS records that replaces real lookups
+        VERIFY_MAIL_AUTH: process.env.VERIFY_MAIL_AUTH !== 'false',
+        AUTH_DNS_FIXTURES: process.env.AUTH_DNS_FIXTURES || '',
+        
+        // Spam filtering: total rule score -> tag / quarantine / reject at SMTP time
+        SPAM_FILTER: process.env.SPAM_FILTER !== 'false',
+        FILTER_TAG_SCORE: parseFloat(process.env.FILTER_TAG_SCORE) || 5,
+        FILTER_QUARANTINE_SCORE: parseFloat(process.env.FILTER_QUARANTINE_SCORE) || 8,
+        FILTER_REJECT_SCORE: parseFloat(process.env.FILTER_REJECT_SCORE) || 15,
+        
+        // SMTP abuse protection (0 disables a limit)
+        MAX_MESSAGE_SIZE: parseSize(process.env.MAX_MESSAGE_SIZE || '25MB', 25 * 1024 * 1024), // "0" is unlimited
+        SMTP_MAX_CONNECTIONS_PER_IP: parseLimit(process.env.SMTP_MAX_CONNECTIONS_PER_IP, 10),
+        SMTP_MESSAGES_PER_MINUTE_PER_IP: parseLimit(process.env.SMTP_MESSAGES_PER_MINUTE_PER_IP, 30),
+        SMTP_MESSAGES_PER_MINUTE_PER_RECIPIENT: parseLimit(process.env.SMTP_MESSAGES_PER_MINUTE_PER_RECIPIENT, 20),
+        ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
+        
+        // Outbound relay used for compose/reply
+        RELAY_HOST: process.env.RELAY_HOST || '',
+        RELAY_PORT: parseInt(process.env.RELAY_PORT) || 587,
+        RELAY_SECURE: process.env.RELAY_SECURE === 'true',
+        RELAY_USER: process.env.RELAY_USER || '',
+        RELAY_PASS: process.env.RELAY_PASS || '',
+        RELAY_REJECT_UNAUTHORIZED: process.env.RELAY_REJECT_UNAUTHORIZED !== 'false',
+        // "reply": inboxes may only write to senders of mail they received whose
+        // domain vouched for them (SPF or DMARC pass, so VERIFY_MAIL_AUTH must be
+        // on); "open": to anyone. Requests with the admin token are never restricted
+        SEND_POLICY: process.env.SEND_POLICY === 'open' ? 'open' : 'reply',
+        SEND_LIMIT_PER_HOUR: parseLimit(process.env.SEND_LIMIT_PER_HOUR, 10), // Per inbox, 0 disables
+        SEND_LIMIT_PER_HOUR_PER_IP: parseLimit(process.env.SEND_LIMIT_PER_HOUR_PER_IP, 30), // Per client, 0 disables
+        
+        // Webhooks
+        WEBHOOK_MAX_RETRIES: parseInt(process.env.WEBHOOK_MAX_RETRIES) || 5,
+        WEBHOOK_RETRY_DELAY_MS: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000,
+        WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+        WEBHOOK_ALLOW_PRIVATE_TARGETS: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true', // Lets inbox webhooks reach local networks
+        
+        // Storage ('memory', 'jsonl' or 'sqlite')
+        SAVE_EMAILS: process.env.SAVE_EMAILS === 'true',
+        STORAGE_BACKEND: process.env.STORAGE_BACKEND || (process.env.SAVE_EMAILS === 'true' ? 'jsonl' : 'memory'),
+        DATA_DIR: process.env.DATA_DIR || path.join(__dirname, "data"),
+        EMAIL_STORAGE: path.join(__dirname, "emails.json"), // Legacy single-file storage, imported once
+        
+        // Logging
+        LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+        
+        ...overrides
+    };
+}
 
-const server = http.createServer(app);
-const io = socketIo(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
-    }
-});
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
 
-// Configuration
-const config = {
-    // Ports
-    SMTP_PORT: parseInt(process.env.SMTP_PORT) || 1025,
-    HTTP_PORT: parseInt(process.env.HTTP_PORT) || 3000,
-    
-    // Email Settings
-    EMAIL_EXPIRY_HOURS: parseInt(process.env.EMAIL_EXPIRY_HOURS) || 24,
-    MAX_EMAILS_PER_ADDRESS: parseInt(process.env.MAX_EMAILS_PER_ADDRESS) || 100,
-    ALLOW_ATTACHMENTS: process.env.ALLOW_ATTACHMENTS === 'true',
-    MAX_ATTACHMENT_SIZE: process.env.MAX_ATTACHMENT_SIZE || '5MB',
-    
-    // Security
-    ALLOW_RELAY: process.env.ALLOW_RELAY === 'true',
-    REQUIRE_AUTH: process.env.REQUIRE_AUTH === 'true',
-    
-    // Storage
-    SAVE_EMAILS: process.env.SAVE_EMAILS === 'true',
-    EMAIL_STORAGE: path.join(__dirname, "emails.json"),
-    
-    // Logging
-    LOG_LEVEL: process.env.LOG_LEVEL || 'info'
-};
+// Convert a human readable size ("5MB", "512KB", "1024") to bytes
+function parseSize(value, fallback = 5 * 1024 * 1024) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(value));
+    if (!match) return fallback;
+    
+    const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+    return Math.floor(parseFloat(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
+
+// Non-negative integer limit where an explicit 0 means "unlimited"
+function parseLimit(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+// Listing order of a message: [time, id], compared newest first
+function messagePosition(message) {
+    return [new Date(message.date).getTime(), message.id];
+}
+
+function comparePositions([timeA, idA], [timeB, idB]) {
+    return timeB - timeA || (idA < idB ? 1 : idA > idB ? -1 : 0);
+}
+
+// Bare lowercase addresses from header-style values ("Ann <a@x.com>, b@y.com")
+function parseAddresses(values) {
+    return [].concat(values || [])
+        .flatMap(value => addressparser(String(value)))
+        .flatMap(entry => entry.group || [entry])
+        .map(entry => String(entry.address || '').toLowerCase())
+        .filter(Boolean);
+}
+
+// A received message whose sender passed SPF for its own domain, or whose
+// DMARC pass covers that domain; anyone can put any address in MAIL FROM
+function isVerifiedSender(email) {
+    const auth = email.authResults;
+    const domain = String(email.from || '').split('@').pop().toLowerCase();
+    if (!auth || !domain) return false;
+    
+    const passes = result => result && result.result === 'pass' && String(result.domain || '').toLowerCase() === domain;
+    return passes(auth.spf) || passes(auth.dmarc);
+}
 
 // ============================================
-// EMAIL MANAGER CLASS - UPDATED
+// SERVER FACTORY
 // ============================================
-class EmailManager {
-    constructor() {
-        this.emails = new Map();
-        this.domains = new Set(['localhost']);
-        this.publicIP = null;
-        this.localIPs = [];
-        this.domainHistory = [];
-        this.stats = {
-            totalEmails: 0,
-            totalAddresses: 0,
-            startTime: new Date()
-        };
-    }
+// Builds one isolated server: Express app, Socket.IO, EmailManager and the
+// SMTP/POP3/IMAP listeners. options.config overrides configuration keys
+// (HTTP_PORT and SMTP_PORT may be 0 to pick free ports; for the optional
+// listeners 0 still means disabled); options.detectPublicIP allows probing
+// web services for the public IP; options.host is the address every listener
+// binds, 127.0.0.1 unless given. Nothing listens until start()
+function createServer(options = {}) {
+    const config = loadConfig(options.config);
+    const detectPublicIP = !!options.detectPublicIP;
+    const host = options.host || '127.0.0.1';
     
-    async initialize() {
-        try {
-            // Get public IP using multiple methods
-            this.publicIP = await this.getPublicIP();
+    // ============================================
+    // INITIAL SETUP
+    // ============================================
+    const app = express();
+    app.use(cors());
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: true }));
+    
+    const server = http.createServer(app);
+    const io = socketIo(server, {
+        cors: {
+            origin: "*",
+            methods: ["GET", "POST"]
+        }
+    });
+    
+    // ============================================
+    // EMAIL MANAGER CLASS - UPDATED
+    // ============================================
+    const MAIL_FOLDERS = ['inbox', 'sent', 'quarantine'];
+    const REJECTED_LOG_SIZE = 200;
+    
+    // Emits 'email', 'quarantined', 'read', 'unread', 'deleted', 'cleared', 'expired', 'extended',
+    // 'address-expired', 'removed' and 'claimed' (a new inbox token) as inboxes change
+    class EmailManager extends EventEmitter {
+        constructor() {
+            super();
+            this.setMaxListeners(0); // One listener per long-poll waiter
+            this.storage = createStorage({
+                backend: config.STORAGE_BACKEND,
+                dataDir: config.DATA_DIR,
+                legacyFile: config.EMAIL_STORAGE
+            });
+            this.emails = new Map();
+            this.meta = {};
+            this.domains = new Set(['localhost']);
+            this.customDomains = config.PUBLIC_DOMAINS;
+            this.publicIP = null;
+            this.localIPs = [];
+            this.domainHistory = [];
+            this.rejectedSessions = [];
+            this.cleanupTimer = null;
+            this.stats = {
+                totalEmails: 0,
+                totalAddresses: 0,
+                rejectedSessions: 0,
+                rejectedRecipients: 0,
+                startTime: new Date()
+            };
+        }
+        
+        async initialize() {
+            // Load saved emails
+            await this.loadStorage();
             
-            // Get local IPs
-            this.getLocalIPs();
+            // Configured domains come first so they are the default choice
+            this.customDomains.forEach(domain => this.domains.add(domain));
+            if (this.customDomains.length > 0) {
+                console.log(`🏷️  Custom domains: ${this.customDomains.join(', ')}`);
+            }
             
-            // Add all detected IPs to domains
-            if (this.publicIP) {
-                this.domains.add(this.publicIP);
-                console.log(`🌐 Public IP detected: ${this.publicIP}`);
+            try {
+                // Get public IP using multiple methods
+                this.publicIP = await this.getPublicIP();
+                
+                // Get local IPs
+                this.getLocalIPs();
+                
+                // Add all detected IPs to domains
+                if (this.publicIP) {
+                    this.domains.add(this.publicIP);
+                    console.log(`🌐 Public IP detected: ${this.publicIP}`);
+                }
+                
+                this.localIPs.forEach(ip => {
+                    this.domains.add(ip);
+                });
+                
+                console.log(`🏠 Local IPs: ${this.localIPs.join(', ')}`);
+                console.log(`📧 Available domains: ${Array.from(this.domains).join(', ')}`);
+                
+            } catch (error) {
+                console.log("⚠️  Error during initialization:", error.message);
+                this.getLocalIPs(); // At least get local IPs
             }
             
-            this.localIPs.forEach(ip => {
-                this.domains.add(ip);
-            });
+            // Expire addresses and old emails periodically
+            this.cleanupTimer = setInterval(() => this.cleanupOldEmails(), config.CLEANUP_INTERVAL_SECONDS * 1000);
+        }
+        
+        async getPublicIP() {
+            // Method 1: Check manual IP from .env
+            if (config.MANUAL_PUBLIC_IP) {
+                const manualIP = config.MANUAL_PUBLIC_IP;
+                if (this.isValidIP(manualIP)) {
+                    return manualIP;
+                }
+            }
             
-            console.log(`🏠 Local IPs: ${this.localIPs.join(', ')}`);
-            console.log(`📧 Available domains: ${Array.from(this.domains).join(', ')}`);
+            // The remaining methods call out to the internet; embedded
+            // servers (tests) only do that when asked to
+            if (!detectPublicIP) return null;
             
-            // Load saved emails
-            if (config.SAVE_EMAILS && fs.existsSync(config.EMAIL_STORAGE)) {
-                this.loadFromFile();
+            // Method 2: Try public-ip package
+            try {
+                const ip = await publicIp.v4({ timeout: 5000 });
+                if (this.isValidIP(ip)) return ip;
+            } catch (error) {
+                // Continue to next method
             }
             
-            // Cleanup old emails periodically
-            setInterval(() => this.cleanupOldEmails(), 3600000);
+            // Method 3: Try multiple web services
+            const services = [
+                'https://api.ipify.org',
+                'https://icanhazip.com',
+                'https://checkip.amazonaws.com',
+                'https://ipinfo.io/ip',
+                'https://ifconfig.me/ip'
+            ];
             
-        } catch (error) {
-            console.log("⚠️  Error during initialization:", error.message);
-            this.getLocalIPs(); // At least get local IPs
-        }
-    }
-    
-    async getPublicIP() {
-        // Method 1: Check manual IP from .env
-        if (process.env.MANUAL_PUBLIC_IP) {
-            const manualIP = process.env.MANUAL_PUBLIC_IP.trim();
-            if (this.isValidIP(manualIP)) {
-                return manualIP;
+            for (const service of services) {
+                try {
+                    // Using node-fetch style (simulated)
+                    const https = require('https');
+                    const ip = await new Promise((resolve, reject) => {
+                        const req = https.get(service, (res) => {
+                            let data = '';
+                            res.on('data', chunk => data += chunk);
+                            res.on('end', () => {
+                                const ip = data.trim();
+                                if (this.isValidIP(ip)) {
+                                    resolve(ip);
+                                } else {
+                                    reject(new Error('Invalid IP'));
+                                }
+                            });
+                        });
+                        req.setTimeout(3000, () => {
+                            req.destroy();
+                            reject(new Error('Timeout'));
+                        });
+                        req.on('error', reject);
+                    });
+                    
+                    if (ip) return ip;
+                } catch (error) {
+                    continue;
+                }
             }
+            
+            // Method 4: Try system commands
+            const commands = [
+                'curl -s ifconfig.me',
+                'wget -qO- ifconfig.me 2>/dev/null',
+                'curl -s api.ipify.org',
+                'curl -s icanhazip.com'
+            ];
+            
+            for (const cmd of commands) {
+                try {
+                    const ip = execSync(cmd, { timeout: 3000 }).toString().trim();
+                    if (this.isValidIP(ip)) return ip;
+                } catch (error) {
+                    continue;
+                }
+            }
+            
+            return null;
         }
         
-        // Method 2: Try public-ip package
-        try {
-            const ip = await publicIp.v4({ timeout: 5000 });
-            if (this.isValidIP(ip)) return ip;
-        } catch (error) {
-            // Continue to next method
-        }
-        
-        // Method 3: Try multiple web services
-        const services = [
-            'https://api.ipify.org',
-            'https://icanhazip.com',
-            'https://checkip.amazonaws.com',
-            'https://ipinfo.io/ip',
-            'https://ifconfig.me/ip'
-        ];
-        
-        for (const service of services) {
+        getLocalIPs() {
             try {
-                // Using node-fetch style (simulated)
-                const https = require('https');
-                const ip = await new Promise((resolve, reject) => {
-                    const req = https.get(service, (res) => {
-                        let data = '';
-                        res.on('data', chunk => data += chunk);
-                        res.on('end', () => {
-                            const ip = data.trim();
-                            if (this.isValidIP(ip)) {
-                                resolve(ip);
-                            } else {
-                                reject(new Error('Invalid IP'));
-                            }
-                        });
-                    });
-                    req.setTimeout(3000, () => {
-                        req.destroy();
-                        reject(new Error('Timeout'));
+                const networkInterfaces = os.networkInterfaces();
+                Object.values(networkInterfaces).forEach(iface => {
+                    iface.forEach(details => {
+                        if (details.family === 'IPv4' && !details.internal) {
+                            this.localIPs.push(details.address);
+                        }
                     });
-                    req.on('error', reject);
                 });
                 
-                if (ip) return ip;
+                // If no IPs found, try ifconfig command
+                if (this.localIPs.length === 0) {
+                    try {
+                        const ifconfig = execSync('ifconfig 2>/dev/null || ip addr 2>/dev/null').toString();
+                        const ipRegex = /inet (\d+\.\d+\.\d+\.\d+)/g;
+                        let match;
+                        while ((match = ipRegex.exec(ifconfig)) !== null) {
+                            const ip = match[1];
+                            if (ip !== '127.0.0.1' && this.isValidIP(ip)) {
+                                this.localIPs.push(ip);
+                            }
+                        }
+                    } catch (error) {
+                        // Ignore error
+                    }
+                }
             } catch (error) {
-                continue;
+                console.log("⚠️  Error getting local IPs:", error.message);
             }
         }
         
-        // Method 4: Try system commands
-        const commands = [
-            'curl -s ifconfig.me',
-            'wget -qO- ifconfig.me 2>/dev/null',
-            'curl -s api.ipify.org',
-            'curl -s icanhazip.com'
-        ];
+        isValidIP(ip) {
+            if (!ip || typeof ip !== 'string') return false;
+            
+            // Remove whitespace
+            ip = ip.trim();
+            
+            // Check format
+            const ipPattern = /^(\d{1,3}\.){3}\d{1,3}$/;
+            if (!ipPattern.test(ip)) return false;
+            
+            // Check each octet
+            const parts = ip.split('.');
+            if (parts.length !== 4) return false;
+            
+            for (const part of parts) {
+                const num = parseInt(part, 10);
+                if (num < 0 || num > 255 || isNaN(num)) return false;
+                if (part.length > 1 && part.startsWith('0')) return false; // No leading zeros
+            }
+            
+            // Reserved IP checks
+            if (ip === '127.0.0.1') return false; // Loopback
+            if (ip === '0.0.0.0') return false; // Invalid
+            if (ip.startsWith('169.254.')) return false; // Link-local
+            if (ip.startsWith('192.168.')) return false; // Private
+            if (ip.startsWith('10.')) return false; // Private
+            if (ip.startsWith('172.16.') || ip.startsWith('172.17.') || 
+                ip.startsWith('172.18.') || ip.startsWith('172.19.') ||
+                ip.startsWith('172.20.') || ip.startsWith('172.21.') ||
+                ip.startsWith('172.22.') || ip.startsWith('172.23.') ||
+                ip.startsWith('172.24.') || ip.startsWith('172.25.') ||
+                ip.startsWith('172.26.') || ip.startsWith('172.27.') ||
+                ip.startsWith('172.28.') || ip.startsWith('172.29.') ||
+                ip.startsWith('172.30.') || ip.startsWith('172.31.')) return false; // Private
+            
+            return true;
+        }
         
-        for (const cmd of commands) {
-            try {
-                const ip = execSync(cmd, { timeout: 3000 }).toString().trim();
-                if (this.isValidIP(ip)) return ip;
-            } catch (error) {
-                continue;
+        generateEmailAddress(options = {}) {
+            const {
+                username: customUsername,
+                domain: preferredDomain,
+                type = 'public', // 'public', 'local', 'random'
+                ttl // seconds, bounded by MAX_ADDRESS_TTL_HOURS
+            } = options;
+            
+            // Select domain based on type (custom domains win over the public IP)
+            let domain;
+            const domains = Array.from(this.domains).filter(d => !dnsCheck.isWildcard(d));
+            const requested = preferredDomain && preferredDomain.toLowerCase();
+            
+            if (requested && this.isLocalDomain(requested) && !dnsCheck.isWildcard(requested)) {
+                domain = requested;
+            } else if (requested && this.customDomains.includes(requested)) {
+                domain = this.expandDomain(requested);
+            } else if (type === 'public' && this.customDomains.length > 0) {
+                domain = this.expandDomain(this.customDomains[0]);
+            } else if (type === 'public' && this.publicIP) {
+                domain = this.publicIP;
+            } else if (type === 'local') {
+                // Pick a local domain (not public IP)
+                const localDomains = domains.filter(d => d !== this.publicIP && d !== 'localhost');
+                domain = localDomains.length > 0 ? localDomains[0] : 'localhost';
+            } else {
+                // Random selection
+                domain = domains[Math.floor(Math.random() * domains.length)];
+            }
+            
+            // Generate username (random names skip addresses already claimed)
+            let username;
+            if (customUsername && this.isValidUsername(customUsername)) {
+                username = customUsername;
+                if (this.isClaimed(`${username}@${domain}`)) {
+                    const error = new Error('Address is already in use');
+                    error.statusCode = 409;
+                    throw error;
+                }
+            } else {
+                do {
+                    username = this.generateRandomUsername();
+                } while (this.isClaimed(`${username}@${domain}`));
+            }
+            
+            const email = `${username}@${domain}`;
+            
+            // Initialize storage for this email
+            if (!this.emails.has(email)) {
+                this.ensureAddress(email);
+                this.saveStats();
             }
+            
+            // Issue the secret inbox token; only its hash is kept
+            const token = crypto.randomBytes(24).toString('base64url');
+            const emailEntry = this.emails.get(email);
+            emailEntry.tokenHash = this.hashToken(token);
+            emailEntry.expiresAt = new Date(Date.now() + this.resolveTtl(ttl)).toISOString();
+            this.persist(this.storage.saveAddress(emailEntry));
+            this.emit('claimed', email);
+            
+            // Track domain usage
+            this.domainHistory.push({
+                email,
+                domain,
+                timestamp: new Date(),
+                type: domain === 'localhost' || (this.localIPs.includes(domain) && domain !== this.publicIP) ? 'local' : 'public'
+            });
+            
+            return {
+                email,
+                token,
+                expiresAt: emailEntry.expiresAt,
+                domain,
+                isPublic: domain === this.publicIP || this.isCustomDomain(domain),
+                isCustom: this.isCustomDomain(domain),
+                isLocal: domain === 'localhost' || this.localIPs.includes(domain),
+                smtpServer: `${domain}:${config.SMTP_PORT}`,
+                webInterface: domain === 'localhost' ? 
+                    `http://localhost:${config.HTTP_PORT}` :
+                    `http://${domain}:${config.HTTP_PORT}`,
+                instructions: this.getInstructions(domain)
+            };
         }
         
-        return null;
-    }
-    
-    getLocalIPs() {
-        try {
-            const networkInterfaces = os.networkInterfaces();
-            Object.values(networkInterfaces).forEach(iface => {
-                iface.forEach(details => {
-                    if (details.family === 'IPv4' && !details.internal) {
-                        this.localIPs.push(details.address);
-                    }
+        // A domain we receive mail for: a detected IP, localhost or a custom
+        // domain, including any subdomain of a wildcard entry
+        isLocalDomain(domain) {
+            domain = String(domain || '').toLowerCase();
+            return this.domains.has(domain) || this.isCustomDomain(domain);
+        }
+        
+        isCustomDomain(domain) {
+            domain = String(domain || '').toLowerCase();
+            return this.customDomains.some(custom => dnsCheck.isWildcard(custom)
+                ? domain.endsWith(`.${dnsCheck.baseDomain(custom)}`)
+                : domain === custom);
+        }
+        
+        // Recipient policy check for RCPT TO; never adds the domain to the list
+        acceptsRecipient(address) {
+            if (config.RECIPIENT_POLICY === 'catch-all') return true;
+            
+            const domain = String(address).split('@').pop();
+            return this.isLocalDomain(domain);
+        }
+        
+        // Log of SMTP commands refused at any stage (connect, auth, mail, rcpt, data)
+        recordRejection(entry) {
+            this.stats.rejectedSessions++;
+            if (entry.stage === 'rcpt') this.stats.rejectedRecipients++;
+            
+            this.rejectedSessions.unshift({ ...entry, date: new Date() });
+            this.rejectedSessions.length = Math.min(this.rejectedSessions.length, REJECTED_LOG_SIZE);
+        }
+        
+        getRejections({ stage, limit = 50 } = {}) {
+            return this.rejectedSessions
+                .filter(entry => !stage || entry.stage === stage)
+                .slice(0, limit);
+        }
+        
+        // Wildcard entries hand out a fresh random subdomain
+        expandDomain(domain) {
+            if (!dnsCheck.isWildcard(domain)) return domain;
+            return `${this.generateRandomUsername().replace(/_/g, '-')}.${dnsCheck.baseDomain(domain)}`;
+        }
+        
+        getInstructions(domain) {
+            if (this.isCustomDomain(domain)) {
+                return {
+                    note: 'Custom domain - receives mail from anywhere once its MX record points here',
+                    sendFrom: `Send from any mail provider: username@${domain}`,
+                    smtp: `MX target: ${config.MX_HOST || domain}, SMTP port ${config.SMTP_PORT}`,
+                    example: 'See /api/domains/diagnostics for the DNS records to publish'
+                };
+            } else if (domain === 'localhost') {
+                return {
+                    note: 'Local email - can only receive from this device',
+                    sendFrom: 'Send from this device only',
+                    example: `echo "Test" | mail -s "Test" username@localhost`
+                };
+            } else if (domain === this.publicIP) {
+                return {
+                    note: 'Public email - can receive from anywhere on internet',
+                    sendFrom: `Send from any device: username@${domain}`,
+                    smtp: `SMTP Server: ${domain}:${config.SMTP_PORT}`,
+                    example: `Use in Gmail/Outlook with SMTP server above`
+                };
+            } else {
+                return {
+                    note: 'Local network email - can receive from same network',
+                    sendFrom: `Send from same network: username@${domain}`,
+                    smtp: `SMTP Server: ${domain}:${config.SMTP_PORT}`,
+                    example: `Devices on same WiFi can send to this address`
+                };
+            }
+        }
+        
+        generateRandomUsername() {
+            const adjectives = ['quick', 'clever', 'happy', 'brave', 'calm', 'eager', 'gentle', 'jolly', 'smart', 'wise'];
+            const nouns = ['fox', 'bear', 'wolf', 'eagle', 'lion', 'tiger', 'panda', 'hawk', 'owl', 'deer'];
+            const num = Math.floor(Math.random() * 999);
+            
+            const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
+            const noun = nouns[Math.floor(Math.random() * nouns.length)];
+            
+            return `${adj}_${noun}_${num}`.toLowerCase();
+        }
+        
+        isValidUsername(username) {
+            return /^[a-z0-9_.-]{3,20}$/.test(username);
+        }
+        
+        // ============================================
+        // INBOX TOKENS
+        // ============================================
+        hashToken(token) {
+            return crypto.createHash('sha256').update(String(token)).digest('hex');
+        }
+        
+        isClaimed(emailAddress) {
+            return !!this.emails.get(emailAddress)?.tokenHash;
+        }
+        
+        verifyToken(emailAddress, token) {
+            const emailEntry = this.emails.get(emailAddress);
+            if (!emailEntry || !emailEntry.tokenHash || !token) return false;
+            
+            const expected = Buffer.from(emailEntry.tokenHash, 'hex');
+            const actual = Buffer.from(this.hashToken(token), 'hex');
+            return crypto.timingSafeEqual(expected, actual);
+        }
+        
+        // ... [Rest of the EmailManager methods remain the same as before] ...
+        
+        async receiveEmail(toAddress, emailData) {
+            // Create address if it doesn't exist (for receiving)
+            const emailEntry = this.ensureAddress(toAddress);
+            const emailId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+            const folder = emailData.spam && emailData.spam.action === 'quarantine' ? 'quarantine' : 'inbox';
+            
+            const savedEmail = {
+                id: emailId,
+                folder,
+                from: emailData.from,
+                to: toAddress,
+                subject: emailData.subject || 'No Subject',
+                text: emailData.text || '',
+                html: emailData.html || '',
+                headers: emailData.headers || {},
+                date: new Date().toISOString(),
+                read: false,
+                tls: emailData.tls || null,
+                authResults: emailData.authResults || null,
+                spam: emailData.spam || null,
+                attachments: await this.storeAttachments(emailId, emailData.attachments),
+                rawSize: await this.storeRaw(emailId, emailData.raw)
+            };
+            
+            // Pull out links and one-time codes so clients don't have to parse HTML
+            savedEmail.links = extractLinks(savedEmail.text, savedEmail.html);
+            savedEmail.codes = extractCodes(savedEmail.subject, savedEmail.text, savedEmail.html);
+            
+            emailEntry.messages.unshift(savedEmail);
+            emailEntry.stats.received++;
+            this.stats.totalEmails++;
+            
+            // Limit messages per address
+            this.enforceLimit(toAddress, folder);
+            
+            // Persist only what changed
+            this.persist(this.storage.saveAddress(emailEntry));
+            this.persist(this.storage.saveMessage(toAddress, savedEmail));
+            this.saveStats();
+            
+            // Log the receipt; quarantined mail does not notify inbox listeners
+            if (folder === 'quarantine') {
+                console.log(`🧪 Email quarantined: ${emailData.from} -> ${toAddress} [${savedEmail.subject}] score ${savedEmail.spam.score}`);
+                this.emit('quarantined', toAddress, savedEmail);
+            } else {
+                console.log(`📨 Email received: ${emailData.from} -> ${toAddress} [${savedEmail.subject}]`);
+                this.emit('email', toAddress, savedEmail, emailEntry.messages.length);
+            }
+            
+            // Return email info
+            return {
+                id: emailId,
+                address: toAddress,
+                email: savedEmail,
+                totalMessages: emailEntry.messages.length
+            };
+        }
+        
+        // Record a message sent from this address in its "sent" folder
+        async recordSentEmail(fromAddress, sentData) {
+            const emailEntry = this.ensureAddress(fromAddress);
+            const emailId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+            
+            const savedEmail = {
+                id: emailId,
+                folder: 'sent',
+                from: fromAddress,
+                to: sentData.to,
+                cc: sentData.cc || '',
+                subject: sentData.subject || 'No Subject',
+                text: sentData.text || '',
+                html: sentData.html || '',
+                messageId: sentData.messageId,
+                inReplyTo: sentData.inReplyTo || null,
+                date: new Date().toISOString(),
+                read: true,
+                attachments: [],
+                rawSize: await this.storeRaw(emailId, sentData.raw)
+            };
+            
+            emailEntry.messages.unshift(savedEmail);
+            emailEntry.stats.sent = (emailEntry.stats.sent || 0) + 1;
+            this.enforceLimit(fromAddress, 'sent');
+            
+            this.persist(this.storage.saveAddress(emailEntry));
+            this.persist(this.storage.saveMessage(fromAddress, savedEmail));
+            
+            console.log(`📤 Email sent: ${fromAddress} -> ${savedEmail.to} [${savedEmail.subject}]`);
+            
+            this.emit('sent', fromAddress, savedEmail);
+            return savedEmail;
+        }
+        
+        ensureAddress(emailAddress) {
+            if (!this.emails.has(emailAddress)) {
+                this.emails.set(emailAddress, {
+                    address: emailAddress,
+                    created: new Date(),
+                    expiresAt: new Date(Date.now() + this.resolveTtl()).toISOString(),
+                    messages: [],
+                    stats: { received: 0, read: 0 }
                 });
+                this.stats.totalAddresses++;
+            }
+            return this.emails.get(emailAddress);
+        }
+        
+        // ============================================
+        // ADDRESS LIFETIMES
+        // ============================================
+        
+        // Requested TTL in seconds -> milliseconds, clamped to server policy
+        resolveTtl(seconds) {
+            const maxMs = config.MAX_ADDRESS_TTL_HOURS * 60 * 60 * 1000;
+            const defaultMs = Math.min(config.ADDRESS_TTL_HOURS * 60 * 60 * 1000, maxMs);
+            const requested = parseFloat(seconds);
+            
+            if (isNaN(requested) || requested <= 0) return defaultMs;
+            return Math.min(Math.max(requested, 60) * 1000, maxMs);
+        }
+        
+        // Push expiry out by "ttl" seconds (never beyond the maximum from now),
+        // or drop it entirely when permanent addresses are allowed
+        extendAddress(emailAddress, { ttl, permanent = false } = {}) {
+            const emailEntry = this.emails.get(emailAddress);
+            if (!emailEntry) return null;
+            
+            if (permanent) {
+                if (!config.ALLOW_PERMANENT_ADDRESSES) {
+                    const error = new Error('Permanent addresses are disabled. Set ALLOW_PERMANENT_ADDRESSES=true to allow them.');
+                    error.statusCode = 403;
+                    throw error;
+                }
+                emailEntry.expiresAt = null;
+            } else {
+                const now = Date.now();
+                const base = emailEntry.expiresAt ? Math.max(new Date(emailEntry.expiresAt).getTime(), now) : now;
+                const latest = now + config.MAX_ADDRESS_TTL_HOURS * 60 * 60 * 1000;
+                emailEntry.expiresAt = new Date(Math.min(base + this.resolveTtl(ttl), latest)).toISOString();
+            }
+            
+            this.persist(this.storage.saveAddress(emailEntry));
+            this.emit('extended', emailAddress, emailEntry.expiresAt);
+            return emailEntry;
+        }
+        
+        // Delete an address with all of its messages and stored blobs
+        removeAddress(emailAddress) {
+            const emailEntry = this.emails.get(emailAddress);
+            if (!emailEntry) return false;
+            
+            emailEntry.messages.forEach(msg => this.persist(this.storage.deleteBlobs(msg.id)));
+            this.emails.delete(emailAddress);
+            this.persist(this.storage.deleteAddress(emailAddress));
+            this.emit('removed', emailAddress);
+            return true;
+        }
+        
+        // Keep at most MAX_EMAILS_PER_ADDRESS messages per folder, dropping the oldest
+        enforceLimit(emailAddress, folder) {
+            const emailEntry = this.emails.get(emailAddress);
+            const excess = this.getEmailsForAddress(emailAddress, folder).slice(config.MAX_EMAILS_PER_ADDRESS);
+            if (excess.length === 0) return;
+            
+            excess.forEach(msg => this.removeMessage(emailAddress, msg.id));
+            emailEntry.messages = emailEntry.messages.filter(msg => !excess.includes(msg));
+        }
+        
+        // Messages are kept newest first; ones without a folder predate folders and are inbox mail
+        getEmailsForAddress(emailAddress, folder = 'inbox') {
+            const messages = this.emails.get(emailAddress)?.messages || [];
+            return messages.filter(msg => (msg.folder || 'inbox') === folder);
+        }
+        
+        getEmail(emailAddress, emailId) {
+            const messages = this.emails.get(emailAddress)?.messages || [];
+            return messages.find(msg => msg.id === emailId) || null;
+        }
+        
+        // Text criteria are case-insensitive substring matches; "since" is exclusive
+        matchesCriteria(email, criteria = {}) {
+            const contains = (value, needle) =>
+                String(value || '').toLowerCase().includes(String(needle).toLowerCase());
+            const date = new Date(email.date);
+            
+            if (criteria.subject && !contains(email.subject, criteria.subject)) return false;
+            if (criteria.from && !contains(email.from, criteria.from)) return false;
+            if (criteria.text && !contains(email.text, criteria.text) &&
+                !contains(email.html, criteria.text) && !contains(email.subject, criteria.text)) return false;
+            if (criteria.since && date <= new Date(criteria.since)) return false;
+            if (criteria.after && date < new Date(criteria.after)) return false;
+            if (criteria.before && date > new Date(criteria.before)) return false;
+            if (typeof criteria.read === 'boolean' && email.read !== criteria.read) return false;
+            if (typeof criteria.hasAttachments === 'boolean') {
+                const count = Array.isArray(email.attachments) ? email.attachments.length : (email.attachments || 0);
+                if ((count > 0) !== criteria.hasAttachments) return false;
+            }
+            return true;
+        }
+        
+        // Filter an inbox and return one page, newest first (by date, then id).
+        // The cursor is the position "<time>.<id>" of the last message of the
+        // previous page, so paging goes on when that message was deleted,
+        // expired or no longer matches the filter
+        queryEmails(emailAddress, criteria = {}, { folder = 'inbox', limit, cursor } = {}) {
+            const matches = this.getEmailsForAddress(emailAddress, folder)
+                .filter(msg => this.matchesCriteria(msg, criteria))
+                .sort((a, b) => comparePositions(messagePosition(a), messagePosition(b)));
+            
+            let start = 0;
+            const position = cursor ? this.parseCursor(cursor) : null;
+            if (position) {
+                start = matches.findIndex(msg => comparePositions(messagePosition(msg), position) > 0);
+                if (start === -1) start = matches.length;
+            }
+            
+            const end = limit ? start + limit : matches.length;
+            const emails = matches.slice(start, end);
+            
+            return {
+                emails,
+                total: matches.length,
+                nextCursor: end < matches.length && emails.length > 0
+                    ? messagePosition(emails[emails.length - 1]).join('.')
+                    : null
+            };
+        }
+        
+        // "<time>.<id>" -> [time, id], or null when it is not a cursor
+        parseCursor(cursor) {
+            const match = /^(\d+)\.([a-z0-9]+)$/i.exec(String(cursor));
+            return match ? [parseInt(match[1], 10), match[2]] : null;
+        }
+        
+        // Resolve with the first matching message (already stored or arriving
+        // later), or null once the timeout passes or the signal aborts
+        waitForEmail(emailAddress, criteria = {}, { timeout = 30000, signal } = {}) {
+            const existing = this.getEmailsForAddress(emailAddress)
+                .find(msg => this.matchesCriteria(msg, criteria));
+            if (existing) return Promise.resolve(existing);
+            
+            return new Promise((resolve) => {
+                const finish = (email) => {
+                    clearTimeout(timer);
+                    this.off('email', onEmail);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    resolve(email);
+                };
+                const onEmail = (address, email) => {
+                    if (address === emailAddress && this.matchesCriteria(email, criteria)) {
+                        finish(email);
+                    }
+                };
+                const onAbort = () => finish(null);
+                const timer = setTimeout(() => finish(null), timeout);
+                
+                this.on('email', onEmail);
+                if (signal) signal.addEventListener('abort', onAbort);
             });
+        }
+        
+        // ============================================
+        // ATTACHMENT STORAGE
+        // ============================================
+        async storeAttachments(emailId, attachments) {
+            if (!Array.isArray(attachments) || attachments.length === 0) return [];
             
-            // If no IPs found, try ifconfig command
-            if (this.localIPs.length === 0) {
-                try {
-                    const ifconfig = execSync('ifconfig 2>/dev/null || ip addr 2>/dev/null').toString();
-                    const ipRegex = /inet (\d+\.\d+\.\d+\.\d+)/g;
-                    let match;
-                    while ((match = ipRegex.exec(ifconfig)) !== null) {
-                        const ip = match[1];
-                        if (ip !== '127.0.0.1' && this.isValidIP(ip)) {
-                            this.localIPs.push(ip);
-                        }
+            const stored = [];
+            
+            for (const attachment of attachments) {
+                const meta = {
+                    id: crypto.randomBytes(8).toString('hex'),
+                    filename: attachment.filename,
+                    contentType: attachment.contentType,
+                    size: attachment.size,
+                    checksum: attachment.checksum,
+                    contentId: attachment.contentId || null,
+                    stored: false
+                };
+                
+                if (attachment.content) {
+                    try {
+                        await this.storage.putBlob(`${emailId}/attachments/${meta.id}`, attachment.content);
+                        meta.stored = true;
+                    } catch (error) {
+                        console.error('Error saving attachment:', error.message);
                     }
-                } catch (error) {
-                    // Ignore error
                 }
+                
+                stored.push(meta);
             }
-        } catch (error) {
-            console.log("⚠️  Error getting local IPs:", error.message);
+            
+            return stored;
+        }
+        
+        async getAttachment(emailAddress, emailId, attachmentId) {
+            const email = this.getEmail(emailAddress, emailId);
+            if (!email || !Array.isArray(email.attachments)) return null;
+            
+            const attachment = email.attachments.find(att => att.id === attachmentId);
+            if (!attachment || !attachment.stored) return null;
+            
+            const content = await this.storage.getBlob(`${emailId}/attachments/${attachment.id}`);
+            if (!content) return null;
+            
+            return { ...attachment, content };
+        }
+        
+        // ============================================
+        // RAW MESSAGE STORAGE
+        // ============================================
+        async storeRaw(emailId, raw) {
+            if (!raw || raw.length === 0) return 0;
+            
+            try {
+                await this.storage.putBlob(`${emailId}/raw.eml`, raw);
+                return raw.length;
+            } catch (error) {
+                console.error('Error saving raw message:', error.message);
+                return 0;
+            }
+        }
+        
+        async getRaw(emailAddress, emailId) {
+            if (!this.getEmail(emailAddress, emailId)) return null;
+            return this.storage.getBlob(`${emailId}/raw.eml`);
+        }
+        
+        // What POP3/IMAP clients download: the raw source, or a plain text
+        // rendering for messages stored without one
+        async getSource(emailAddress, emailId) {
+            const email = this.getEmail(emailAddress, emailId);
+            if (!email) return null;
+            
+            const raw = await this.storage.getBlob(`${emailId}/raw.eml`);
+            if (raw) return raw;
+            
+            return Buffer.from([
+                `From: ${email.from}`,
+                `To: ${email.to}`,
+                `Subject: ${email.subject}`,
+                `Date: ${new Date(email.date).toUTCString()}`,
+                `Message-ID: <${email.id}@${emailAddress.split('@').pop()}>`,
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                email.text || ''
+            ].join('\r\n'));
+        }
+        
+        // Messages of a folder, oldest first, each with its downloadable source
+        async exportMessages(emailAddress, folder = 'inbox') {
+            const messages = this.getEmailsForAddress(emailAddress, folder).slice().reverse();
+            
+            return Promise.all(messages.map(async email => ({
+                email,
+                source: await this.getSource(emailAddress, email.id)
+            })));
+        }
+        
+        // Drop a message record and its blobs from storage
+        removeMessage(emailAddress, emailId) {
+            this.persist(this.storage.deleteMessage(emailAddress, emailId));
+            this.persist(this.storage.deleteBlobs(emailId));
+        }
+        
+        markAsRead(emailAddress, emailId) {
+            const emailEntry = this.emails.get(emailAddress);
+            if (emailEntry) {
+                const email = emailEntry.messages.find(msg => msg.id === emailId);
+                if (email && !email.read) {
+                    email.read = true;
+                    emailEntry.stats.read++;
+                    this.persist(this.storage.saveMessage(emailAddress, email));
+                    this.persist(this.storage.saveAddress(emailEntry));
+                    this.emit('read', emailAddress, emailId);
+                    return true;
+                }
+            }
+            return false;
+        }
+        
+        markAsUnread(emailAddress, emailId) {
+            const emailEntry = this.emails.get(emailAddress);
+            const email = this.getEmail(emailAddress, emailId);
+            if (!email || !email.read) return false;
+            
+            email.read = false;
+            emailEntry.stats.read = Math.max((emailEntry.stats.read || 0) - 1, 0);
+            this.persist(this.storage.saveMessage(emailAddress, email));
+            this.persist(this.storage.saveAddress(emailEntry));
+            this.emit('unread', emailAddress, emailId);
+            return true;
+        }
+        
+        deleteEmail(emailAddress, emailId) {
+            const emailEntry = this.emails.get(emailAddress);
+            if (emailEntry) {
+                const initialLength = emailEntry.messages.length;
+                emailEntry.messages = emailEntry.messages.filter(msg => msg.id !== emailId);
+                if (emailEntry.messages.length < initialLength) {
+                    this.removeMessage(emailAddress, emailId);
+                    this.emit('deleted', emailAddress, emailId);
+                    return true;
+                }
+            }
+            return false;
+        }
+        
+        // Move a message between folders; moving into the inbox announces it as new mail
+        moveEmail(emailAddress, emailId, folder) {
+            const emailEntry = this.emails.get(emailAddress);
+            const email = this.getEmail(emailAddress, emailId);
+            if (!email) return null;
+            
+            email.folder = folder;
+            delete email.uid; // IMAP UIDs only grow within a folder
+            this.enforceLimit(emailAddress, folder);
+            this.persist(this.storage.saveMessage(emailAddress, email));
+            
+            if (folder === 'inbox') {
+                this.emit('email', emailAddress, email, emailEntry.messages.length);
+            }
+            return email;
+        }
+        
+        // IMAP needs numeric UIDs that only ever grow; messages get one, oldest
+        // first, the first time a client looks at the address
+        ensureUids(emailAddress) {
+            const emailEntry = this.emails.get(emailAddress);
+            if (!emailEntry) return null;
+            
+            const pending = emailEntry.messages
+                .filter(msg => !msg.uid)
+                .sort((a, b) => new Date(a.date) - new Date(b.date));
+            if (emailEntry.uidValidity && pending.length === 0) return emailEntry;
+            
+            if (!emailEntry.uidValidity) {
+                emailEntry.uidValidity = Math.floor(Date.now() / 1000);
+                emailEntry.uidNext = 1;
+            }
+            pending.forEach(msg => {
+                msg.uid = emailEntry.uidNext++;
+                this.persist(this.storage.saveMessage(emailAddress, msg));
+            });
+            this.persist(this.storage.saveAddress(emailEntry));
+            return emailEntry;
+        }
+        
+        // Quarantined messages of every address, newest first
+        getQuarantine() {
+            const messages = [];
+            for (const address of this.emails.keys()) {
+                this.getEmailsForAddress(address, 'quarantine').forEach(email => {
+                    messages.push({ address, email });
+                });
+            }
+            return messages.sort((a, b) => new Date(b.email.date) - new Date(a.email.date));
+        }
+        
+        deleteAllEmails(emailAddress) {
+            if (this.emails.has(emailAddress)) {
+                const emailEntry = this.emails.get(emailAddress);
+                emailEntry.messages.forEach(msg => this.removeMessage(emailAddress, msg.id));
+                emailEntry.messages = [];
+                this.emit('cleared', emailAddress);
+                return true;
+            }
+            return false;
+        }
+        
+        getStats() {
+            return {
+                ...this.stats,
+                uptime: Date.now() - this.stats.startTime,
+                activeAddresses: this.emails.size,
+                domains: Array.from(this.domains),
+                customDomains: this.customDomains,
+                publicIP: this.publicIP,
+                localIPs: this.localIPs
+            };
+        }
+        
+        // The subset of getStats() shown to anonymous visitors
+        getPublicStats() {
+            return {
+                totalEmails: this.stats.totalEmails,
+                activeAddresses: this.emails.size,
+                startTime: this.stats.startTime,
+                uptime: Date.now() - this.stats.startTime
+            };
+        }
+        
+        // ============================================
+        // ADMIN VIEWS
+        // ============================================
+        
+        // Lifetime, counters and message counts per folder of one address
+        describeAddress(emailAddress) {
+            const emailEntry = this.emails.get(emailAddress);
+            if (!emailEntry) return null;
+            
+            const folders = Object.fromEntries(MAIL_FOLDERS.map(folder => [folder, 0]));
+            let unread = 0;
+            emailEntry.messages.forEach(msg => {
+                folders[msg.folder || 'inbox']++;
+                if (!msg.read) unread++;
+            });
+            
+            const latest = emailEntry.messages.find(msg => (msg.folder || 'inbox') === 'inbox');
+            
+            return {
+                address: emailAddress,
+                created: emailEntry.created,
+                expiresAt: emailEntry.expiresAt,
+                claimed: !!emailEntry.tokenHash,
+                stats: {
+                    received: emailEntry.stats.received || 0,
+                    read: emailEntry.stats.read || 0,
+                    sent: emailEntry.stats.sent || 0
+                },
+                folders,
+                unread,
+                lastReceived: latest ? latest.date : null
+            };
+        }
+        
+        // Addresses matching "q" (substring), most recently created first
+        listAddresses({ q = '', limit = 50, offset = 0 } = {}) {
+            const query = String(q).toLowerCase();
+            const matches = Array.from(this.emails.entries())
+                .filter(([address]) => !query || address.toLowerCase().includes(query))
+                .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created));
+            
+            return {
+                total: matches.length,
+                addresses: matches.slice(offset, offset + limit).map(([address]) => this.describeAddress(address))
+            };
+        }
+        
+        // Returns { deletedEmails, expiredAddresses } so callers can report what happened
+        cleanupOldEmails() {
+            const expiryTime = config.EMAIL_EXPIRY_HOURS * 60 * 60 * 1000;
+            const now = Date.now();
+            
+            let deletedCount = 0;
+            let expiredAddresses = 0;
+            
+            for (const [address, data] of this.emails.entries()) {
+                // Addresses past their lifetime disappear with everything in them
+                if (data.expiresAt && new Date(data.expiresAt).getTime() <= now) {
+                    console.log(`⌛ Address expired: ${address}`);
+                    this.emit('address-expired', address, data.expiresAt);
+                    this.removeAddress(address);
+                    expiredAddresses++;
+                    continue;
+                }
+                
+                // Remove emails older than expiry time
+                const expiredIds = [];
+                data.messages = data.messages.filter(msg => {
+                    const msgTime = new Date(msg.date).getTime();
+                    if ((now - msgTime) < expiryTime) return true;
+                    
+                    this.removeMessage(address, msg.id);
+                    expiredIds.push(msg.id);
+                    return false;
+                });
+                deletedCount += expiredIds.length;
+                
+                if (expiredIds.length > 0) {
+                    this.emit('expired', address, expiredIds);
+                }
+            }
+            
+            if (deletedCount > 0) {
+                console.log(`🧹 Cleaned up ${deletedCount} old emails`);
+            }
+            
+            return { deletedEmails: deletedCount, expiredAddresses };
+        }
+        
+        // ============================================
+        // PERSISTENCE
+        // ============================================
+        async loadStorage() {
+            await this.storage.open();
+            const { emails, meta } = await this.storage.load();
+            
+            this.emails = emails;
+            this.meta = meta;
+            
+            // Addresses saved before lifetimes existed live for the default TTL from creation
+            for (const entry of this.emails.values()) {
+                if (entry.expiresAt === undefined) {
+                    entry.expiresAt = new Date(new Date(entry.created).getTime() + this.resolveTtl()).toISOString();
+                }
+            }
+            if (meta.stats) {
+                this.stats.totalEmails = meta.stats.totalEmails || 0;
+                this.stats.totalAddresses = meta.stats.totalAddresses || 0;
+            }
+            
+            console.log(`📂 Loaded ${this.emails.size} email addresses from ${this.storage.name} storage`);
+        }
+        
+        saveStats() {
+            this.persist(this.storage.saveMeta('stats', {
+                totalEmails: this.stats.totalEmails,
+                totalAddresses: this.stats.totalAddresses
+            }));
+        }
+        
+        // Storage writes run in the background; failures are logged, never thrown
+        persist(operation) {
+            Promise.resolve(operation).catch(error => {
+                console.error('Error writing to storage:', error.message);
+            });
+        }
+        
+        async close() {
+            clearInterval(this.cleanupTimer);
+            await this.storage.close();
+        }
+    }
+    
+    // ============================================
+    // INITIALIZE MANAGER
+    // ============================================
+    const emailManager = new EmailManager();
+    
+    const webhookManager = new WebhookManager({
+        storage: emailManager.storage,
+        maxRetries: config.WEBHOOK_MAX_RETRIES,
+        retryDelay: config.WEBHOOK_RETRY_DELAY_MS,
+        timeout: config.WEBHOOK_TIMEOUT_MS,
+        allowPrivateTargets: config.WEBHOOK_ALLOW_PRIVATE_TARGETS
+    });
+    
+    emailManager.on('email', (address, email) => {
+        webhookManager.dispatch('email.received', address, { email });
+    });
+    
+    emailManager.on('removed', (address) => {
+        webhookManager.removeForAddress(address);
+    });
+    
+    const smtpLimiter = new SmtpLimiter({
+        storage: emailManager.storage,
+        maxConnectionsPerIP: config.SMTP_MAX_CONNECTIONS_PER_IP,
+        messagesPerMinutePerIP: config.SMTP_MESSAGES_PER_MINUTE_PER_IP,
+        messagesPerMinutePerRecipient: config.SMTP_MESSAGES_PER_MINUTE_PER_RECIPIENT
+    });
+    
+    const userStore = new UserStore({ storage: emailManager.storage });
+    
+    const filterPipeline = config.SPAM_FILTER ? new FilterPipeline({
+        storage: emailManager.storage,
+        tagScore: config.FILTER_TAG_SCORE,
+        quarantineScore: config.FILTER_QUARANTINE_SCORE,
+        rejectScore: config.FILTER_REJECT_SCORE
+    }) : null;
+    
+    const authResolver = config.VERIFY_MAIL_AUTH ? createAuthResolver({
+        fixturesFile: config.AUTH_DNS_FIXTURES,
+        servers: config.DNS_SERVERS
+    }) : null;
+    
+    const mailSender = new MailSender({
+        host: config.RELAY_HOST,
+        port: config.RELAY_PORT,
+        secure: config.RELAY_SECURE,
+        user: config.RELAY_USER,
+        pass: config.RELAY_PASS,
+        rejectUnauthorized: config.RELAY_REJECT_UNAUTHORIZED,
+        maxPerHour: config.SEND_LIMIT_PER_HOUR,
+        maxPerHourPerIP: config.SEND_LIMIT_PER_HOUR_PER_IP
+    });
+    
+    // ============================================
+    // SOCKET.IO SUBSCRIPTIONS
+    // ============================================
+    function inboxRoom(address) {
+        return `inbox:${address}`;
+    }
+    
+    io.on('connection', (socket) => {
+        // Clients only receive mail events for inboxes they hold a token for.
+        // Accepts { address, token } or { inboxes: [{ address, token }, ...] }
+        socket.on('subscribe', (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            if (!data || typeof data !== 'object') {
+                return reply({ success: false, subscribed: [], rejected: [], error: 'Expected { address, token } or { inboxes: [...] }' });
+            }
+            
+            const inboxes = Array.isArray(data.inboxes) ? data.inboxes : [data];
+            const subscribed = [];
+            const rejected = [];
+            
+            inboxes.forEach(entry => {
+                if (!entry || typeof entry !== 'object') {
+                    rejected.push(null);
+                    return;
+                }
+                
+                const { address, token } = entry;
+                if (emailManager.verifyToken(address, token)) {
+                    socket.join(inboxRoom(address));
+                    subscribed.push(address);
+                } else {
+                    rejected.push(address);
+                }
+            });
+            
+            reply({
+                success: rejected.length === 0,
+                subscribed,
+                rejected,
+                error: rejected.length > 0 ? 'Invalid inbox token' : undefined
+            });
+        });
+        
+        socket.on('unsubscribe', (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            if (!data || typeof data !== 'object') {
+                return reply({ success: false, unsubscribed: [], error: 'Expected { address } or { addresses: [...] }' });
+            }
+            
+            const addresses = (Array.isArray(data.addresses) ? data.addresses : [data.address])
+                .filter(address => typeof address === 'string');
+            addresses.forEach(address => socket.leave(inboxRoom(address)));
+            
+            reply({ success: true, unsubscribed: addresses });
+        });
+    });
+    
+    // Relay inbox changes to the room of that inbox only
+    emailManager.on('email', (address, email, total) => {
+        io.to(inboxRoom(address)).emit('new-email', {
+            recipient: address,
+            email,
+            total
+        });
+    });
+    
+    emailManager.on('read', (address, id) => {
+        io.to(inboxRoom(address)).emit('email-read', { recipient: address, id });
+    });
+    
+    emailManager.on('unread', (address, id) => {
+        io.to(inboxRoom(address)).emit('email-unread', { recipient: address, id });
+    });
+    
+    emailManager.on('deleted', (address, id) => {
+        io.to(inboxRoom(address)).emit('email-deleted', { recipient: address, id });
+    });
+    
+    emailManager.on('cleared', (address) => {
+        io.to(inboxRoom(address)).emit('emails-cleared', { recipient: address });
+    });
+    
+    emailManager.on('sent', (address, email) => {
+        io.to(inboxRoom(address)).emit('email-sent', { recipient: address, email });
+    });
+    
+    emailManager.on('expired', (address, ids) => {
+        io.to(inboxRoom(address)).emit('emails-expired', { recipient: address, ids });
+    });
+    
+    emailManager.on('extended', (address, expiresAt) => {
+        io.to(inboxRoom(address)).emit('address-extended', { recipient: address, expiresAt });
+    });
+    
+    emailManager.on('address-expired', (address, expiresAt) => {
+        io.to(inboxRoom(address)).emit('address-expired', { recipient: address, expiresAt });
+    });
+    
+    // Subscriptions end with the token they were made with, so whoever claims
+    // the address next does not share its events with earlier holders
+    const closeInboxRoom = (address) => {
+        io.in(inboxRoom(address)).socketsLeave(inboxRoom(address));
+    };
+    emailManager.on('removed', closeInboxRoom);
+    emailManager.on('claimed', closeInboxRoom);
+    
+    // ============================================
+    // SMTP SERVER SETUP
+    // ============================================
+    
+    // Parse an RFC 822 message (an SMTP DATA stream or a Buffer) into what
+    // receiveEmail() stores; SMTP delivery and inbox imports both go through here.
+    // The envelope gives from, recipients and tls; without a sender the From
+    // header address is used
+    function parseEmail(source, envelope = {}) {
+        const stream = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+        
+        return new Promise((resolve, reject) => {
+            const mailParser = new MailParser({ checksumAlgo: 'sha256' });
+            const emailData = {
+                from: envelope.from || '',
+                recipients: envelope.recipients || [],
+                subject: '',
+                text: '',
+                html: '',
+                headers: {},
+                attachments: [],
+                tls: envelope.tls || null,
+                raw: null
+            };
+            
+            // Keep the original RFC 822 source alongside the parsed result
+            // (stop buffering once the message is over the size limit)
+            const rawChunks = [];
+            let rawSize = 0;
+            stream.on('data', chunk => {
+                rawSize += chunk.length;
+                if (!config.MAX_MESSAGE_SIZE || rawSize <= config.MAX_MESSAGE_SIZE) rawChunks.push(chunk);
+            });
+            
+            mailParser.on('headers', (headers) => {
+                emailData.headers = Object.fromEntries(headers);
+                emailData.subject = headers.get('subject') || 'No Subject';
+                
+                const from = headers.get('from');
+                if (!emailData.from && from && from.value && from.value[0]) {
+                    emailData.from = from.value[0].address || '';
+                }
+            });
+            
+            mailParser.on('data', (data) => {
+                if (data.type === 'text') {
+                    emailData.text = data.text || '';
+                    emailData.html = data.html || '';
+                }
+                if (data.type === 'attachment') {
+                    const chunks = [];
+                    let size = 0;
+                    
+                    data.content.on('data', chunk => {
+                        size += chunk.length;
+                        if (config.ALLOW_ATTACHMENTS && size <= config.MAX_ATTACHMENT_SIZE) {
+                            chunks.push(chunk);
+                        }
+                    });
+                    
+                    data.content.on('end', () => {
+                        if (config.ALLOW_ATTACHMENTS) {
+                            const tooLarge = size > config.MAX_ATTACHMENT_SIZE;
+                            if (tooLarge) {
+                                console.log(`⚠️  Attachment ${data.filename || 'unnamed'} exceeds ${config.MAX_ATTACHMENT_SIZE} bytes, not stored`);
+                            }
+                            
+                            emailData.attachments.push({
+                                filename: data.filename || 'attachment',
+                                contentType: data.contentType || 'application/octet-stream',
+                                size: size,
+                                checksum: data.checksum,
+                                contentId: data.contentId,
+                                content: tooLarge ? null : Buffer.concat(chunks)
+                            });
+                        }
+                        data.release();
+                    });
+                }
+            });
+            
+            mailParser.on('end', () => {
+                emailData.raw = Buffer.concat(rawChunks);
+                resolve(emailData);
+            });
+            mailParser.on('error', reject);
+            
+            stream.pipe(mailParser);
+        });
+    }
+    
+    // SMTP reply with an explicit status code, e.g. 421 (temporary) or 550 (permanent)
+    function smtpError(responseCode, message) {
+        const error = new Error(message);
+        error.responseCode = responseCode;
+        return error;
+    }
+    
+    // smtpError() that is also written to the rejected sessions log;
+    // stage is connect, auth, mail, rcpt or data
+    function rejectSmtp(session, stage, responseCode, message, details = {}) {
+        emailManager.recordRejection({
+            stage,
+            code: responseCode,
+            remoteAddress: normalizeIP(session.remoteAddress),
+            from: session.envelope && session.envelope.mailFrom ? session.envelope.mailFrom.address : '',
+            reason: message,
+            ...details
+        });
+        return smtpError(responseCode, message);
+    }
+    
+    // Shared by the plain/STARTTLS listener and the implicit TLS listener
+    const smtpOptions = {
+        // Server identification
+        name: 'public-email-server',
+        banner: 'Public Temporary Email Server - Termux',
+        
+        // Connection settings
+        disabledCommands: [
+            ...(config.REQUIRE_AUTH ? [] : ['AUTH']),
+            ...(config.SMTP_STARTTLS ? [] : ['STARTTLS'])
+        ],
+        authOptional: !config.REQUIRE_AUTH,
+        authMethods: ['PLAIN', 'LOGIN'],
+        allowInsecureAuth: config.SMTP_ALLOW_INSECURE_AUTH,
+        
+        // Advertised via the SIZE extension; larger MAIL FROM SIZE= values get 552
+        size: config.MAX_MESSAGE_SIZE,
+        
+        // Refuse blocked IPs and clients over the connection limit
+        onConnect: (session, callback) => {
+            const ip = normalizeIP(session.remoteAddress);
+            
+            if (smtpLimiter.isBlocked(ip)) {
+                console.log(`🚫 Blocked connection from ${ip}`);
+                return callback(rejectSmtp(session, 'connect', 554, '5.7.1 Access denied'));
+            }
+            
+            if (!smtpLimiter.openConnection(ip)) {
+                console.log(`⚠️  Too many connections from ${ip}`);
+                return callback(rejectSmtp(session, 'connect', 421, '4.7.0 Too many connections from your IP, try again later'));
+            }
+            
+            session.connectionCounted = true;
+            callback();
+        },
+        
+        onClose: (session) => {
+            if (session.connectionCounted) {
+                smtpLimiter.closeConnection(session.remoteAddress);
+            }
+        },
+        
+        // PLAIN and LOGIN against the user store
+        onAuth: (auth, session, callback) => {
+            userStore.authenticate(auth.username, auth.password).then(user => {
+                if (!user) {
+                    console.log(`🔒 Failed SMTP login for ${auth.username} from ${normalizeIP(session.remoteAddress)}`);
+                    return callback(rejectSmtp(session, 'auth', 535, '5.7.8 Authentication credentials invalid', {
+                        username: auth.username
+                    }));
+                }
+                callback(null, { user: user.username });
+            }).catch(error => callback(error));
+        },
+        
+        onMailFrom: (address, session, callback) => {
+            if (!smtpLimiter.allowMessageFromIP(session.remoteAddress)) {
+                console.log(`⚠️  Message rate exceeded for ${normalizeIP(session.remoteAddress)}`);
+                return callback(rejectSmtp(session, 'mail', 421, '4.7.0 Too many messages from your IP, try again later', {
+                    from: address.address
+                }));
+            }
+            
+            // Authenticated users may only send as their own addresses
+            if (session.user && !userStore.canSendAs(session.user, address.address)) {
+                return callback(rejectSmtp(session, 'mail', 553, `5.7.1 <${address.address}>: Sender address not owned by user ${session.user}`, {
+                    from: address.address
+                }));
+            }
+            callback();
+        },
+        
+        // Only accept recipients allowed by RECIPIENT_POLICY; authenticated
+        // users may also address external recipients when a relay is configured
+        onRcptTo: (address, session, callback) => {
+            if (session.user && !emailManager.isLocalDomain(address.address.split('@').pop())) {
+                if (!mailSender.isConfigured()) {
+                    return callback(rejectSmtp(session, 'rcpt', 550, `5.7.1 <${address.address}>: Relaying denied, no outbound relay configured`, {
+                        recipient: address.address
+                    }));
+                }
+                return callback();
+            }
+            
+            if (emailManager.acceptsRecipient(address.address)) {
+                if (!smtpLimiter.allowMessageToRecipient(address.address)) {
+                    return callback(rejectSmtp(session, 'rcpt', 452, `4.2.2 <${address.address}>: Too many messages for this recipient, try again later`, {
+                        recipient: address.address
+                    }));
+                }
+                return callback();
+            }
+            
+            console.log(`🚫 Rejected recipient ${address.address} from ${session.remoteAddress}`);
+            
+            callback(rejectSmtp(session, 'rcpt', 550, `5.1.1 <${address.address}>: Recipient address rejected: domain not served here`, {
+                recipient: address.address
+            }));
+        },
+        
+        // Process incoming email
+        onData: async (stream, session, callback) => {
+            let emailData;
+            try {
+                emailData = await parseEmail(stream, {
+                    from: session.envelope.mailFrom.address,
+                    recipients: session.envelope.rcptTo.map(rcpt => rcpt.address),
+                    tls: describeSession(session)
+                });
+            } catch (error) {
+                console.error('Error parsing email:', error);
+                return callback(error);
+            }
+            
+            if (stream.sizeExceeded) {
+                console.log(`⚠️  Message from ${emailData.from} exceeds ${config.MAX_MESSAGE_SIZE} bytes, rejected`);
+                return callback(rejectSmtp(session, 'data', 552, `5.3.4 Message exceeds the maximum size of ${config.MAX_MESSAGE_SIZE} bytes`, {
+                    recipients: emailData.recipients
+                }));
+            }
+            
+            try {
+                if (session.user) {
+                    await submitEmail(session, emailData);
+                } else {
+                    emailData.authResults = await authenticateEmail(session, emailData);
+                    emailData.spam = await filterEmail(session, emailData);
+                    
+                    if (emailData.spam && emailData.spam.action === 'reject') {
+                        console.log(`🚫 Rejected spam from ${emailData.from} [${emailData.subject}] score ${emailData.spam.score}`);
+                        return callback(rejectSmtp(session, 'data', 550, '5.7.1 Message rejected as spam', {
+                            recipients: emailData.recipients,
+                            subject: emailData.subject,
+                            score: emailData.spam.score
+                        }));
+                    }
+                    
+                    for (const recipient of emailData.recipients) {
+                        await emailManager.receiveEmail(recipient, emailData);
+                    }
+                }
+                
+                callback();
+            } catch (error) {
+                console.error('Error processing email:', error);
+                callback(error);
+            }
+        },
+        
+        onError: (err) => {
+            console.error('SMTP Server Error:', err.message);
+        },
+        
+        logger: config.LOG_LEVEL === 'debug'
+    };
+    
+    // SPF/DKIM/DMARC for one received message; failures to verify never
+    // block delivery, they are recorded as a temperror instead
+    async function authenticateEmail(session, emailData) {
+        if (!authResolver) return null;
+        
+        try {
+            return await verifyMessage(emailData.raw, {
+                ip: normalizeIP(session.remoteAddress),
+                helo: session.hostNameAppearsAs,
+                sender: emailData.from,
+                mta: smtpOptions.name,
+                resolver: authResolver
+            });
+        } catch (error) {
+            console.log(`⚠️  Mail authentication failed: ${error.message}`);
+            return {
+                error: error.message,
+                spf: { result: 'temperror' },
+                dkim: { result: 'temperror', signatures: [] },
+                dmarc: { result: 'temperror' }
+            };
+        }
+    }
+    
+    // Run the content filters; the verdict decides tag / quarantine / reject
+    async function filterEmail(session, emailData) {
+        if (!filterPipeline) return null;
+        
+        return filterPipeline.evaluate({
+            from: emailData.from,
+            recipients: emailData.recipients,
+            subject: emailData.subject,
+            text: emailData.text,
+            html: emailData.html,
+            headers: emailData.headers,
+            links: extractLinks(emailData.text, emailData.html),
+            authResults: emailData.authResults,
+            remoteAddress: normalizeIP(session.remoteAddress)
+        });
+    }
+    
+    // Authenticated submission: external recipients go out through the relay
+    // first (so a relay failure leaves nothing half-delivered), then local
+    // recipients are delivered and the sender's Sent folder gets a copy
+    async function submitEmail(session, emailData) {
+        const remote = emailData.recipients.filter(rcpt => !emailManager.isLocalDomain(rcpt.split('@').pop()));
+        const local = emailData.recipients.filter(rcpt => !remote.includes(rcpt));
+        
+        if (remote.length > 0) {
+            try {
+                await mailSender.sendRaw(emailData.raw, { from: emailData.from, to: remote });
+            } catch (error) {
+                console.error(`Relay failed for ${session.user}:`, error.message);
+                throw smtpError(451, `4.4.1 Relay failed: ${error.message}`);
+            }
+        }
+        
+        for (const recipient of local) {
+            await emailManager.receiveEmail(recipient, emailData);
+        }
+        
+        if (emailManager.emails.has(emailData.from)) {
+            const headerText = (name) => (emailData.headers[name] && emailData.headers[name].text) || '';
+            await emailManager.recordSentEmail(emailData.from, {
+                to: headerText('to') || emailData.recipients.join(', '),
+                cc: headerText('cc'),
+                subject: emailData.subject,
+                text: emailData.text,
+                html: emailData.html,
+                messageId: emailData.headers['message-id'],
+                inReplyTo: emailData.headers['in-reply-to'],
+                raw: emailData.raw
+            });
+        }
+        
+        console.log(`📮 Submission by ${session.user}: ${emailData.from} -> ${emailData.recipients.join(', ')}`);
+    }
+    
+    const smtpServer = new SMTPServer({ ...smtpOptions, secure: false });
+    const smtpsServer = config.SMTPS_PORT ? new SMTPServer({ ...smtpOptions, secure: true }) : null;
+    
+    // An 'error' event without listeners would throw; start() sees listen failures itself
+    [smtpServer, smtpsServer].filter(Boolean).forEach(target => {
+        target.on('error', error => console.error('SMTP Server Error:', error.message));
+    });
+    
+    // ============================================
+    // POP3 SERVER SETUP
+    // ============================================
+    const pop3Options = {
+        emailManager,
+        allowInsecureAuth: config.POP3_ALLOW_INSECURE_AUTH,
+        locks: new Map() // One maildrop lock per address across both listeners
+    };
+    
+    const pop3Server = config.POP3_PORT ? new Pop3Server({ ...pop3Options, secure: false }) : null;
+    const pop3sServer = config.POP3S_PORT ? new Pop3Server({ ...pop3Options, secure: true }) : null;
+    
+    // Logged-in sessions end with their address; its next owner gets a new token
+    emailManager.on('removed', (address) => {
+        [pop3Server, pop3sServer].filter(Boolean).forEach(target => target.closeMailbox(address));
+    });
+    
+    // ============================================
+    // IMAP SERVER SETUP
+    // ============================================
+    const imapOptions = {
+        emailManager,
+        allowInsecureAuth: config.IMAP_ALLOW_INSECURE_AUTH
+    };
+    
+    const imapServer = config.IMAP_PORT ? new ImapServer({ ...imapOptions, secure: false }) : null;
+    const imapsServer = config.IMAPS_PORT ? new ImapServer({ ...imapOptions, secure: true }) : null;
+    
+    // Install the certificate on every TLS-capable listener before they accept connections
+    async function setupTls() {
+        if (!config.SMTP_STARTTLS && !smtpsServer && !pop3Server && !pop3sServer && !imapServer && !imapsServer) return null;
+        
+        const stats = emailManager.getStats();
+        const tlsOptions = await loadTlsOptions({
+            certFile: config.TLS_CERT_FILE,
+            keyFile: config.TLS_KEY_FILE,
+            dataDir: config.DATA_DIR,
+            hostnames: [
+                ...stats.customDomains.map(dnsCheck.baseDomain),
+                ...(stats.publicIP ? [stats.publicIP] : []),
+                'localhost'
+            ]
+        });
+        
+        const { key, cert } = tlsOptions;
+        smtpServer.updateSecureContext({ key, cert });
+        if (smtpsServer) smtpsServer.updateSecureContext({ key, cert });
+        if (pop3Server) pop3Server.updateSecureContext({ key, cert });
+        if (pop3sServer) pop3sServer.updateSecureContext({ key, cert });
+        if (imapServer) imapServer.updateSecureContext({ key, cert });
+        if (imapsServer) imapsServer.updateSecureContext({ key, cert });
+        
+        return tlsOptions.source;
+    }
+    
+    // ============================================
+    // EXPRESS ROUTES (API)
+    // ============================================
+    app.use(express.static(path.join(__dirname, 'public')));
+    
+    // JavaScript client SDK for browser pages (/client/temp-mail.js)
+    app.get('/client/temp-mail.js', (req, res) => {
+        res.sendFile(path.join(__dirname, 'client', 'temp-mail.js'));
+    });
+    
+    function getBearerToken(req) {
+        const authorization = req.get('authorization') || '';
+        return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    }
+    
+    // Read the inbox token from the X-Inbox-Token header, a Bearer token or ?token=
+    function getInboxToken(req) {
+        return getBearerToken(req) || req.get('x-inbox-token') || req.query.token || null;
+    }
+    
+    // Middleware: per-address routes require the token issued by /api/email/generate
+    function requireInboxToken(req, res, next) {
+        const token = getInboxToken(req);
+        
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                error: 'Inbox token required'
+            });
+        }
+        
+        if (!emailManager.verifyToken(req.params.address, token)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid inbox token'
+            });
+        }
+        
+        next();
+    }
+    
+    function isAdminRequest(req) {
+        if (!config.ADMIN_TOKEN) return false;
+        
+        const token = req.get('x-admin-token') || getBearerToken(req) || '';
+        const expected = crypto.createHash('sha256').update(config.ADMIN_TOKEN).digest();
+        const actual = crypto.createHash('sha256').update(token).digest();
+        return crypto.timingSafeEqual(expected, actual);
+    }
+    
+    // Middleware: admin routes require ADMIN_TOKEN (X-Admin-Token header or Bearer token)
+    function requireAdmin(req, res, next) {
+        if (!config.ADMIN_TOKEN) {
+            return res.status(403).json({
+                success: false,
+                error: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.'
+            });
+        }
+        
+        if (!isAdminRequest(req)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid admin token'
+            });
+        }
+        
+        next();
+    }
+    
+    // Turn "true"/"false" query values into booleans (anything else is ignored)
+    function parseBooleanParam(value) {
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+        return undefined;
+    }
+    
+    // API: Get server info
+    app.get('/api/info', async (req, res) => {
+        const stats = emailManager.getStats();
+        
+        res.json({
+            success: true,
+            server: {
+                name: 'Public Email Server',
+                version: '2.1.0',
+                uptime: process.uptime(),
+                platform: os.platform(),
+                hostname: os.hostname()
+            },
+            config: {
+                smtpPort: config.SMTP_PORT,
+                smtpsPort: config.SMTPS_PORT || null,
+                starttls: config.SMTP_STARTTLS,
+                pop3Port: config.POP3_PORT || null,
+                pop3sPort: config.POP3S_PORT || null,
+                imapPort: config.IMAP_PORT || null,
+                imapsPort: config.IMAPS_PORT || null,
+                httpPort: config.HTTP_PORT,
+                storage: emailManager.storage.name,
+                recipientPolicy: config.RECIPIENT_POLICY,
+                allowAttachments: config.ALLOW_ATTACHMENTS,
+                canSend: mailSender.isConfigured(),
+                sendPolicy: config.SEND_POLICY,
+                maxAttachmentSize: config.MAX_ATTACHMENT_SIZE,
+                maxEmails: config.MAX_EMAILS_PER_ADDRESS,
+                addressTtlHours: config.ADDRESS_TTL_HOURS,
+                maxAddressTtlHours: config.MAX_ADDRESS_TTL_HOURS,
+                allowPermanentAddresses: config.ALLOW_PERMANENT_ADDRESSES
+            },
+            network: {
+                publicIP: stats.publicIP,
+                localIPs: stats.localIPs,
+                domains: stats.domains,
+                isPublic: !!stats.publicIP
+            },
+            stats: emailManager.getPublicStats()
+        });
+    });
+    
+    // API: Generate new email
+    app.get('/api/email/generate', async (req, res) => {
+        try {
+            const { type = 'public', username, domain, ttl } = req.query;
+            
+            const emailInfo = emailManager.generateEmailAddress({
+                username,
+                domain,
+                ttl,
+                type: type === 'public' ? 'public' : 'local'
+            });
+            
+            res.json({
+                success: true,
+                ...emailInfo
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+    
+    // API: Get emails for address
+    // Filters: folder, from, subject, q (body text), after, before, read, hasAttachments
+    // Pagination: limit, cursor
+    app.get('/api/email/:address', requireInboxToken, (req, res) => {
+        const { address } = req.params;
+        const { from, subject, q, after, before, cursor, folder = 'inbox' } = req.query;
+        
+        if (!MAIL_FOLDERS.includes(folder)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown folder "${folder}"`
+            });
+        }
+        
+        for (const [name, value] of Object.entries({ after, before })) {
+            if (value && isNaN(new Date(value).getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid "${name}" date`
+                });
+            }
+        }
+        
+        if (cursor && !emailManager.parseCursor(cursor)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid cursor'
+            });
+        }
+        
+        const limit = req.query.limit ? Math.min(Math.max(parseInt(req.query.limit) || 0, 1), 500) : undefined;
+        const result = emailManager.queryEmails(address, {
+            from,
+            subject,
+            text: q,
+            after,
+            before,
+            read: parseBooleanParam(req.query.read),
+            hasAttachments: parseBooleanParam(req.query.hasAttachments)
+        }, { folder, limit, cursor });
+        
+        res.json({
+            success: true,
+            address,
+            folder,
+            expiresAt: emailManager.emails.get(address).expiresAt,
+            count: result.emails.length,
+            total: result.total,
+            nextCursor: result.nextCursor,
+            emails: result.emails
+        });
+    });
+    
+    // API: Extend an address's lifetime
+    // Body: ttl (seconds added, default ADDRESS_TTL_HOURS) or permanent: true
+    app.post('/api/email/:address/extend', requireInboxToken, (req, res) => {
+        const { ttl, permanent } = req.body || {};
+        
+        try {
+            const entry = emailManager.extendAddress(req.params.address, {
+                ttl,
+                permanent: permanent === true || permanent === 'true'
+            });
+            
+            res.json({
+                success: true,
+                address: req.params.address,
+                expiresAt: entry.expiresAt,
+                permanent: entry.expiresAt === null
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+    
+    // API: Export a folder as an mbox file, a ZIP of .eml files or JSON records
+    app.get('/api/email/:address/export', requireInboxToken, async (req, res) => {
+        const { address } = req.params;
+        const { format = 'mbox', folder = 'inbox' } = req.query;
+        
+        if (!['mbox', 'zip', 'json'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown format "${format}", expected mbox, zip or json`
+            });
+        }
+        
+        if (!MAIL_FOLDERS.includes(folder)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown folder "${folder}"`
+            });
+        }
+        
+        const filename = `${address}-${folder}`;
+        
+        if (format === 'json') {
+            const emails = emailManager.getEmailsForAddress(address, folder);
+            res.attachment(`${filename}.json`);
+            return res.json({
+                success: true,
+                address,
+                folder,
+                exportedAt: new Date().toISOString(),
+                count: emails.length,
+                emails
+            });
+        }
+        
+        try {
+            const messages = (await emailManager.exportMessages(address, folder)).map(({ email, source }, index) => ({
+                source,
+                from: email.from,
+                date: email.date,
+                name: `${String(index + 1).padStart(4, '0')}-${email.id}.eml`
+            }));
+            
+            if (format === 'zip') {
+                res.attachment(`${filename}.zip`);
+                res.type('application/zip');
+                return res.send(archive.toZip(messages));
+            }
+            
+            res.attachment(`${filename}.mbox`);
+            res.type('application/mbox');
+            res.send(archive.toMbox(messages));
+        } catch (error) {
+            console.error('Error exporting mailbox:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+    
+    // Raw request body up to MAX_IMPORT_SIZE, with parse errors reported as JSON.
+    // JSON and form bodies are already consumed by the global parsers, so
+    // uploads must use another content type
+    const rawUpload = express.raw({ type: () => true, limit: config.MAX_IMPORT_SIZE });
+    function readRawBody(req, res, next) {
+        if (req.is('json', 'urlencoded')) {
+            return res.status(415).json({
+                success: false,
+                error: 'Upload the file as application/octet-stream, application/mbox, application/zip or message/rfc822'
+            });
+        }
+        
+        rawUpload(req, res, error => {
+            if (error) {
+                return res.status(error.status || 400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            next();
+        });
+    }
+    
+    // API: Import an mbox file, a ZIP of .eml files or a single .eml into the inbox
+    // Body: the file itself; ?format=mbox|zip|eml overrides detection
+    app.post('/api/email/:address/import', requireInboxToken, readRawBody, async (req, res) => {
+        const { address } = req.params;
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        const format = req.query.format || archive.detectFormat(body);
+        
+        let messages;
+        try {
+            messages = archive.unpack(body, format, {
+                maxMessageSize: config.MAX_MESSAGE_SIZE,
+                maxTotalSize: config.MAX_IMPORT_SIZE
+            });
+        } catch (error) {
+            return res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+        
+        // Same parsing as SMTP delivery; imports skip the spam and authentication checks
+        const ids = [];
+        const skipped = [];
+        for (const message of messages) {
+            if (!message.source || (config.MAX_MESSAGE_SIZE && message.size > config.MAX_MESSAGE_SIZE)) {
+                skipped.push({ name: message.name, error: `Message exceeds the maximum size of ${config.MAX_MESSAGE_SIZE} bytes` });
+                continue;
+            }
+            
+            try {
+                const emailData = await parseEmail(message.source, { recipients: [address] });
+                const result = await emailManager.receiveEmail(address, emailData);
+                ids.push(result.id);
+            } catch (error) {
+                skipped.push({ name: message.name, error: error.message });
+            }
+        }
+        
+        console.log(`📥 Imported ${ids.length} of ${messages.length} messages into ${address} (${format})`);
+        
+        res.json({
+            success: true,
+            address,
+            format,
+            imported: ids.length,
+            skipped,
+            ids
+        });
+    });
+    
+    // API: Send a new email or a reply from this address through the relay
+    app.post('/api/email/:address/send', requireInboxToken, async (req, res) => {
+        const { address } = req.params;
+        const { to, cc, bcc, subject, text, html, inReplyTo } = req.body || {};
+        
+        // Replies thread onto the stored original via In-Reply-To/References
+        let original = null;
+        if (inReplyTo) {
+            original = emailManager.getEmail(address, inReplyTo);
+            if (!original) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Original email not found'
+                });
+            }
+        }
+        
+        const recipients = to || (original && original.from);
+        if (!recipients || parseAddresses(recipients).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Recipient (to) is required'
+            });
+        }
+        
+        // Anyone can create inboxes and deliver mail to them, so without the
+        // admin token the relay only reaches verified senders of mail in this
+        // inbox, a limited number of times per inbox and per client
+        const admin = isAdminRequest(req);
+        if (!admin && config.SEND_POLICY === 'reply') {
+            const verified = emailManager.getEmailsForAddress(address).filter(isVerifiedSender);
+            const senders = new Set(parseAddresses(verified.map(email => email.from)));
+            const unknown = parseAddresses([recipients, cc, bcc]).filter(rcpt => !senders.has(rcpt));
+            
+            if (unknown.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    error: `Only verified senders of mail in this inbox can be written to: ${[...new Set(unknown)].join(', ')}`
+                });
+            }
+        }
+        
+        const exhausted = admin ? null : mailSender.takeQuota(address, normalizeIP(req.socket.remoteAddress));
+        if (exhausted) {
+            return res.status(429).json({
+                success: false,
+                error: `Send limit of ${exhausted.max} messages per hour ${exhausted.scope} reached, try again later`
+            });
+        }
+        
+        const message = {
+            from: address,
+            to: recipients,
+            cc,
+            bcc,
+            subject: subject || (original ? `Re: ${original.subject.replace(/^re:\s*/i, '')}` : 'No Subject'),
+            text: text || '',
+            html: html || undefined
+        };
+        
+        const parentId = original && original.headers && original.headers['message-id'];
+        if (parentId) {
+            const references = [].concat(original.headers.references || []);
+            message.inReplyTo = parentId;
+            message.references = references.concat(parentId);
+        }
+        
+        try {
+            const result = await mailSender.send(message);
+            const email = await emailManager.recordSentEmail(address, {
+                to: [].concat(recipients).join(', '),
+                cc: [].concat(cc || []).join(', '),
+                subject: message.subject,
+                text: message.text,
+                html: message.html,
+                messageId: result.messageId,
+                inReplyTo: message.inReplyTo,
+                raw: result.raw
+            });
+            
+            res.json({
+                success: true,
+                messageId: result.messageId,
+                response: result.info.response,
+                email
+            });
+        } catch (error) {
+            console.error('Error sending email:', error.message);
+            res.status(error.statusCode || 502).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+    
+    // API: Wait for a matching email (long-poll)
+    app.get('/api/email/:address/wait', requireInboxToken, async (req, res) => {
+        const { address } = req.params;
+        const { subject, from, since } = req.query;
+        const requested = parseFloat(req.query.timeout);
+        const seconds = Math.min(
+            Math.max(Number.isFinite(requested) ? requested : 30, 0),
+            config.MAX_WAIT_SECONDS
+        );
+        
+        if (since && isNaN(new Date(since).getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid "since" date'
+            });
+        }
+        
+        // Stop waiting when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+        
+        const email = await emailManager.waitForEmail(address, { subject, from, since }, {
+            timeout: seconds * 1000,
+            signal: controller.signal
+        });
+        
+        if (controller.signal.aborted && !email) return;
+        
+        if (!email) {
+            return res.status(408).json({
+                success: false,
+                error: `No matching email within ${seconds} seconds`
+            });
+        }
+        
+        res.json({
+            success: true,
+            address,
+            email
+        });
+    });
+    
+    // API: Get a single email
+    // (ids start with a timestamp, which keeps /webhooks and friends out of this route)
+    app.get('/api/email/:address/:id(\\d+[a-z0-9]*)', requireInboxToken, (req, res) => {
+        const { address, id } = req.params;
+        const email = emailManager.getEmail(address, id);
+        
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                error: 'Email not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            address,
+            email
+        });
+    });
+    
+    // API: Get links and verification codes found in an email
+    app.get('/api/email/:address/:id/links', requireInboxToken, (req, res) => {
+        const { address, id } = req.params;
+        const email = emailManager.getEmail(address, id);
+        
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                error: 'Email not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            address,
+            id,
+            links: email.links || extractLinks(email.text, email.html),
+            codes: email.codes || extractCodes(email.subject, email.text, email.html)
+        });
+    });
+    
+    // API: Render the HTML body as a sanitized document for a sandboxed iframe
+    // (?remote=true loads remote images; cid: images come from stored attachments)
+    app.get('/api/email/:address/:id/html', requireInboxToken, (req, res) => {
+        const { address, id } = req.params;
+        const email = emailManager.getEmail(address, id);
+        
+        if (!email || !email.html) {
+            return res.status(404).json({
+                success: false,
+                error: 'HTML body not found'
+            });
+        }
+        
+        const allowRemote = parseBooleanParam(req.query.remote) === true;
+        const token = encodeURIComponent(getInboxToken(req));
+        const attachments = Array.isArray(email.attachments) ? email.attachments : [];
+        
+        const { html, blockedRemote } = renderSafeHtml(email.html, {
+            allowRemote,
+            resolveCid: (cid) => {
+                const attachment = attachments.find(att =>
+                    att.stored && att.contentId && att.contentId.replace(/^<|>$/g, '') === cid);
+                return attachment ?
+                    `/api/email/${encodeURIComponent(address)}/${id}/attachments/${attachment.id}?token=${token}` :
+                    null;
+            }
+        });
+        
+        res.set('Content-Security-Policy', contentSecurityPolicy({ allowRemote }));
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Referrer-Policy', 'no-referrer');
+        res.set('X-Blocked-Remote-Content', String(blockedRemote));
+        res.type('html').send(html);
+    });
+    
+    // API: List attachments of an email
+    app.get('/api/email/:address/:id/attachments', requireInboxToken, (req, res) => {
+        const { address, id } = req.params;
+        const email = emailManager.getEmail(address, id);
+        
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                error: 'Email not found'
+            });
+        }
+        
+        const attachments = Array.isArray(email.attachments) ? email.attachments : [];
+        
+        res.json({
+            success: true,
+            address,
+            id,
+            count: attachments.length,
+            attachments
+        });
+    });
+    
+    // API: Download attachment
+    app.get('/api/email/:address/:id/attachments/:attachmentId', requireInboxToken, async (req, res) => {
+        const { address, id, attachmentId } = req.params;
+        const attachment = await emailManager.getAttachment(address, id, attachmentId);
+        
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Attachment not found'
+            });
+        }
+        
+        res.attachment(attachment.filename);
+        res.type(attachment.contentType);
+        res.send(attachment.content);
+    });
+    
+    // API: Download raw message source
+    app.get('/api/email/:address/:id/raw', requireInboxToken, async (req, res) => {
+        const { address, id } = req.params;
+        const raw = await emailManager.getRaw(address, id);
+        
+        if (!raw) {
+            return res.status(404).json({
+                success: false,
+                error: 'Raw message not found'
+            });
+        }
+        
+        if (req.query.download) {
+            res.attachment(`${id}.eml`);
+        }
+        res.type('message/rfc822');
+        res.send(raw);
+    });
+    
+    // API: Mark email as read
+    app.post('/api/email/:address/:id/read', requireInboxToken, (req, res) => {
+        const { address, id } = req.params;
+        const success = emailManager.markAsRead(address, id);
+        
+        res.json({
+            success,
+            message: success ? 'Email marked as read' : 'Email not found'
+        });
+    });
+    
+    // API: Delete email
+    app.delete('/api/email/:address/:id', requireInboxToken, (req, res) => {
+        const { address, id } = req.params;
+        const success = emailManager.deleteEmail(address, id);
+        
+        res.json({
+            success,
+            message: success ? 'Email deleted' : 'Email not found'
+        });
+    });
+    
+    // API: Delete all emails for address
+    app.delete('/api/email/:address', requireInboxToken, (req, res) => {
+        const { address } = req.params;
+        const success = emailManager.deleteAllEmails(address);
+        
+        res.json({
+            success,
+            message: success ? 'All emails deleted' : 'Address not found'
+        });
+    });
+    
+    // ============================================
+    // WEBHOOK ROUTES
+    // ============================================
+    // Shared handlers; "scope" is the inbox address, or null for global webhooks
+    function webhookRoutes(scope) {
+        const findWebhook = (req, res) => {
+            const webhook = webhookManager.get(req.params.webhookId);
+            if (!webhook || webhook.address !== scope(req)) {
+                res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+                return null;
+            }
+            return webhook;
+        };
+        
+        return {
+            list: (req, res) => {
+                const webhooks = webhookManager.list(scope(req)).map(w => webhookManager.describe(w));
+                res.json({ success: true, count: webhooks.length, webhooks });
+            },
+            
+            create: async (req, res) => {
+                try {
+                    const { url, secret, events } = req.body || {};
+                    const webhook = await webhookManager.create({ url, secret, events, address: scope(req) });
+                    res.status(201).json({ success: true, webhook });
+                } catch (error) {
+                    res.status(error.statusCode || 500).json({
+                        success: false,
+                        error: error.message
+                    });
+                }
+            },
+            
+            remove: (req, res) => {
+                if (!findWebhook(req, res)) return;
+                webhookManager.remove(req.params.webhookId);
+                res.json({ success: true, message: 'Webhook deleted' });
+            },
+            
+            test: async (req, res) => {
+                if (!findWebhook(req, res)) return;
+                const delivery = await webhookManager.test(req.params.webhookId);
+                res.json({ success: delivery.success, delivery });
+            },
+            
+            deliveries: (req, res) => {
+                if (!findWebhook(req, res)) return;
+                const deliveries = webhookManager.getDeliveries(req.params.webhookId);
+                res.json({ success: true, count: deliveries.length, deliveries });
+            }
+        };
+    }
+    
+    // API: Global webhooks (admin only)
+    const globalWebhooks = webhookRoutes(() => null);
+    app.get('/api/webhooks', requireAdmin, globalWebhooks.list);
+    app.post('/api/webhooks', requireAdmin, globalWebhooks.create);
+    app.delete('/api/webhooks/:webhookId', requireAdmin, globalWebhooks.remove);
+    app.post('/api/webhooks/:webhookId/test', requireAdmin, globalWebhooks.test);
+    app.get('/api/webhooks/:webhookId/deliveries', requireAdmin, globalWebhooks.deliveries);
+    
+    // API: Per-address webhooks (inbox token)
+    const inboxWebhooks = webhookRoutes(req => req.params.address);
+    app.get('/api/email/:address/webhooks', requireInboxToken, inboxWebhooks.list);
+    app.post('/api/email/:address/webhooks', requireInboxToken, inboxWebhooks.create);
+    app.delete('/api/email/:address/webhooks/:webhookId', requireInboxToken, inboxWebhooks.remove);
+    app.post('/api/email/:address/webhooks/:webhookId/test', requireInboxToken, inboxWebhooks.test);
+    app.get('/api/email/:address/webhooks/:webhookId/deliveries', requireInboxToken, inboxWebhooks.deliveries);
+    
+    // ============================================
+    // ADMIN ROUTES
+    // ============================================
+    
+    // Settings the admin API may change while running. Values are type-checked,
+    // saved in storage meta and re-applied at startup; "apply" pushes a value
+    // into components that copied it when they were created.
+    const RUNTIME_CONFIG = {
+        EMAIL_EXPIRY_HOURS: { type: 'number', min: 1 },
+        ADDRESS_TTL_HOURS: { type: 'number', min: 0.1 },
+        MAX_ADDRESS_TTL_HOURS: { type: 'number', min: 0.1 },
+        ALLOW_PERMANENT_ADDRESSES: { type: 'boolean' },
+        MAX_EMAILS_PER_ADDRESS: { type: 'number', min: 1 },
+        MAX_WAIT_SECONDS: { type: 'number', min: 1 },
+        ALLOW_ATTACHMENTS: { type: 'boolean' },
+        MAX_ATTACHMENT_SIZE: { type: 'number', min: 0 },
+        RECIPIENT_POLICY: { type: 'string', values: ['strict', 'catch-all'] },
+        MAX_MESSAGE_SIZE: {
+            type: 'number',
+            min: 0,
+            apply: value => [smtpServer, smtpsServer].forEach(listener => {
+                if (listener) listener.options.size = value;
+            })
+        },
+        SMTP_MAX_CONNECTIONS_PER_IP: { type: 'number', min: 0, apply: value => { smtpLimiter.maxConnectionsPerIP = value; } },
+        SMTP_MESSAGES_PER_MINUTE_PER_IP: { type: 'number', min: 0, apply: value => { smtpLimiter.messagesPerMinutePerIP = value; } },
+        SMTP_MESSAGES_PER_MINUTE_PER_RECIPIENT: { type: 'number', min: 0, apply: value => { smtpLimiter.messagesPerMinutePerRecipient = value; } },
+        FILTER_TAG_SCORE: { type: 'number', apply: value => { if (filterPipeline) filterPipeline.thresholds.tag = value; } },
+        FILTER_QUARANTINE_SCORE: { type: 'number', apply: value => { if (filterPipeline) filterPipeline.thresholds.quarantine = value; } },
+        FILTER_REJECT_SCORE: { type: 'number', apply: value => { if (filterPipeline) filterPipeline.thresholds.reject = value; } }
+    };
+    
+    // Values from the environment, restored when an override is cleared
+    const configDefaults = Object.fromEntries(Object.keys(RUNTIME_CONFIG).map(key => [key, config[key]]));
+    let configOverrides = {};
+    
+    function getRuntimeConfig() {
+        return Object.fromEntries(Object.keys(RUNTIME_CONFIG).map(key => [key, config[key]]));
+    }
+    
+    function setRuntimeConfig(key, value) {
+        config[key] = value;
+        if (RUNTIME_CONFIG[key].apply) RUNTIME_CONFIG[key].apply(value);
+    }
+    
+    // Re-apply overrides saved by earlier PATCH /api/admin/config calls
+    function loadRuntimeConfig(overrides = {}) {
+        configOverrides = {};
+        for (const [key, value] of Object.entries(overrides)) {
+            if (!RUNTIME_CONFIG[key]) continue;
+            configOverrides[key] = value;
+            setRuntimeConfig(key, value);
+        }
+        
+        const count = Object.keys(configOverrides).length;
+        if (count > 0) {
+            console.log(`⚙️  Applied ${count} runtime config overrides`);
+        }
+    }
+    
+    // Check a whole change set before touching anything; null resets a key to its default
+    function validateConfigChanges(changes) {
+        for (const [key, value] of Object.entries(changes)) {
+            const setting = RUNTIME_CONFIG[key];
+            if (!setting) return `${key} cannot be changed at runtime`;
+            if (value === null) continue;
+            
+            if (typeof value !== setting.type || (setting.type === 'number' && !isFinite(value))) {
+                return `${key} must be a ${setting.type}`;
+            }
+            if (setting.min !== undefined && value < setting.min) {
+                return `${key} must be at least ${setting.min}`;
+            }
+            if (setting.values && !setting.values.includes(value)) {
+                return `${key} must be one of: ${setting.values.join(', ')}`;
+            }
+        }
+        return null;
+    }
+    
+    // Serve the admin page (the token is entered there and sent with each API call)
+    app.get('/admin', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+    });
+    
+    // API: Full server statistics and component status
+    app.get('/api/admin/overview', requireAdmin, (req, res) => {
+        const memory = process.memoryUsage();
+        
+        res.json({
+            success: true,
+            stats: emailManager.getStats(),
+            storage: emailManager.storage.name,
+            memory: {
+                rss: memory.rss,
+                heapUsed: memory.heapUsed
+            },
+            smtp: {
+                port: config.SMTP_PORT,
+                smtpsPort: config.SMTPS_PORT || null,
+                starttls: config.SMTP_STARTTLS,
+                requireAuth: config.REQUIRE_AUTH,
+                users: userStore.users.size,
+                ...smtpLimiter.getStatus()
+            },
+            filters: filterPipeline ? filterPipeline.getStatus().thresholds : null,
+            quarantined: emailManager.getQuarantine().length,
+            webhooks: webhookManager.webhooks.size,
+            relay: mailSender.isConfigured()
+        });
+    });
+    
+    // API: List and search addresses
+    // Query: q (substring of the address), limit, offset
+    app.get('/api/admin/addresses', requireAdmin, (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { total, addresses } = emailManager.listAddresses({ q: req.query.q || '', limit, offset });
+        
+        res.json({ success: true, total, limit, offset, addresses });
+    });
+    
+    app.get('/api/admin/addresses/:address', requireAdmin, (req, res) => {
+        const address = emailManager.describeAddress(req.params.address);
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                error: 'Address not found'
+            });
+        }
+        
+        res.json({ success: true, ...address });
+    });
+    
+    // Removes the address with all of its mail, attachments and webhooks
+    app.delete('/api/admin/addresses/:address', requireAdmin, (req, res) => {
+        if (!emailManager.removeAddress(req.params.address)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Address not found'
+            });
+        }
+        
+        console.log(`🗑️  Admin removed address ${req.params.address}`);
+        res.json({ success: true, message: 'Address deleted' });
+    });
+    
+    // API: Runtime config
+    app.get('/api/admin/config', requireAdmin, (req, res) => {
+        res.json({
+            success: true,
+            config: getRuntimeConfig(),
+            defaults: configDefaults,
+            overrides: configOverrides
+        });
+    });
+    
+    // Body: { KEY: value, ... } with keys from GET /api/admin/config; null restores the default
+    app.patch('/api/admin/config', requireAdmin, async (req, res) => {
+        const changes = req.body || {};
+        const error = validateConfigChanges(changes);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete configOverrides[key];
+                setRuntimeConfig(key, configDefaults[key]);
+            } else {
+                configOverrides[key] = value;
+                setRuntimeConfig(key, value);
+            }
+        }
+        
+        try {
+            await emailManager.storage.saveMeta('runtimeConfig', configOverrides);
+        } catch (saveError) {
+            console.error('Error saving runtime config:', saveError.message);
+        }
+        
+        console.log(`⚙️  Runtime config changed: ${Object.keys(changes).join(', ')}`);
+        res.json({
+            success: true,
+            config: getRuntimeConfig(),
+            overrides: configOverrides
+        });
+    });
+    
+    // API: Expire old mail and addresses now instead of waiting for the timer
+    app.post('/api/admin/cleanup', requireAdmin, (req, res) => {
+        res.json({
+            success: true,
+            ...emailManager.cleanupOldEmails()
+        });
+    });
+    
+    // API: SMTP commands refused at any stage, newest first
+    // Query: stage (connect, auth, mail, rcpt or data), limit
+    app.get('/api/admin/rejected-sessions', requireAdmin, (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 50, REJECTED_LOG_SIZE);
+        
+        res.json({
+            success: true,
+            total: emailManager.stats.rejectedSessions,
+            rejected: emailManager.getRejections({ stage: req.query.stage, limit })
+        });
+    });
+    
+    // API: Recipients refused at RCPT TO, newest first
+    app.get('/api/admin/rejected-recipients', requireAdmin, (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 50, REJECTED_LOG_SIZE);
+        
+        res.json({
+            success: true,
+            policy: config.RECIPIENT_POLICY,
+            total: emailManager.stats.rejectedRecipients,
+            rejected: emailManager.getRejections({ stage: 'rcpt', limit })
+        });
+    });
+    
+    // API: SMTP AUTH users for authenticated submission
+    app.get('/api/admin/users', requireAdmin, (req, res) => {
+        const users = userStore.list();
+        res.json({ success: true, count: users.length, users });
+    });
+    
+    app.post('/api/admin/users', requireAdmin, async (req, res) => {
+        try {
+            const user = await userStore.create(req.body || {});
+            res.status(201).json({ success: true, user: userStore.describe(user) });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+    
+    // Body: password and/or addresses
+    app.put('/api/admin/users/:username', requireAdmin, async (req, res) => {
+        try {
+            const user = await userStore.update(req.params.username, req.body || {});
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+            
+            res.json({ success: true, user: userStore.describe(user) });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+    
+    app.delete('/api/admin/users/:username', requireAdmin, (req, res) => {
+        if (!userStore.remove(req.params.username)) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+        
+        res.json({ success: true, message: 'User deleted' });
+    });
+    
+    // Middleware: filter routes need SPAM_FILTER enabled
+    function requireFilters(req, res, next) {
+        if (!filterPipeline) {
+            return res.status(503).json({
+                success: false,
+                error: 'Spam filter is disabled. Unset SPAM_FILTER=false to enable it.'
+            });
         }
+        next();
     }
     
-    isValidIP(ip) {
-        if (!ip || typeof ip !== 'string') return false;
-        
-        // Remove whitespace
-        ip = ip.trim();
-        
-        // Check format
-        const ipPattern = /^(\d{1,3}\.){3}\d{1,3}$/;
-        if (!ipPattern.test(ip)) return false;
-        
-        // Check each octet
-        const parts = ip.split('.');
-        if (parts.length !== 4) return false;
-        
-        for (const part of parts) {
-            const num = parseInt(part, 10);
-            if (num < 0 || num > 255 || isNaN(num)) return false;
-            if (part.length > 1 && part.startsWith('0')) return false; // No leading zeros
-        }
-        
-        // Reserved IP checks
-        if (ip === '127.0.0.1') return false; // Loopback
-        if (ip === '0.0.0.0') return false; // Invalid
-        if (ip.startsWith('169.254.')) return false; // Link-local
-        if (ip.startsWith('192.168.')) return false; // Private
-        if (ip.startsWith('10.')) return false; // Private
-        if (ip.startsWith('172.16.') || ip.startsWith('172.17.') || 
-            ip.startsWith('172.18.') || ip.startsWith('172.19.') ||
-            ip.startsWith('172.20.') || ip.startsWith('172.21.') ||
-            ip.startsWith('172.22.') || ip.startsWith('172.23.') ||
-            ip.startsWith('172.24.') || ip.startsWith('172.25.') ||
-            ip.startsWith('172.26.') || ip.startsWith('172.27.') ||
-            ip.startsWith('172.28.') || ip.startsWith('172.29.') ||
-            ip.startsWith('172.30.') || ip.startsWith('172.31.')) return false; // Private
-        
-        return true;
-    }
+    // API: Filter rules, thresholds, blocked senders and Bayes training counts
+    app.get('/api/admin/filters', requireAdmin, requireFilters, (req, res) => {
+        res.json({ success: true, ...filterPipeline.getStatus() });
+    });
     
-    generateEmailAddress(options = {}) {
-        const {
-            username: customUsername,
-            domain: preferredDomain,
-            type = 'public' // 'public', 'local', 'random'
-        } = options;
-        
-        // Generate username
-        let username;
-        if (customUsername && this.isValidUsername(customUsername)) {
-            username = customUsername;
-        } else {
-            username = this.generateRandomUsername();
+    app.post('/api/admin/filters/blocked-senders', requireAdmin, requireFilters, (req, res) => {
+        try {
+            const sender = filterPipeline.blockSender((req.body || {}).sender);
+            res.status(201).json({ success: true, sender });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
         }
-        
-        // Select domain based on type
-        let domain;
-        const domains = Array.from(this.domains);
-        
-        if (preferredDomain && domains.includes(preferredDomain)) {
-            domain = preferredDomain;
-        } else if (type === 'public' && this.publicIP) {
-            domain = this.publicIP;
-        } else if (type === 'local') {
-            // Pick a local domain (not public IP)
-            const localDomains = domains.filter(d => d !== this.publicIP && d !== 'localhost');
-            domain = localDomains.length > 0 ? localDomains[0] : 'localhost';
-        } else {
-            // Random selection
-            domain = domains[Math.floor(Math.random() * domains.length)];
+    });
+    
+    app.delete('/api/admin/filters/blocked-senders/:sender', requireAdmin, requireFilters, (req, res) => {
+        if (!filterPipeline.unblockSender(req.params.sender)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Sender is not blocked'
+            });
         }
         
-        const email = `${username}@${domain}`;
+        res.json({ success: true, message: 'Sender unblocked' });
+    });
+    
+    // API: Train the Bayes scorer
+    // Body: label ("spam" or "ham") plus either address + id of a stored email, or subject/text
+    app.post('/api/admin/filters/train', requireAdmin, requireFilters, (req, res) => {
+        const { label, address, id, subject, text } = req.body || {};
+        const message = address && id ? emailManager.getEmail(address, id) : { subject, text };
         
-        // Initialize storage for this email
-        if (!this.emails.has(email)) {
-            this.emails.set(email, {
-                address: email,
-                created: new Date(),
-                messages: [],
-                stats: {
-                    received: 0,
-                    read: 0
-                }
+        if (!message || (!message.subject && !message.text)) {
+            return res.status(address && id ? 404 : 400).json({
+                success: false,
+                error: address && id ? 'Email not found' : 'Provide address and id, or subject/text'
             });
-            this.stats.totalAddresses++;
         }
         
-        // Track domain usage
-        this.domainHistory.push({
-            email,
-            domain,
-            timestamp: new Date(),
-            type: domain === 'localhost' || (this.localIPs.includes(domain) && domain !== this.publicIP) ? 'local' : 'public'
-        });
-        
-        return {
-            email,
-            domain,
-            isPublic: domain === this.publicIP,
-            isLocal: domain === 'localhost' || this.localIPs.includes(domain),
-            smtpServer: `${domain}:${config.SMTP_PORT}`,
-            webInterface: domain === 'localhost' ? 
-                `http://localhost:${config.HTTP_PORT}` :
-                `http://${domain}:${config.HTTP_PORT}`,
-            instructions: this.getInstructions(domain)
-        };
-    }
-    
-    getInstructions(domain) {
-        if (domain === 'localhost') {
-            return {
-                note: 'Local email - can only receive from this device',
-                sendFrom: 'Send from this device only',
-                example: `echo "Test" | mail -s "Test" username@localhost`
-            };
-        } else if (domain === this.publicIP) {
-            return {
-                note: 'Public email - can receive from anywhere on internet',
-                sendFrom: `Send from any device: username@${domain}`,
-                smtp: `SMTP Server: ${domain}:${config.SMTP_PORT}`,
-                example: `Use in Gmail/Outlook with SMTP server above`
-            };
-        } else {
-            return {
-                note: 'Local network email - can receive from same network',
-                sendFrom: `Send from same network: username@${domain}`,
-                smtp: `SMTP Server: ${domain}:${config.SMTP_PORT}`,
-                example: `Devices on same WiFi can send to this address`
-            };
+        try {
+            filterPipeline.train(message, label);
+            res.json({ success: true, bayes: filterPipeline.getStatus().bayes });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
         }
-    }
+    });
     
-    generateRandomUsername() {
-        const adjectives = ['quick', 'clever', 'happy', 'brave', 'calm', 'eager', 'gentle', 'jolly', 'smart', 'wise'];
-        const nouns = ['fox', 'bear', 'wolf', 'eagle', 'lion', 'tiger', 'panda', 'hawk', 'owl', 'deer'];
-        const num = Math.floor(Math.random() * 999);
-        
-        const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
-        const noun = nouns[Math.floor(Math.random() * nouns.length)];
+    // API: Quarantined mail across all addresses
+    app.get('/api/admin/quarantine', requireAdmin, (req, res) => {
+        const messages = emailManager.getQuarantine().map(({ address, email }) => ({
+            address,
+            id: email.id,
+            from: email.from,
+            subject: email.subject,
+            date: email.date,
+            spam: email.spam
+        }));
         
-        return `${adj}_${noun}_${num}`.toLowerCase();
-    }
-    
-    isValidUsername(username) {
-        return /^[a-z0-9_.-]{3,20}$/.test(username);
-    }
-    
-    // ... [Rest of the EmailManager methods remain the same as before] ...
+        res.json({ success: true, count: messages.length, messages });
+    });
     
-    async receiveEmail(toAddress, emailData) {
-        if (!this.emails.has(toAddress)) {
-            // Create address if it doesn't exist (for receiving)
-            this.emails.set(toAddress, {
-                address: toAddress,
-                created: new Date(),
-                messages: [],
-                stats: { received: 0, read: 0 }
+    app.get('/api/admin/quarantine/:address/:id', requireAdmin, (req, res) => {
+        const email = emailManager.getEmail(req.params.address, req.params.id);
+        if (!email || email.folder !== 'quarantine') {
+            return res.status(404).json({
+                success: false,
+                error: 'Quarantined email not found'
             });
-            this.stats.totalAddresses++;
         }
         
-        const emailEntry = this.emails.get(toAddress);
-        const emailId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-        
-        const savedEmail = {
-            id: emailId,
-            from: emailData.from,
-            to: toAddress,
-            subject: emailData.subject || 'No Subject',
-            text: emailData.text || '',
-            html: emailData.html || '',
-            headers: emailData.headers || {},
-            date: new Date().toISOString(),
-            read: false,
-            attachments: emailData.attachments || 0
-        };
-        
-        emailEntry.messages.unshift(savedEmail);
-        emailEntry.stats.received++;
-        this.stats.totalEmails++;
+        res.json({ success: true, email });
+    });
+    
+    // Release into the inbox; ?train=true also teaches the Bayes scorer it was ham
+    app.post('/api/admin/quarantine/:address/:id/release', requireAdmin, (req, res) => {
+        const { address, id } = req.params;
+        const email = emailManager.getEmail(address, id);
+        if (!email || email.folder !== 'quarantine') {
+            return res.status(404).json({
+                success: false,
+                error: 'Quarantined email not found'
+            });
+        }
         
-        // Limit messages per address
-        if (emailEntry.messages.length > config.MAX_EMAILS_PER_ADDRESS) {
-            emailEntry.messages = emailEntry.messages.slice(0, config.MAX_EMAILS_PER_ADDRESS);
+        if (filterPipeline && parseBooleanParam(req.query.train)) {
+            filterPipeline.train(email, 'ham');
         }
+        emailManager.moveEmail(address, id, 'inbox');
         
-        // Save to file
-        this.saveToFile();
+        res.json({ success: true, message: 'Email released to inbox' });
+    });
+    
+    // Delete; ?train=true also teaches the Bayes scorer it was spam
+    app.delete('/api/admin/quarantine/:address/:id', requireAdmin, (req, res) => {
+        const { address, id } = req.params;
+        const email = emailManager.getEmail(address, id);
+        if (!email || email.folder !== 'quarantine') {
+            return res.status(404).json({
+                success: false,
+                error: 'Quarantined email not found'
+            });
+        }
         
-        // Log the receipt
-        console.log(`📨 Email received: ${emailData.from} -> ${toAddress} [${savedEmail.subject}]`);
+        if (filterPipeline && parseBooleanParam(req.query.train)) {
+            filterPipeline.train(email, 'spam');
+        }
+        emailManager.deleteEmail(address, id);
         
-        // Return email info
-        return {
-            id: emailId,
-            address: toAddress,
-            email: savedEmail,
-            totalMessages: emailEntry.messages.length
-        };
-    }
+        res.json({ success: true, message: 'Email deleted' });
+    });
     
-    getEmailsForAddress(emailAddress) {
-        return this.emails.get(emailAddress)?.messages || [];
-    }
+    // API: SMTP limits and current connections per IP
+    app.get('/api/admin/smtp-limits', requireAdmin, (req, res) => {
+        res.json({
+            success: true,
+            maxMessageSize: config.MAX_MESSAGE_SIZE,
+            ...smtpLimiter.getStatus()
+        });
+    });
     
-    markAsRead(emailAddress, emailId) {
-        const emailEntry = this.emails.get(emailAddress);
-        if (emailEntry) {
-            const email = emailEntry.messages.find(msg => msg.id === emailId);
-            if (email && !email.read) {
-                email.read = true;
-                emailEntry.stats.read++;
-                this.saveToFile();
-                return true;
-            }
-        }
-        return false;
-    }
+    // API: IP blocklist (single addresses or CIDR ranges)
+    app.get('/api/admin/blocklist', requireAdmin, (req, res) => {
+        const blocked = smtpLimiter.listBlocked();
+        res.json({ success: true, count: blocked.length, blocked });
+    });
     
-    deleteEmail(emailAddress, emailId) {
-        const emailEntry = this.emails.get(emailAddress);
-        if (emailEntry) {
-            const initialLength = emailEntry.messages.length;
-            emailEntry.messages = emailEntry.messages.filter(msg => msg.id !== emailId);
-            if (emailEntry.messages.length < initialLength) {
-                this.saveToFile();
-                return true;
-            }
+    app.post('/api/admin/blocklist', requireAdmin, (req, res) => {
+        try {
+            const { ip, reason } = req.body || {};
+            const entry = smtpLimiter.block(ip, reason);
+            
+            res.status(201).json({ success: true, entry });
+        } catch (error) {
+            res.status(error.statusCode || 500).json({
+                success: false,
+                error: error.message
+            });
         }
-        return false;
-    }
+    });
     
-    deleteAllEmails(emailAddress) {
-        if (this.emails.has(emailAddress)) {
-            this.emails.get(emailAddress).messages = [];
-            this.saveToFile();
-            return true;
+    // CIDR ranges are passed URL-encoded, e.g. /api/admin/blocklist/203.0.113.0%2F24
+    app.delete('/api/admin/blocklist/:ip', requireAdmin, (req, res) => {
+        if (!smtpLimiter.unblock(req.params.ip)) {
+            return res.status(404).json({
+                success: false,
+                error: 'IP is not blocked'
+            });
         }
-        return false;
-    }
+        
+        res.json({ success: true, message: 'IP unblocked' });
+    });
     
-    getStats() {
-        return {
-            ...this.stats,
-            uptime: Date.now() - this.stats.startTime,
-            activeAddresses: this.emails.size,
-            domains: Array.from(this.domains),
-            publicIP: this.publicIP,
-            localIPs: this.localIPs
-        };
-    }
+    // API: Get server statistics (full numbers are in /api/admin/overview)
+    app.get('/api/stats', (req, res) => {
+        res.json({
+            success: true,
+            ...emailManager.getPublicStats()
+        });
+    });
     
-    cleanupOldEmails() {
-        const expiryTime = config.EMAIL_EXPIRY_HOURS * 60 * 60 * 1000;
-        const now = Date.now();
+    // API: Get available domains
+    app.get('/api/domains', (req, res) => {
+        const stats = emailManager.getStats();
         
-        let deletedCount = 0;
+        res.json({
+            success: true,
+            domains: stats.domains,
+            customDomains: stats.customDomains,
+            publicIP: stats.publicIP,
+            localIPs: stats.localIPs,
+            note: 'You can use any of these domains in email addresses'
+        });
+    });
+    
+    // API: DNS records each custom domain needs, and whether they resolve
+    // Query: domain (one configured domain), format=zone for plain zone-file lines
+    app.get('/api/domains/diagnostics', async (req, res) => {
+        const domains = req.query.domain ? [String(req.query.domain).toLowerCase()] : emailManager.customDomains;
+        const options = { mxHost: config.MX_HOST, publicIP: emailManager.publicIP };
         
-        for (const [address, data] of this.emails.entries()) {
-            // Remove emails older than expiry time
-            const initialCount = data.messages.length;
-            data.messages = data.messages.filter(msg => {
-                const msgTime = new Date(msg.date).getTime();
-                return (now - msgTime) < expiryTime;
+        if (domains.some(domain => !emailManager.customDomains.includes(domain))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Domain is not configured in PUBLIC_DOMAIN'
             });
-            deletedCount += (initialCount - data.messages.length);
-            
-            // Remove address if no messages and older than expiry
-            if (data.messages.length === 0) {
-                const addressAge = now - new Date(data.created).getTime();
-                if (addressAge > expiryTime) {
-                    this.emails.delete(address);
-                }
-            }
         }
         
-        if (deletedCount > 0) {
-            console.log(`🧹 Cleaned up ${deletedCount} old emails`);
-            this.saveToFile();
+        if (req.query.format === 'zone') {
+            return res.type('text/plain').send(dnsCheck.formatZone(domains, options));
         }
-    }
-    
-    saveToFile() {
-        if (!config.SAVE_EMAILS) return;
         
         try {
-            const data = {
-                emails: Object.fromEntries(this.emails),
-                stats: this.stats,
-                savedAt: new Date().toISOString()
-            };
+            const resolver = dnsCheck.createResolver({ servers: config.DNS_SERVERS });
+            const results = await Promise.all(domains.map(domain =>
+                dnsCheck.checkDomain(domain, { ...options, resolver })
+            ));
             
-            fs.writeFileSync(config.EMAIL_STORAGE, JSON.stringify(data, null, 2), 'utf8');
+            res.json({
+                success: true,
+                publicIP: emailManager.publicIP,
+                smtpPort: config.SMTP_PORT,
+                resolvers: config.DNS_SERVERS.length > 0 ? config.DNS_SERVERS : 'system',
+                warnings: config.SMTP_PORT === 25 ? [] :
+                    [`Senders deliver on port 25; forward TCP 25 to ${config.SMTP_PORT}`],
+                domains: results
+            });
         } catch (error) {
-            console.error('Error saving emails to file:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
         }
-    }
+    });
     
-    loadFromFile() {
+    // API: Test public IP
+    app.get('/api/test-ip', async (req, res) => {
         try {
-            const rawData = fs.readFileSync(config.EMAIL_STORAGE, 'utf8');
-            const data = JSON.parse(rawData);
+            const testIPs = [];
+            const services = [
+                { name: 'ipify', url: 'https://api.ipify.org' },
+                { name: 'icanhazip', url: 'https://icanhazip.com' },
+                { name: 'aws', url: 'https://checkip.amazonaws.com' }
+            ];
             
-            // Convert back to Map
-            this.emails = new Map(Object.entries(data.emails || {}));
-            this.stats = data.stats || this.stats;
-            
-            console.log(`📂 Loaded ${this.emails.size} email addresses from storage`);
-        } catch (error) {
-            console.error('Error loading emails from file:', error);
-        }
-    }
-}
-
-// ============================================
-// INITIALIZE MANAGER
-// ============================================
-const emailManager = new EmailManager();
-
-// ============================================
-// SMTP SERVER SETUP
-// ============================================
-const smtpServer = new SMTPServer({
-    // Server identification
-    name: 'public-email-server',
-    banner: 'Public Temporary Email Server - Termux',
-    
-    // Connection settings
-    secure: false,
-    disabledCommands: config.REQUIRE_AUTH ? [] : ['AUTH'],
-    authOptional: !config.REQUIRE_AUTH,
-    
-    // Accept all recipients
-    onRcptTo: (address, session, callback) => {
-        const domain = address.address.split('@')[1];
-        
-        // Allow any domain for receiving (dynamic adding)
-        emailManager.domains.add(domain);
-        callback();
-    },
-    
-    // Process incoming email
-    onData: async (stream, session, callback) => {
-        const mailParser = new MailParser({});
-        const emailData = {
-            from: session.envelope.mailFrom.address,
-            recipients: session.envelope.rcptTo.map(rcpt => rcpt.address),
-            subject: '',
-            text: '',
-            html: '',
-            headers: {},
-            attachments: 0
-        };
-        
-        mailParser.on('headers', (headers) => {
-            emailData.headers = Object.fromEntries(headers);
-            emailData.subject = headers.get('subject') || 'No Subject';
-        });
-        
-        mailParser.on('data', (data) => {
-            if (data.type === 'text') {
-                emailData.text = data.text || '';
-                emailData.html = data.html || '';
-            }
-            if (data.type === 'attachment') {
-                if (config.ALLOW_ATTACHMENTS) {
-                    emailData.attachments++;
-                    data.content.resume();
-                }
-            }
-        });
-        
-        mailParser.on('end', async () => {
-            try {
-                for (const recipient of emailData.recipients) {
-                    const result = await emailManager.receiveEmail(recipient, emailData);
+            for (const service of services) {
+                try {
+                    const https = require('https');
+                    const ip = await new Promise((resolve, reject) => {
+                        const req = https.get(service.url, (res) => {
+                            let data = '';
+                            res.on('data', chunk => data += chunk);
+                            res.on('end', () => resolve(data.trim()));
+                        });
+                        req.setTimeout(3000, () => {
+                            req.destroy();
+                            reject(new Error('Timeout'));
+                        });
+                        req.on('error', reject);
+                    });
                     
-                    io.emit('new-email', {
-                        recipient: recipient,
-                        email: result.email,
-                        total: result.totalMessages
+                    testIPs.push({
+                        service: service.name,
+                        ip: ip,
+                        valid: emailManager.isValidIP(ip)
+                    });
+                } catch (error) {
+                    testIPs.push({
+                        service: service.name,
+                        error: error.message
                     });
                 }
-                
-                callback();
-            } catch (error) {
-                console.error('Error processing email:', error);
-                callback(error);
             }
-        });
-        
-        stream.pipe(mailParser);
-    },
-    
-    onError: (err) => {
-        console.error('SMTP Server Error:', err.message);
-    },
-    
-    logger: config.LOG_LEVEL === 'debug'
-});
-
-// ============================================
-// EXPRESS ROUTES (API)
-// ============================================
-app.use(express.static(path.join(__dirname, 'public')));
-
-// API: Get server info
-app.get('/api/info', async (req, res) => {
-    const stats = emailManager.getStats();
-    
-    res.json({
-        success: true,
-        server: {
-            name: 'Public Email Server',
-            version: '2.1.0',
-            uptime: process.uptime(),
-            platform: os.platform(),
-            hostname: os.hostname()
-        },
-        config: {
-            smtpPort: config.SMTP_PORT,
-            httpPort: config.HTTP_PORT,
-            allowAttachments: config.ALLOW_ATTACHMENTS,
-            maxEmails: config.MAX_EMAILS_PER_ADDRESS
-        },
-        network: {
-            publicIP: stats.publicIP,
-            localIPs: stats.localIPs,
-            domains: stats.domains,
-            isPublic: !!stats.publicIP
-        },
-        stats: stats
+            
+            res.json({
+                success: true,
+                currentPublicIP: emailManager.publicIP,
+                testResults: testIPs,
+                manualIP: config.MANUAL_PUBLIC_IP || undefined
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
     });
-});
-
-// API: Generate new email
-app.get('/api/email/generate', async (req, res) => {
-    try {
-        const { type = 'public', username, domain } = req.query;
-        
-        const emailInfo = emailManager.generateEmailAddress({
-            username,
-            domain,
-            type: type === 'public' ? 'public' : 'local'
-        });
-        
-        res.json({
-            success: true,
-            ...emailInfo
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
-
-// API: Get emails for address
-app.get('/api/email/:address', (req, res) => {
-    const { address } = req.params;
-    const emails = emailManager.getEmailsForAddress(address);
-    
-    res.json({
-        success: true,
-        address,
-        count: emails.length,
-        emails
-    });
-});
-
-// API: Mark email as read
-app.post('/api/email/:address/:id/read', (req, res) => {
-    const { address, id } = req.params;
-    const success = emailManager.markAsRead(address, id);
     
-    res.json({
-        success,
-        message: success ? 'Email marked as read' : 'Email not found'
+    // Serve main page
+    app.get('*', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'index.html'));
     });
-});
-
-// API: Delete email
-app.delete('/api/email/:address/:id', (req, res) => {
-    const { address, id } = req.params;
-    const success = emailManager.deleteEmail(address, id);
     
-    res.json({
-        success,
-        message: success ? 'Email deleted' : 'Email not found'
-    });
-});
-
-// API: Delete all emails for address
-app.delete('/api/email/:address', (req, res) => {
-    const { address } = req.params;
-    const success = emailManager.deleteAllEmails(address);
+    // ============================================
+    // START AND STOP
+    // ============================================
     
-    res.json({
-        success,
-        message: success ? 'All emails deleted' : 'Address not found'
-    });
-});
-
-// API: Get server statistics
-app.get('/api/stats', (req, res) => {
-    res.json({
-        success: true,
-        ...emailManager.getStats()
-    });
-});
-
-// API: Get available domains
-app.get('/api/domains', (req, res) => {
-    const stats = emailManager.getStats();
-    
-    res.json({
-        success: true,
-        domains: stats.domains,
-        publicIP: stats.publicIP,
-        localIPs: stats.localIPs,
-        note: 'You can use any of these domains in email addresses'
-    });
-});
-
-// API: Test public IP
-app.get('/api/test-ip', async (req, res) => {
-    try {
-        const testIPs = [];
-        const services = [
-            { name: 'ipify', url: 'https://api.ipify.org' },
-            { name: 'icanhazip', url: 'https://icanhazip.com' },
-            { name: 'aws', url: 'https://checkip.amazonaws.com' }
-        ];
-        
-        for (const service of services) {
-            try {
-                const https = require('https');
-                const ip = await new Promise((resolve, reject) => {
-                    const req = https.get(service.url, (res) => {
-                        let data = '';
-                        res.on('data', chunk => data += chunk);
-                        res.on('end', () => resolve(data.trim()));
-                    });
-                    req.setTimeout(3000, () => {
-                        req.destroy();
-                        reject(new Error('Timeout'));
-                    });
-                    req.on('error', reject);
-                });
-                
-                testIPs.push({
-                    service: service.name,
-                    ip: ip,
-                    valid: emailManager.isValidIP(ip)
-                });
-            } catch (error) {
-                testIPs.push({
-                    service: service.name,
-                    error: error.message
-                });
-            }
-        }
+    // Listen on port (0 picks a free one) and resolve with the port actually bound;
+    // the SMTP, POP3 and IMAP wrappers keep their net.Server in .server
+    function listen(target, port) {
+        const netServer = target.server || target;
         
-        res.json({
-            success: true,
-            currentPublicIP: emailManager.publicIP,
-            testResults: testIPs,
-            manualIP: process.env.MANUAL_PUBLIC_IP
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        return new Promise((resolve, reject) => {
+            netServer.once('error', reject);
+            target.listen(port, host, () => {
+                netServer.removeListener('error', reject);
+                resolve(netServer.address().port);
+            });
         });
     }
-});
-
-// Serve main page
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// ============================================
-// START SERVERS
-// ============================================
-async function startServers() {
-    try {
+    
+    // Bound ports are written back into config so /api/info and the generated
+    // instructions show them
+    async function start() {
         // Initialize email manager
         await emailManager.initialize();
+        webhookManager.load(emailManager.meta.webhooks);
+        smtpLimiter.load(emailManager.meta.blocklist);
+        userStore.load(emailManager.meta.smtpUsers);
+        if (filterPipeline) filterPipeline.load(emailManager.meta.filters);
+        loadRuntimeConfig(emailManager.meta.runtimeConfig);
+        const tlsSource = await setupTls();
         
         // Start SMTP server
-        smtpServer.listen(config.SMTP_PORT, '0.0.0.0', () => {
-            console.log(`✅ SMTP Server started`);
-            console.log(`   Port: ${config.SMTP_PORT}`);
-            console.log(`   Host: 0.0.0.0`);
+        config.SMTP_PORT = await listen(smtpServer, config.SMTP_PORT);
+        console.log(`✅ SMTP Server started`);
+        console.log(`   Port: ${config.SMTP_PORT}`);
+        console.log(`   Host: ${host}`);
+        console.log(`   STARTTLS: ${config.SMTP_STARTTLS ? `enabled (${tlsSource} certificate)` : 'disabled'}`);
+        if (host === '0.0.0.0' || host === '::') {
             console.log(`   Accessible from anywhere!`);
-        });
+        }
+        
+        if (smtpsServer) {
+            config.SMTPS_PORT = await listen(smtpsServer, config.SMTPS_PORT);
+            console.log(`✅ SMTPS Server started (implicit TLS)`);
+            console.log(`   Port: ${config.SMTPS_PORT}`);
+        }
+        
+        if (pop3Server) {
+            config.POP3_PORT = await listen(pop3Server, config.POP3_PORT);
+            console.log(`✅ POP3 Server started`);
+            console.log(`   Port: ${config.POP3_PORT}`);
+            console.log(`   STLS: enabled (${tlsSource} certificate)`);
+        }
+        
+        if (pop3sServer) {
+            config.POP3S_PORT = await listen(pop3sServer, config.POP3S_PORT);
+            console.log(`✅ POP3S Server started (implicit TLS)`);
+            console.log(`   Port: ${config.POP3S_PORT}`);
+        }
+        
+        if (imapServer) {
+            config.IMAP_PORT = await listen(imapServer, config.IMAP_PORT);
+            console.log(`✅ IMAP Server started`);
+            console.log(`   Port: ${config.IMAP_PORT}`);
+            console.log(`   STARTTLS: enabled (${tlsSource} certificate)`);
+        }
+        
+        if (imapsServer) {
+            config.IMAPS_PORT = await listen(imapsServer, config.IMAPS_PORT);
+            console.log(`✅ IMAPS Server started (implicit TLS)`);
+            console.log(`   Port: ${config.IMAPS_PORT}`);
+        }
         
         // Start HTTP server
-        server.listen(config.HTTP_PORT, '0.0.0.0', async () => {
-            const stats = emailManager.getStats();
-            
-            console.log(`✅ HTTP Server started`);
-            console.log(`   Port: ${config.HTTP_PORT}`);
-            console.log(`   Web Interface: http://localhost:${config.HTTP_PORT}`);
-            
-            if (stats.localIPs.length > 0) {
-                console.log(`   Local Network: http://${stats.localIPs[0]}:${config.HTTP_PORT}`);
-            }
-            
-            if (stats.publicIP) {
-                console.log(`🌐 Public Access: http://${stats.publicIP}:${config.HTTP_PORT}`);
-                console.log(`   Email Format: username@${stats.publicIP}`);
-                console.log(`   SMTP Server: ${stats.publicIP}:${config.SMTP_PORT}`);
-            } else {
-                console.log(`⚠️  No public IP detected. Using local only.`);
-                console.log(`   To enable public access:`);
-                console.log(`   1. Check your internet connection`);
-                console.log(`   2. Set MANUAL_PUBLIC_IP in .env file`);
-                console.log(`   3. Configure port forwarding on your router`);
-                console.log(`   Local Email Format: username@localhost`);
-                console.log(`   Local SMTP Server: localhost:${config.SMTP_PORT}`);
-            }
-            
-            console.log('\n📧 Available Email Formats:');
-            stats.domains.forEach(domain => {
-                const type = domain === 'localhost' ? 'Local' : 
-                            domain === stats.publicIP ? 'Public' : 'Network';
-                console.log(`   ${type}: username@${domain}`);
-            });
-            
-            console.log('\n🚀 Ready to receive emails!');
-            
-            // Display network configuration help
-            if (!stats.publicIP && stats.localIPs.length > 0) {
-                console.log('\n🔧 To enable public access, configure port forwarding:');
-                console.log(`   Forward TCP Port ${config.SMTP_PORT} → ${stats.localIPs[0]}:${config.SMTP_PORT}`);
-                console.log(`   Forward TCP Port ${config.HTTP_PORT} → ${stats.localIPs[0]}:${config.HTTP_PORT}`);
-            }
-        });
+        config.HTTP_PORT = await listen(server, config.HTTP_PORT);
         
-        // Handle graceful shutdown
-        process.on('SIGINT', () => {
-            console.log('\n🛑 Shutting down servers...');
-            smtpServer.close(() => {
-                console.log('✅ SMTP Server stopped');
-            });
-            server.close(() => {
-                console.log('✅ HTTP Server stopped');
-                process.exit(0);
-            });
+        const stats = emailManager.getStats();
+        
+        console.log(`✅ HTTP Server started`);
+        console.log(`   Port: ${config.HTTP_PORT}`);
+        console.log(`   Web Interface: http://localhost:${config.HTTP_PORT}`);
+        
+        if (stats.localIPs.length > 0) {
+            console.log(`   Local Network: http://${stats.localIPs[0]}:${config.HTTP_PORT}`);
+        }
+        
+        if (stats.customDomains.length > 0) {
+            console.log(`🏷️  Custom domain DNS records: http://localhost:${config.HTTP_PORT}/api/domains/diagnostics`);
+        }
+        
+        if (stats.publicIP) {
+            console.log(`🌐 Public Access: http://${stats.publicIP}:${config.HTTP_PORT}`);
+            console.log(`   Email Format: username@${stats.publicIP}`);
+            console.log(`   SMTP Server: ${stats.publicIP}:${config.SMTP_PORT}`);
+        } else {
+            console.log(`⚠️  No public IP detected. Using local only.`);
+            console.log(`   To enable public access:`);
+            console.log(`   1. Check your internet connection`);
+            console.log(`   2. Set MANUAL_PUBLIC_IP in .env file`);
+            console.log(`   3. Configure port forwarding on your router`);
+            console.log(`   Local Email Format: username@localhost`);
+            console.log(`   Local SMTP Server: localhost:${config.SMTP_PORT}`);
+        }
+        
+        console.log('\n📧 Available Email Formats:');
+        stats.domains.forEach(domain => {
+            const type = domain === 'localhost' ? 'Local' : 
+                        stats.customDomains.includes(domain) ? 'Custom' :
+                        domain === stats.publicIP ? 'Public' : 'Network';
+            console.log(`   ${type}: username@${domain}`);
         });
         
-    } catch (error) {
-        console.error('Failed to start servers:', error);
-        process.exit(1);
+        console.log('\n🚀 Ready to receive emails!');
+        
+        // Display network configuration help
+        if (!stats.publicIP && stats.localIPs.length > 0) {
+            console.log('\n🔧 To enable public access, configure port forwarding:');
+            console.log(`   Forward TCP Port ${config.SMTP_PORT} → ${stats.localIPs[0]}:${config.SMTP_PORT}`);
+            console.log(`   Forward TCP Port ${config.HTTP_PORT} → ${stats.localIPs[0]}:${config.HTTP_PORT}`);
+        }
+        
+        return instance;
+    }
+    
+    // Close every listener, connection and timer so the process (or a test
+    // runner) can exit on its own. Also safe after a start() that failed
+    // part way, as only listeners that are up get closed
+    async function stop() {
+        const closing = [smtpServer, smtpsServer, pop3Server, pop3sServer, imapServer, imapsServer]
+            .filter(target => target && (target.server || target).listening)
+            .map(target => new Promise(resolve => target.close(() => resolve())));
+        
+        // Keep-alive and long-poll connections would hold the HTTP server open
+        server.closeAllConnections();
+        await io.close();
+        console.log('✅ HTTP Server stopped');
+        
+        await Promise.all(closing);
+        console.log('✅ SMTP Server stopped');
+        
+        webhookManager.close();
+        smtpLimiter.close();
+        mailSender.close();
+        await emailManager.close();
     }
+    
+    const instance = {
+        config,
+        app,
+        server,
+        io,
+        emailManager,
+        webhookManager,
+        userStore,
+        start,
+        stop
+    };
+    
+    return instance;
 }
 
 // ============================================
 // START APPLICATION
 // ============================================
-startServers();
+if (require.main === module) {
+    require('dotenv').config();
+    
+    const instance = createServer({ detectPublicIP: true, host: '0.0.0.0' });
+    
+    instance.start().catch(error => {
+        console.error('Failed to start servers:', error);
+        process.exit(1);
+    });
+    
+    // Handle graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('\n🛑 Shutting down servers...');
+        await instance.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = {
+    createServer,
+    loadConfig
+};
@@ -0,0 +1,165 @@
+/**
+ * ARCHIVE TESTS
+ * mbox and ZIP round trips, the limits on unpacking ZIP archives and the
+ * inbox import route
+ */
+
+const assert = require('assert');
+const AdmZip = require('adm-zip');
+const archive = require('../lib/archive');
+const { startServer, api } = require('./support/server');
+
+function message(subject, body = 'Hello') {
+    return Buffer.from(`From: ann@example.com\r\nTo: bob@example.com\r\nSubject: ${subject}\r\n\r\n${body}\r\n`);
+}
+
+function zipOf(files) {
+    const zip = new AdmZip();
+    Object.entries(files).forEach(([name, data]) => zip.addFile(name, data));
+    return zip.toBuffer();
+}
+
+const rejects400 = error => error.statusCode === 400;
+
+describe('mailbox archives', () => {
+    it('round-trips mbox, keeping body lines that start with "From "', () => {
+        const sources = [
+            message('First', 'From here on\r\n>From the quote'),
+            message('Second')
+        ];
+        const mbox = archive.toMbox(sources.map(source => ({ source, from: 'ann@example.com', date: '2026-10-19T10:00:00Z' })));
+
+        assert.match(mbox.toString(), /^From ann@example\.com Mon Oct 19 10:00:00 2026\n/);
+        assert.match(mbox.toString(), /\n>From here on\n>>From the quote\n/);
+
+        const unpacked = archive.unpack(mbox);
+        assert.deepStrictEqual(unpacked.map(entry => entry.source.toString()), sources.map(source => source.toString()));
+        assert.deepStrictEqual(unpacked.map(entry => entry.name), ['message 1', 'message 2']);
+    });
+
+    it('round-trips ZIP archives of .eml files in name order', () => {
+        const zip = archive.toZip([
+            { name: '0002-b.eml', source: message('Second') },
+            { name: '0001-a.eml', source: message('First') }
+        ]);
+
+        const unpacked = archive.unpack(zip);
+        assert.deepStrictEqual(unpacked.map(entry => entry.name), ['0001-a.eml', '0002-b.eml']);
+        assert.strictEqual(unpacked[0].source.toString(), message('First').toString());
+    });
+
+    it('detects the format from the first bytes', () => {
+        assert.strictEqual(archive.detectFormat(zipOf({ 'a.eml': message('A') })), 'zip');
+        assert.strictEqual(archive.detectFormat(Buffer.from('From ann@example.com Mon Oct 19 10:00:00 2026\n')), 'mbox');
+        assert.strictEqual(archive.detectFormat(message('Single')), 'eml');
+    });
+
+    it('refuses unknown formats, empty uploads and broken archives', () => {
+        assert.throws(() => archive.unpack(message('A'), 'pst'), rejects400);
+        assert.throws(() => archive.unpack(Buffer.alloc(0), 'eml'), rejects400);
+        assert.throws(() => archive.unpack(message('A'), 'mbox'), rejects400);
+        assert.throws(() => archive.unpack(Buffer.from('PK\u0003\u0004 not really'), 'zip'), rejects400);
+    });
+
+    describe('ZIP limits', () => {
+        it('leaves entries over maxMessageSize uninflated and skips other files', () => {
+            const zip = zipOf({
+                'small.eml': message('Small'),
+                'large.eml': Buffer.alloc(5000, 'a'),
+                'notes.txt': Buffer.from('ignored')
+            });
+
+            const unpacked = archive.unpack(zip, 'zip', { maxMessageSize: 1000 });
+            assert.deepStrictEqual(unpacked.map(entry => [entry.name, entry.size, entry.source && entry.source.length]), [
+                ['large.eml', 5000, null],
+                ['small.eml', message('Small').length, message('Small').length]
+            ]);
+        });
+
+        it('refuses archives that expand past maxTotalSize', () => {
+            const zip = zipOf({ 'a.eml': Buffer.alloc(3000, 'a'), 'b.eml': Buffer.alloc(3000, 'b') });
+
+            assert.throws(() => archive.unpack(zip, 'zip', { maxTotalSize: 5000 }), error => rejects400(error) && /6000 bytes/.test(error.message));
+            assert.strictEqual(archive.unpack(zip, 'zip', { maxTotalSize: 6000 }).length, 2);
+        });
+
+        it('refuses entries that inflate past their declared size', () => {
+            const zip = zipOf({ 'bomb.eml': Buffer.alloc(100000, 'a') });
+            zip.writeUInt32LE(100, 22); // Uncompressed size in the local header
+            zip.writeUInt32LE(100, zip.indexOf(Buffer.from('PK\u0001\u0002')) + 24); // and in the central directory
+
+            assert.throws(() => archive.unpack(zip, 'zip', { maxMessageSize: 1000, maxTotalSize: 1000 }), rejects400);
+        });
+
+        it('refuses archives with too many entries', function () {
+            this.timeout(10000);
+            const zip = new AdmZip();
+            for (let i = 0; i <= 10000; i++) zip.addFile(`${i}.txt`, Buffer.alloc(0));
+
+            assert.throws(() => archive.unpack(zip.toBuffer(), 'zip'), error => rejects400(error) && /10000 entries/.test(error.message));
+        });
+    });
+});
+
+describe('inbox import', function () {
+    this.timeout(20000);
+
+    let server;
+
+    before(async () => {
+        server = await startServer({ MAX_MESSAGE_SIZE: 1000 });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    async function upload(target, body, contentType = 'application/octet-stream') {
+        const response = await fetch(`${server.baseUrl}/api/email/${encodeURIComponent(target.address)}/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType, 'X-Inbox-Token': target.token },
+            body
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function inbox() {
+        const { body } = await api(server, '/api/email/generate?type=local');
+        return { address: body.email, token: body.token };
+    }
+
+    it('imports a ZIP and reports messages over the size limit', async () => {
+        const target = await inbox();
+        const { status, body } = await upload(target, zipOf({
+            '1.eml': message('Imported'),
+            '2.eml': Buffer.alloc(5000, 'a')
+        }));
+
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.format, 'zip');
+        assert.strictEqual(body.imported, 1);
+        assert.deepStrictEqual(body.skipped.map(entry => entry.name), ['2.eml']);
+        assert.deepStrictEqual(server.emailManager.getEmailsForAddress(target.address).map(email => email.subject), ['Imported']);
+    });
+
+    it('imports an exported mbox back', async () => {
+        const source = await inbox();
+        await upload(source, message('Round trip'), 'message/rfc822');
+
+        const exported = await fetch(`${server.baseUrl}/api/email/${encodeURIComponent(source.address)}/export?format=mbox`, {
+            headers: { 'X-Inbox-Token': source.token }
+        });
+        const target = await inbox();
+        const { body } = await upload(target, Buffer.from(await exported.arrayBuffer()));
+
+        assert.strictEqual(body.format, 'mbox');
+        assert.deepStrictEqual(server.emailManager.getEmailsForAddress(target.address).map(email => email.subject), ['Round trip']);
+    });
+
+    it('refuses JSON bodies and broken archives', async () => {
+        const target = await inbox();
+
+        assert.strictEqual((await upload(target, '{}', 'application/json')).status, 415);
+        assert.strictEqual((await upload(target, Buffer.from('PK\u0003\u0004 not really'))).status, 400);
+    });
+});
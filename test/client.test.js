@@ -0,0 +1,197 @@
+/**
+ * CLIENT SDK TESTS
+ * Runs client/temp-mail.js and client/test-helpers.js against an
+ * in-process server on free ports; mail arrives over real SMTP
+ */
+
+const assert = require('assert');
+const { startServer, sendMail: deliver } = require('./support/server');
+const { TempMailClient, TempMailError } = require('../client/temp-mail');
+const { withInbox, useInbox } = require('../client/test-helpers');
+
+describe('client SDK', function () {
+    this.timeout(20000);
+
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = await startServer();
+        baseUrl = server.baseUrl;
+        process.env.TEMP_MAIL_URL = baseUrl;
+    });
+
+    after(async () => {
+        delete process.env.TEMP_MAIL_URL;
+        await server.stop();
+    });
+
+    function sendMail(to, subject) {
+        return deliver(server, { to, subject });
+    }
+
+    // Other paths fall through to the web UI's index.html
+    it('serves the browser client and nothing else from /client', async () => {
+        assert.match(await (await fetch(`${baseUrl}/client/temp-mail.js`)).text(), /class TempMailClient/);
+        assert.doesNotMatch(await (await fetch(`${baseUrl}/client/test-helpers.js`)).text(), /useInbox/);
+    });
+
+    describe('TempMailClient', () => {
+        let client;
+
+        beforeEach(() => {
+            client = new TempMailClient({ baseUrl });
+        });
+
+        afterEach(() => {
+            client.close();
+        });
+
+        it('creates an inbox with a token', async () => {
+            const inbox = await client.createInbox({ type: 'local' });
+            const { network } = await client.info();
+
+            assert.ok(network.domains.includes(inbox.address.split('@')[1]));
+            assert.ok(inbox.token);
+            assert.ok(inbox.expiresAt);
+            assert.deepStrictEqual(await inbox.list(), []);
+        });
+
+        it('lists, gets and deletes messages', async () => {
+            const inbox = await client.createInbox({ type: 'local' });
+            await sendMail(inbox.address, 'First');
+            await sendMail(inbox.address, 'Second');
+
+            const emails = await inbox.list();
+            assert.deepStrictEqual(emails.map(email => email.subject), ['Second', 'First']);
+
+            const email = await inbox.get(emails[1].id);
+            assert.strictEqual(email.subject, 'First');
+            assert.match(email.text, /Hello from the tests/);
+
+            await inbox.delete(email.id);
+            assert.deepStrictEqual((await inbox.list()).map(item => item.subject), ['Second']);
+            await assert.rejects(inbox.get(email.id), error => error instanceof TempMailError && error.status === 404);
+        });
+
+        it('rejects a wrong inbox token', async () => {
+            const inbox = await client.createInbox({ type: 'local' });
+
+            await assert.rejects(client.inbox(inbox.address, 'wrong').list(), error => error.status === 403);
+        });
+
+        it('waits for a message sent over SMTP', async () => {
+            const inbox = await client.createInbox({ type: 'local' });
+            const waiting = inbox.waitForMessage({ subject: 'Verify' }, { timeout: 10000 });
+
+            await sendMail(inbox.address, 'Unrelated');
+            await sendMail(inbox.address, 'Verify your account');
+
+            const email = await waiting;
+            assert.strictEqual(email.subject, 'Verify your account');
+        });
+
+        it('matches RegExp filters by polling', async () => {
+            const inbox = await client.createInbox({ type: 'local' });
+            const waiting = inbox.waitForMessage({ subject: /code \d{6}/ }, { timeout: 10000, interval: 100 });
+
+            await sendMail(inbox.address, 'Your code 123456');
+            assert.strictEqual((await waiting).subject, 'Your code 123456');
+        });
+
+        it('gives up at its own timeout', async () => {
+            const inbox = await client.createInbox({ type: 'local' });
+            const started = Date.now();
+
+            await assert.rejects(inbox.waitForMessage({ subject: 'Never' }, { timeout: 500 }), error => error.status === 408);
+            assert.ok(Date.now() - started < 5000);
+        });
+
+        it('delivers new mail to onMessage over Socket.IO', async () => {
+            const inbox = await client.createInbox({ type: 'local' });
+            const socket = client.connect();
+            const emit = socket.emit.bind(socket);
+            const subscribes = [];
+            socket.emit = (event, ...args) => {
+                if (event === 'subscribe') subscribes.push(args[0]);
+                return emit(event, ...args);
+            };
+
+            let received;
+            const arrived = new Promise(resolve => {
+                received = resolve;
+            });
+            const unsubscribe = await inbox.onMessage(email => received(email));
+            await sendMail(inbox.address, 'Live');
+
+            const email = await arrived;
+            assert.strictEqual(email.subject, 'Live');
+            assert.strictEqual(subscribes.length, 1);
+            unsubscribe();
+        });
+
+        it('rejects a subscription with a wrong token', async () => {
+            const inbox = await client.createInbox({ type: 'local' });
+
+            await assert.rejects(client.inbox(inbox.address, 'wrong').onMessage(() => {}), error => error.status === 403);
+        });
+    });
+
+    describe('withInbox', () => {
+        it('hands out an inbox and clears it afterwards', async () => {
+            let address;
+            const subject = await withInbox({ baseUrl, inbox: { type: 'local' } }, async inbox => {
+                address = inbox.address;
+                await sendMail(inbox.address, 'Welcome');
+                return (await inbox.waitForMessage({ subject: 'Welcome' })).subject;
+            });
+
+            assert.strictEqual(subject, 'Welcome');
+            assert.strictEqual(server.emailManager.getEmailsForAddress(address).length, 0);
+        });
+
+        it('clears the inbox when the callback throws', async () => {
+            let address;
+            await assert.rejects(withInbox({ baseUrl, inbox: { type: 'local' } }, async inbox => {
+                address = inbox.address;
+                await sendMail(inbox.address, 'Before the failure');
+                await inbox.waitForMessage({ subject: 'Before the failure' });
+                throw new Error('test failed');
+            }), /test failed/);
+
+            assert.strictEqual(server.emailManager.getEmailsForAddress(address).length, 0);
+        });
+    });
+
+    describe('useInbox', () => {
+        const mail = useInbox({ inbox: { type: 'local' } });
+        let firstAddress;
+
+        it('creates the inbox before the tests', async () => {
+            firstAddress = mail.address;
+            await sendMail(mail.address, 'Shared');
+
+            assert.strictEqual((await mail.waitForMessage({ subject: 'Shared' })).subject, 'Shared');
+        });
+
+        it('keeps the same inbox for the whole block', async () => {
+            assert.strictEqual(mail.address, firstAddress);
+            assert.strictEqual((await mail.list()).length, 1);
+        });
+    });
+
+    describe('useInbox with each', () => {
+        const mail = useInbox({ each: true, inbox: { type: 'local' } });
+        const addresses = [];
+
+        it('creates one inbox', () => {
+            addresses.push(mail.address);
+        });
+
+        it('creates a fresh inbox for the next test', async () => {
+            addresses.push(mail.address);
+            assert.notStrictEqual(addresses[0], addresses[1]);
+            assert.deepStrictEqual(await mail.list(), []);
+        });
+    });
+});
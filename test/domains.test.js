@@ -0,0 +1,91 @@
+/**
+ * CUSTOM DOMAIN TESTS
+ * Configured and wildcard domains for new addresses and SMTP delivery, and
+ * the DNS diagnostics checked against a local DNS stub
+ */
+
+const assert = require('assert');
+const { startServer, sendMail, api } = require('./support/server');
+const { startDnsServer } = require('./support/dns-server');
+
+describe('custom domains', function () {
+    this.timeout(20000);
+
+    let dns;
+    let server;
+
+    before(async () => {
+        dns = await startDnsServer({
+            MX: {
+                'mail-test.example': [{ exchange: 'mx.mail-test.example', preference: 10 }],
+                '*.wild.example': [{ exchange: 'mx.mail-test.example', preference: 10 }],
+                'stale.example': [{ exchange: 'old-provider.example', preference: 10 }]
+            },
+            A: {
+                'mx.mail-test.example': ['198.51.100.7']
+            }
+        });
+
+        server = await startServer({
+            PUBLIC_DOMAINS: ['mail-test.example', '*.wild.example', 'stale.example'],
+            MX_HOST: 'mx.mail-test.example',
+            MANUAL_PUBLIC_IP: '198.51.100.7',
+            DNS_SERVERS: [dns.address]
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+        await dns.close();
+    });
+
+    it('hands out addresses on the first configured domain by default', async () => {
+        const { body } = await api(server, '/api/email/generate');
+        assert.match(body.email, /@mail-test\.example$/);
+    });
+
+    it('expands a wildcard domain into a random subdomain', async () => {
+        const { body } = await api(server, '/api/email/generate?domain=*.wild.example');
+        assert.match(body.email, /@[a-z]+-[a-z]+-\d+\.wild\.example$/);
+    });
+
+    it('accepts mail for configured domains and their wildcard subdomains', async () => {
+        const { body: plain } = await api(server, '/api/email/generate?domain=mail-test.example');
+        await sendMail(server, { to: plain.email, subject: 'Plain' });
+        await sendMail(server, { to: 'anyone@team.wild.example', subject: 'Wildcard' });
+
+        assert.strictEqual(server.emailManager.getEmailsForAddress(plain.email)[0].subject, 'Plain');
+        assert.strictEqual(server.emailManager.getEmailsForAddress('anyone@team.wild.example')[0].subject, 'Wildcard');
+    });
+
+    it('rejects recipients on other domains', async () => {
+        await assert.rejects(sendMail(server, { to: 'someone@elsewhere.example', subject: 'Relay?' }), /Recipient|rejected|550/i);
+    });
+
+    it('checks MX and A records with the configured resolver', async () => {
+        const { status, body } = await api(server, '/api/domains/diagnostics');
+        assert.strictEqual(status, 200);
+
+        const byDomain = Object.fromEntries(body.domains.map(result => [result.domain, result]));
+        assert.strictEqual(byDomain['mail-test.example'].ok, true);
+        assert.strictEqual(byDomain['*.wild.example'].ok, true);
+        assert.strictEqual(byDomain['stale.example'].ok, false);
+        assert.deepStrictEqual(byDomain['stale.example'].checks[0].found, ['old-provider.example']);
+        assert.deepStrictEqual(byDomain['mail-test.example'].records, [
+            { type: 'MX', name: 'mail-test.example', value: '10 mx.mail-test.example' },
+            { type: 'A', name: 'mx.mail-test.example', value: '198.51.100.7' }
+        ]);
+    });
+
+    it('prints zone file lines', async () => {
+        const response = await fetch(`${server.baseUrl}/api/domains/diagnostics?domain=mail-test.example&format=zone`);
+        assert.strictEqual(await response.text(),
+            'mail-test.example.\t3600\tIN\tMX\t10 mx.mail-test.example.\n' +
+            'mx.mail-test.example.\t3600\tIN\tA\t198.51.100.7\n');
+    });
+
+    it('only diagnoses configured domains', async () => {
+        const { status } = await api(server, '/api/domains/diagnostics?domain=elsewhere.example');
+        assert.strictEqual(status, 404);
+    });
+});
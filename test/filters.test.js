@@ -0,0 +1,100 @@
+/**
+ * CONTENT FILTER TESTS
+ * Rule scores, thresholds, the sender blocklist and the Bayes classifier
+ */
+
+const assert = require('assert');
+const { FilterPipeline, NaiveBayes } = require('../lib/filters');
+
+const HEADERS = { from: 'ann@example.com', date: 'Mon, 19 Oct 2026 10:00:00 +0000', 'message-id': '<1@example.com>' };
+
+function message(overrides = {}) {
+    return { from: 'ann@example.com', subject: 'Lunch tomorrow', text: 'Shall we meet at noon?', headers: HEADERS, links: [], ...overrides };
+}
+
+function trainedPipeline() {
+    const pipeline = new FilterPipeline();
+    for (let i = 0; i < 5; i++) {
+        pipeline.train({ subject: 'Cheap pills', text: `winner prize casino bitcoin offer ${i}` }, 'spam');
+        pipeline.train({ subject: 'Meeting notes', text: `agenda project review lunch tomorrow ${i}` }, 'ham');
+    }
+    return pipeline;
+}
+
+describe('content filters', () => {
+    it('accepts a well-formed message', async () => {
+        const verdict = await new FilterPipeline().evaluate(message());
+
+        assert.deepStrictEqual(verdict, { score: 0, action: 'accept', reasons: [] });
+    });
+
+    it('adds up rule scores and maps them to actions', async () => {
+        const pipeline = new FilterPipeline({ tagScore: 3, quarantineScore: 6, rejectScore: 10 });
+        const verdict = await pipeline.evaluate(message({
+            headers: {},
+            links: ['http://192.0.2.1/login', 'https://bit.ly/x'],
+            authResults: { spf: { result: 'fail' }, dkim: { result: 'none' }, dmarc: { result: 'fail' } }
+        }));
+
+        assert.deepStrictEqual(verdict.reasons.map(reason => [reason.rule, reason.score]), [
+            ['header-sanity', 4.5],
+            ['suspicious-links', 3],
+            ['authentication', 4.5]
+        ]);
+        assert.strictEqual(verdict.score, 12);
+        assert.strictEqual(verdict.action, 'reject');
+        assert.strictEqual(pipeline.actionFor(3), 'tag');
+        assert.strictEqual(pipeline.actionFor(6), 'quarantine');
+        assert.strictEqual(pipeline.actionFor(2.9), 'accept');
+    });
+
+    it('runs custom rules and survives failing ones', async () => {
+        const pipeline = new FilterPipeline()
+            .use('broken', () => { throw new Error('boom'); })
+            .use('custom', async () => ({ score: 6, reason: 'custom rule' }));
+
+        const verdict = await pipeline.evaluate(message());
+        assert.deepStrictEqual(verdict.reasons, [{ rule: 'custom', score: 6, reason: 'custom rule' }]);
+        assert.strictEqual(verdict.action, 'tag');
+    });
+
+    it('rejects blocked senders even when the rest looks like ham', async () => {
+        const pipeline = trainedPipeline();
+        pipeline.blockSender('example.com');
+
+        const verdict = await pipeline.evaluate(message({ subject: 'Meeting notes', text: 'agenda project review lunch tomorrow' }));
+        assert.strictEqual(verdict.action, 'reject');
+        assert.deepStrictEqual(verdict.reasons.map(reason => reason.rule), ['blocked-sender']);
+
+        pipeline.unblockSender('example.com');
+        assert.strictEqual((await pipeline.evaluate(message())).action, 'accept');
+    });
+
+    it('refuses malformed blocklist entries', () => {
+        assert.throws(() => new FilterPipeline().blockSender('not an address'), error => error.statusCode === 400);
+    });
+
+    it('scores with Bayes once trained', async () => {
+        const pipeline = trainedPipeline();
+
+        const spam = await pipeline.evaluate(message({ subject: 'Winner', text: 'casino bitcoin prize offer' }));
+        const ham = await pipeline.evaluate(message({ subject: 'Project', text: 'agenda review tomorrow' }));
+        assert.ok(spam.reasons.find(reason => reason.rule === 'bayes').score > 0);
+        assert.ok(ham.reasons.find(reason => reason.rule === 'bayes').score < 0);
+    });
+
+    it('counts words that are Object.prototype members like any other', () => {
+        const bayes = new NaiveBayes();
+        for (let i = 0; i < 5; i++) {
+            bayes.train('constructor tostring valueof hasownproperty', 'spam');
+            bayes.train('meeting agenda notes', 'ham');
+        }
+
+        const restored = new NaiveBayes(JSON.parse(JSON.stringify(bayes)));
+        assert.strictEqual(restored.tokens.spam.constructor, 5);
+
+        const probability = restored.classify('constructor valueof');
+        assert.ok(Number.isFinite(probability));
+        assert.ok(probability > 0.5);
+    });
+});
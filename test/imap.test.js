@@ -0,0 +1,168 @@
+/**
+ * IMAP TESTS
+ * Logins with the inbox token, \Seen and \Deleted kept in step with the
+ * inbox, and sessions that end with their address
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { startServer, sendMail, api } = require('./support/server');
+const { freePort, connect } = require('./support/net');
+
+describe('IMAP', function () {
+    this.timeout(20000);
+
+    let dir;
+    let server;
+    const clients = [];
+
+    before(async () => {
+        // The IMAP listeners need a certificate, which is generated into DATA_DIR
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-mail-imap-'));
+        server = await startServer({
+            DATA_DIR: dir,
+            IMAP_PORT: await freePort(),
+            IMAP_ALLOW_INSECURE_AUTH: true
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        clients.splice(0).forEach(client => client.close());
+    });
+
+    let tags = 0;
+
+    // Runs a command and returns its untagged lines and the tagged result
+    async function run(client, command) {
+        const tag = `a${++tags}`;
+        client.write(`${tag} ${command}`);
+        const lines = await client.until(new RegExp(`^${tag} `));
+        return { untagged: lines.slice(0, -1), result: lines[lines.length - 1].slice(tag.length + 1) };
+    }
+
+    async function login({ address, token }) {
+        const client = await connect(server.config.IMAP_PORT);
+        clients.push(client);
+        assert.match(await client.line(), /^\* OK IMAP4rev1 server ready/);
+        assert.match((await run(client, `LOGIN "${address}" "${token}"`)).result, /^OK/);
+        return client;
+    }
+
+    // A fresh inbox holding the given subjects, oldest first
+    async function inbox(username, subjects = []) {
+        const { body } = await api(server, `/api/email/generate?type=local&username=${username}`);
+        for (const subject of subjects) {
+            await sendMail(server, { to: body.email, subject });
+        }
+        return { address: body.email, token: body.token };
+    }
+
+    function stored(address, subject) {
+        return server.emailManager.getEmailsForAddress(address).find(email => email.subject === subject);
+    }
+
+    it('refuses a wrong token', async () => {
+        const target = await inbox('imap-wrong-token');
+        const client = await connect(server.config.IMAP_PORT);
+        clients.push(client);
+        await client.line();
+
+        assert.match((await run(client, `LOGIN "${target.address}" "wrong"`)).result, /^NO \[AUTHENTICATIONFAILED\]/);
+        assert.match((await run(client, 'SELECT INBOX')).result, /^NO Log in first/);
+    });
+
+    it('selects the inbox oldest message first', async () => {
+        const target = await inbox('imap-select', ['First', 'Second']);
+        const client = await login(target);
+
+        const { untagged, result } = await run(client, 'SELECT INBOX');
+        assert.match(result, /^OK \[READ-WRITE\]/);
+        assert.ok(untagged.includes('* 2 EXISTS'));
+
+        const fetched = await run(client, 'FETCH 1:2 (BODY.PEEK[HEADER.FIELDS (SUBJECT)])');
+        assert.deepStrictEqual(fetched.untagged.filter(line => line.startsWith('Subject:')), ['Subject: First', 'Subject: Second']);
+        assert.strictEqual(stored(target.address, 'First').read, false);
+    });
+
+    it('keeps \\Seen in step with the inbox', async () => {
+        const target = await inbox('imap-seen', ['Read me', 'Later']);
+        const client = await login(target);
+        await run(client, 'SELECT INBOX');
+
+        await run(client, 'FETCH 1 (BODY[TEXT])');
+        assert.strictEqual(stored(target.address, 'Read me').read, true);
+
+        const { untagged } = await run(client, 'STORE 1 -FLAGS (\\Seen)');
+        assert.deepStrictEqual(untagged, ['* 1 FETCH (FLAGS ())']);
+        assert.strictEqual(stored(target.address, 'Read me').read, false);
+
+        // Changes made through the API show up with the next command
+        server.emailManager.markAsRead(target.address, stored(target.address, 'Later').id);
+        assert.deepStrictEqual((await run(client, 'NOOP')).untagged, ['* 2 FETCH (FLAGS (\\Seen))']);
+    });
+
+    it('deletes \\Deleted messages on EXPUNGE', async () => {
+        const target = await inbox('imap-expunge', ['Keep', 'Drop']);
+        const client = await login(target);
+        await run(client, 'SELECT INBOX');
+
+        await run(client, 'STORE 2 +FLAGS.SILENT (\\Deleted)');
+        assert.strictEqual(server.emailManager.getEmailsForAddress(target.address).length, 2);
+
+        const { untagged, result } = await run(client, 'EXPUNGE');
+        assert.match(result, /^OK/);
+        assert.deepStrictEqual(untagged, ['* 2 EXPUNGE']);
+        assert.deepStrictEqual(server.emailManager.getEmailsForAddress(target.address).map(email => email.subject), ['Keep']);
+    });
+
+    it('ends sessions when their address is removed, selected or not', async () => {
+        const target = await inbox('imap-removed', ['Old mail']);
+        const selected = await login(target);
+        await run(selected, 'SELECT INBOX');
+        const unselected = await login(target);
+
+        server.emailManager.removeAddress(target.address);
+        assert.strictEqual(await selected.line(), '* BYE This inbox no longer exists');
+        assert.strictEqual(await unselected.line(), '* BYE This inbox no longer exists');
+        await Promise.all([selected.closed, unselected.closed]);
+
+        // The next owner's mail stays out of reach of the old logins
+        const next = await inbox('imap-removed', ['New owner']);
+        assert.strictEqual(next.address, target.address);
+        const fresh = await login(next);
+        assert.ok((await run(fresh, 'SELECT INBOX')).untagged.includes('* 1 EXISTS'));
+    });
+});
+
+describe('IMAPS', function () {
+    this.timeout(20000);
+
+    it('stops while a client is still in the TLS handshake', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-mail-imaps-'));
+        const server = await startServer({ DATA_DIR: dir, IMAPS_PORT: await freePort() });
+
+        const socket = net.connect(server.config.IMAPS_PORT, '127.0.0.1');
+        socket.on('error', () => {});
+        await new Promise(resolve => socket.once('connect', resolve));
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        try {
+            const stopped = await Promise.race([
+                server.stop().then(() => true),
+                new Promise(resolve => setTimeout(() => resolve(false), 3000))
+            ]);
+            assert.strictEqual(stopped, true);
+        } finally {
+            socket.destroy();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * POP3 TESTS
+ * Logins with the inbox token, RETR/DELE applied to the inbox, mailbox locks
+ * and sessions that end with their address
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { startServer, sendMail, api } = require('./support/server');
+const { freePort, connect } = require('./support/net');
+
+describe('POP3', function () {
+    this.timeout(20000);
+
+    let dir;
+    let server;
+    const clients = [];
+
+    before(async () => {
+        // The POP3 listeners need a certificate, which is generated into DATA_DIR
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-mail-pop3-'));
+        server = await startServer({
+            DATA_DIR: dir,
+            POP3_PORT: await freePort(),
+            POP3_ALLOW_INSECURE_AUTH: true
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        clients.splice(0).forEach(client => client.close());
+    });
+
+    async function open() {
+        const client = await connect(server.config.POP3_PORT);
+        clients.push(client);
+        assert.match(await client.line(), /^\+OK POP3 server ready/);
+        return client;
+    }
+
+    async function login({ address, token }) {
+        const client = await open();
+        assert.match(await client.command(`USER ${address}`), /^\+OK/);
+        assert.match(await client.command(`PASS ${token}`), /^\+OK/);
+        return client;
+    }
+
+    // A fresh inbox holding the given subjects, oldest first
+    async function inbox(username, subjects = []) {
+        const { body } = await api(server, `/api/email/generate?type=local&username=${username}`);
+        for (const subject of subjects) {
+            await sendMail(server, { to: body.email, subject });
+        }
+        return { address: body.email, token: body.token };
+    }
+
+    it('logs in with the address and its inbox token', async () => {
+        const target = await inbox('pop3-login', ['First', 'Second']);
+        const client = await login(target);
+
+        assert.match(await client.command('STAT'), /^\+OK 2 \d+$/);
+        client.write('UIDL');
+        const uids = (await client.until(/^\.$/)).slice(1, -1).map(line => line.split(' ')[1]);
+        const stored = server.emailManager.getEmailsForAddress(target.address, 'inbox');
+        assert.deepStrictEqual(uids, stored.map(email => email.id).reverse());
+    });
+
+    it('refuses a wrong token', async () => {
+        const target = await inbox('pop3-wrong-token');
+        const client = await open();
+
+        await client.command(`USER ${target.address}`);
+        assert.match(await client.command('PASS wrong'), /^-ERR \[AUTH\]/);
+        assert.match(await client.command('STAT'), /^-ERR STAT not allowed now/);
+    });
+
+    it('marks retrieved messages as read', async () => {
+        const target = await inbox('pop3-retr', ['Hello']);
+        const client = await login(target);
+
+        client.write('RETR 1');
+        const lines = await client.until(/^\.$/);
+        assert.match(lines[0], /^\+OK \d+ octets$/);
+        assert.ok(lines.includes('Subject: Hello'));
+        assert.strictEqual(server.emailManager.getEmailsForAddress(target.address)[0].read, true);
+    });
+
+    it('deletes marked messages on QUIT and keeps them after RSET', async () => {
+        const target = await inbox('pop3-dele', ['Keep', 'Drop']);
+        const client = await login(target);
+
+        assert.match(await client.command('DELE 1'), /^\+OK/);
+        assert.match(await client.command('RSET'), /^\+OK 2 messages/);
+        assert.match(await client.command('DELE 2'), /^\+OK/);
+        assert.match(await client.command('RETR 2'), /^-ERR Message already deleted/);
+        assert.strictEqual(server.emailManager.getEmailsForAddress(target.address).length, 2);
+
+        assert.match(await client.command('QUIT'), /^\+OK Bye/);
+        await client.closed;
+        assert.deepStrictEqual(server.emailManager.getEmailsForAddress(target.address).map(email => email.subject), ['Keep']);
+    });
+
+    it('opens a mailbox in one session at a time', async () => {
+        const target = await inbox('pop3-lock');
+        const first = await login(target);
+
+        const second = await open();
+        await second.command(`USER ${target.address}`);
+        assert.match(await second.command(`PASS ${target.token}`), /^-ERR \[IN-USE\]/);
+
+        await first.command('QUIT');
+        await first.closed;
+        await second.command(`USER ${target.address}`);
+        assert.match(await second.command(`PASS ${target.token}`), /^\+OK/);
+    });
+
+    it('ends the session when its address is removed', async () => {
+        const target = await inbox('pop3-removed', ['Old mail']);
+        const client = await login(target);
+        await client.command('DELE 1');
+
+        server.emailManager.removeAddress(target.address);
+        assert.match(await client.line(), /^-ERR \[SYS\/PERM\]/);
+        await client.closed;
+
+        // Whoever claims the address next can log in straight away
+        const next = await inbox('pop3-removed');
+        assert.strictEqual(next.address, target.address);
+        const fresh = await login(next);
+        assert.match(await fresh.command('STAT'), /^\+OK 0 0$/);
+    });
+});
+
+describe('POP3S', function () {
+    this.timeout(20000);
+
+    it('stops while a client is still in the TLS handshake', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-mail-pop3s-'));
+        const server = await startServer({ DATA_DIR: dir, POP3S_PORT: await freePort() });
+
+        const socket = net.connect(server.config.POP3S_PORT, '127.0.0.1');
+        socket.on('error', () => {});
+        await new Promise(resolve => socket.once('connect', resolve));
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        try {
+            const stopped = await Promise.race([
+                server.stop().then(() => true),
+                new Promise(resolve => setTimeout(() => resolve(false), 3000))
+            ]);
+            assert.strictEqual(stopped, true);
+        } finally {
+            socket.destroy();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * SEND POLICY TESTS
+ * Who an inbox may write to through the relay and how often; the relay is
+ * a stub SMTP server and SPF answers come from DNS fixtures
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SMTPServer } = require('smtp-server');
+const { startServer, sendMail, api } = require('./support/server');
+
+describe('send policy', function () {
+    this.timeout(20000);
+
+    let dir;
+    let relay;
+    let relayed;
+    let server;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-mail-send-'));
+        const fixtures = path.join(dir, 'dns.json');
+        fs.writeFileSync(fixtures, JSON.stringify({
+            TXT: { 'verified.example': 'v=spf1 ip4:127.0.0.1 -all' }
+        }));
+
+        relayed = [];
+        relay = new SMTPServer({
+            authOptional: true,
+            disabledCommands: ['STARTTLS', 'AUTH'],
+            logger: false,
+            onData(stream, session, callback) {
+                stream.resume();
+                stream.on('end', () => {
+                    relayed.push(session.envelope.rcptTo.map(rcpt => rcpt.address));
+                    callback();
+                });
+            }
+        });
+        await new Promise(resolve => relay.listen(0, '127.0.0.1', resolve));
+
+        server = await startServer({
+            VERIFY_MAIL_AUTH: true,
+            AUTH_DNS_FIXTURES: fixtures,
+            RELAY_HOST: '127.0.0.1',
+            RELAY_PORT: relay.server.address().port,
+            SEND_LIMIT_PER_HOUR: 2,
+            SEND_LIMIT_PER_HOUR_PER_IP: 3,
+            ADMIN_TOKEN: 'admin-secret'
+        });
+    });
+
+    after(async () => {
+        await server.stop();
+        await new Promise(resolve => relay.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        relayed = [];
+    });
+
+    async function inbox() {
+        const { body } = await api(server, '/api/email/generate?type=local');
+        return { address: body.email, token: body.token };
+    }
+
+    function send({ address, token }, message, headers = {}) {
+        return api(server, `/api/email/${encodeURIComponent(address)}/send`, {
+            method: 'POST',
+            headers: { 'X-Inbox-Token': token, ...headers },
+            body: { subject: 'Re: hello', text: 'Hi', ...message }
+        });
+    }
+
+    it('does not let a forged sender unlock relaying', async () => {
+        const target = await inbox();
+        await sendMail(server, { from: 'victim@forged.example', to: target.address, subject: 'Forged' });
+
+        const { status, body } = await send(target, { to: 'victim@forged.example' });
+        assert.strictEqual(status, 403);
+        assert.match(body.error, /victim@forged\.example/);
+        assert.deepStrictEqual(relayed, []);
+    });
+
+    it('writes back to a sender that passed SPF', async () => {
+        const target = await inbox();
+        await sendMail(server, { from: 'friend@verified.example', to: target.address, subject: 'Verified' });
+
+        const { status } = await send(target, { to: 'Friend <friend@verified.example>' });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(relayed, [['friend@verified.example']]);
+    });
+
+    it('refuses recipients beyond the verified senders', async () => {
+        const target = await inbox();
+        await sendMail(server, { from: 'friend@verified.example', to: target.address, subject: 'Verified' });
+
+        const { status } = await send(target, { to: 'friend@verified.example', bcc: 'someone@elsewhere.example' });
+        assert.strictEqual(status, 403);
+        assert.deepStrictEqual(relayed, []);
+    });
+
+    it('limits messages per inbox and per client', async () => {
+        // The earlier test already used one message of this client's quota
+        const first = await inbox();
+        await sendMail(server, { from: 'friend@verified.example', to: first.address, subject: 'Verified' });
+        assert.strictEqual((await send(first, { to: 'friend@verified.example' })).status, 200);
+
+        const perInbox = await send(first, { to: 'friend@verified.example' });
+        assert.strictEqual(perInbox.status, 200);
+        assert.strictEqual((await send(first, { to: 'friend@verified.example' })).status, 429);
+
+        const second = await inbox();
+        await sendMail(server, { from: 'friend@verified.example', to: second.address, subject: 'Verified' });
+        const perClient = await send(second, { to: 'friend@verified.example' });
+        assert.strictEqual(perClient.status, 429);
+        assert.match(perClient.body.error, /per client/);
+    });
+
+    it('does not restrict requests with the admin token', async () => {
+        const target = await inbox();
+
+        const { status } = await send(target, { to: 'anyone@elsewhere.example' }, { 'X-Admin-Token': 'admin-secret' });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(relayed, [['anyone@elsewhere.example']]);
+    });
+});
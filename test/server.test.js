@@ -0,0 +1,43 @@
+/**
+ * SERVER LIFECYCLE TESTS
+ * Where createServer() listens and stopping after a failed start
+ */
+
+const assert = require('assert');
+const net = require('net');
+const { createServer } = require('../server');
+const { startServer } = require('./support/server');
+
+describe('server lifecycle', function () {
+    this.timeout(20000);
+
+    it('listens on loopback unless given a host', async () => {
+        const server = await startServer();
+        try {
+            assert.strictEqual(server.server.address().address, '127.0.0.1');
+        } finally {
+            await server.stop();
+        }
+    });
+
+    it('stops cleanly after start() fails part way', async () => {
+        const blocker = net.createServer();
+        await new Promise(resolve => blocker.listen(0, '127.0.0.1', resolve));
+
+        // SMTP comes up first, then the HTTP port is taken
+        const server = createServer({
+            config: { HTTP_PORT: blocker.address().port, SMTP_PORT: 0, SMTP_STARTTLS: false, SPAM_FILTER: false }
+        });
+        await assert.rejects(server.start(), error => error.code === 'EADDRINUSE');
+        await server.stop();
+
+        // The SMTP port was released
+        const probe = net.createServer();
+        await new Promise((resolve, reject) => {
+            probe.once('error', reject);
+            probe.listen(server.config.SMTP_PORT, '127.0.0.1', resolve);
+        });
+        await new Promise(resolve => probe.close(resolve));
+        await new Promise(resolve => blocker.close(resolve));
+    });
+});
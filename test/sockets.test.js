@@ -0,0 +1,97 @@
+/**
+ * SOCKET.IO TESTS
+ * Inbox subscriptions: payload validation and rooms that end with the
+ * address they were made for
+ */
+
+const assert = require('assert');
+const ioClient = require('socket.io-client');
+const { startServer, sendMail, api } = require('./support/server');
+
+describe('Socket.IO subscriptions', function () {
+    this.timeout(20000);
+
+    let server;
+    const sockets = [];
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    afterEach(() => {
+        sockets.splice(0).forEach(socket => socket.disconnect());
+    });
+
+    async function connect() {
+        const socket = ioClient(server.baseUrl, { transports: ['websocket'] });
+        sockets.push(socket);
+        await new Promise(resolve => socket.once('connect', resolve));
+        return socket;
+    }
+
+    function request(socket, event, data) {
+        return new Promise(resolve => socket.emit(event, data, resolve));
+    }
+
+    async function claim(username) {
+        const { body } = await api(server, `/api/email/generate?type=local&username=${username}`);
+        return { address: body.email, token: body.token };
+    }
+
+    it('rejects payloads that are not objects', async () => {
+        const socket = await connect();
+
+        assert.strictEqual((await request(socket, 'subscribe', null)).success, false);
+        assert.deepStrictEqual((await request(socket, 'subscribe', { inboxes: [null, 'x'] })).rejected, [null, null]);
+        assert.strictEqual((await request(socket, 'unsubscribe', null)).success, false);
+    });
+
+    it('rejects a wrong token', async () => {
+        const socket = await connect();
+        const { address } = await claim('socket-wrong-token');
+
+        const reply = await request(socket, 'subscribe', { address, token: 'wrong' });
+        assert.strictEqual(reply.success, false);
+        assert.deepStrictEqual(reply.rejected, [address]);
+    });
+
+    it('stops relaying events once the address is removed and claimed again', async () => {
+        const first = await claim('socket-reclaimed');
+        const earlier = await connect();
+        assert.strictEqual((await request(earlier, 'subscribe', first)).success, true);
+
+        const stale = [];
+        earlier.on('new-email', payload => stale.push(payload));
+
+        server.emailManager.removeAddress(first.address);
+        const second = await claim('socket-reclaimed');
+        assert.strictEqual(second.address, first.address);
+
+        const owner = await connect();
+        assert.strictEqual((await request(owner, 'subscribe', second)).success, true);
+        const arrived = new Promise(resolve => owner.once('new-email', resolve));
+
+        await sendMail(server, { to: second.address, subject: 'For the new owner' });
+        assert.strictEqual((await arrived).email.subject, 'For the new owner');
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual(stale, []);
+    });
+
+    it('sends address-expired before leaving the room', async () => {
+        const inbox = await claim('socket-expired');
+        const socket = await connect();
+        assert.strictEqual((await request(socket, 'subscribe', inbox)).success, true);
+
+        const expired = new Promise(resolve => socket.once('address-expired', resolve));
+        server.emailManager.emails.get(inbox.address).expiresAt = new Date(Date.now() - 1000).toISOString();
+        server.emailManager.cleanupOldEmails();
+
+        assert.strictEqual((await expired).recipient, inbox.address);
+        assert.strictEqual(server.io.sockets.adapter.rooms.has(`inbox:${inbox.address}`), false);
+    });
+});
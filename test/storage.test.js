@@ -0,0 +1,151 @@
+/**
+ * STORAGE TESTS
+ * Journal replay and compaction of the JSON lines backend and write
+ * batching of the SQLite backend, in temporary directories
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonLinesStorage, SqliteStorage } = require('../lib/storage');
+
+function address(name) {
+    return { address: `${name}@localhost`, token: name, createdAt: '2026-01-01T00:00:00.000Z', messages: [] };
+}
+
+describe('storage', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-mail-storage-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('JsonLinesStorage', () => {
+        async function open() {
+            const storage = new JsonLinesStorage({ dir });
+            await storage.open();
+            return { storage, ...(await storage.load()) };
+        }
+
+        it('replays addresses, messages and meta', async () => {
+            const { storage } = await open();
+            await storage.saveAddress(address('ann'));
+            await storage.saveMessage('ann@localhost', { id: 'm1', date: '2026-01-01T00:00:00.000Z', subject: 'Hi' });
+            await storage.saveMeta('stats', { received: 1 });
+            await storage.close();
+
+            const { emails, meta } = await open();
+            assert.deepStrictEqual(emails.get('ann@localhost').messages.map(message => message.subject), ['Hi']);
+            assert.deepStrictEqual(meta.stats, { received: 1 });
+        });
+
+        it('keeps writing whole records after a torn final line', async () => {
+            const first = await open();
+            await first.storage.saveAddress(address('ann'));
+            await first.storage.close();
+
+            // A crash in the middle of an append
+            fs.appendFileSync(first.storage.journalFile, '{"op":"address","address":"bob@loc');
+
+            const second = await open();
+            assert.deepStrictEqual(Array.from(second.emails.keys()), ['ann@localhost']);
+            await second.storage.saveAddress(address('cid'));
+            await second.storage.close();
+
+            const third = await open();
+            assert.deepStrictEqual(Array.from(third.emails.keys()).sort(), ['ann@localhost', 'cid@localhost']);
+        });
+
+        it('ends a record cut off just before its newline', async () => {
+            const first = await open();
+            await first.storage.close();
+
+            fs.appendFileSync(first.storage.journalFile, JSON.stringify({ op: 'address', address: 'ann@localhost', data: address('ann') }));
+
+            const second = await open();
+            await second.storage.saveAddress(address('bob'));
+            await second.storage.close();
+
+            const third = await open();
+            assert.deepStrictEqual(Array.from(third.emails.keys()).sort(), ['ann@localhost', 'bob@localhost']);
+        });
+
+        it('keeps counting appends queued while it compacts', async () => {
+            const { storage } = await open();
+            storage.appendedBytes = 9 * 1024 * 1024;
+
+            await new Promise(resolve => {
+                storage.saveAddress(address('ann'));
+                setImmediate(() => {
+                    storage.saveAddress(address('bob'));
+                    resolve();
+                });
+            });
+            await storage.close();
+
+            const { messages, ...record } = address('bob');
+            const line = JSON.stringify({ op: 'address', address: record.address, data: record }) + '\n';
+            assert.strictEqual(storage.appendedBytes, Buffer.byteLength(line));
+        });
+    });
+
+    describe('SqliteStorage', () => {
+        async function open() {
+            const storage = new SqliteStorage({ file: path.join(dir, 'emails.sqlite') });
+            await storage.open();
+            return { storage, ...(await storage.load()) };
+        }
+
+        it('commits the writes of one tick in a single transaction', async () => {
+            const { storage } = await open();
+            let transactions = 0;
+            const transaction = storage.transaction.bind(storage);
+            storage.transaction = fn => {
+                transactions++;
+                return transaction(fn);
+            };
+
+            await Promise.all([
+                storage.saveAddress(address('ann')),
+                storage.saveMessage('ann@localhost', { id: 'm1', date: '2026-01-01T00:00:00.000Z', subject: 'Hi' }),
+                storage.saveMeta('stats', { received: 1 })
+            ]);
+            assert.strictEqual(transactions, 1);
+            await storage.close();
+
+            const { storage: reopened, emails, meta } = await open();
+            assert.deepStrictEqual(emails.get('ann@localhost').messages.map(message => message.subject), ['Hi']);
+            assert.deepStrictEqual(meta.stats, { received: 1 });
+            await reopened.close();
+        });
+
+        it('reads a blob back before its write was flushed', async () => {
+            const { storage } = await open();
+
+            storage.putBlob('m1/raw.eml', Buffer.from('Subject: Hi\r\n\r\nBody'));
+            assert.strictEqual((await storage.getBlob('m1/raw.eml')).toString(), 'Subject: Hi\r\n\r\nBody');
+
+            await storage.deleteBlobs('m1');
+            assert.strictEqual(await storage.getBlob('m1/raw.eml'), null);
+            await storage.close();
+        });
+
+        it('deletes an address together with its messages', async () => {
+            const { storage } = await open();
+            await storage.saveAddress(address('ann'));
+            await storage.saveMessage('ann@localhost', { id: 'm1', date: '2026-01-01T00:00:00.000Z' });
+            await storage.deleteAddress('ann@localhost');
+            await storage.close();
+
+            const { storage: reopened, emails } = await open();
+            assert.strictEqual(emails.size, 0);
+            assert.strictEqual(reopened.db.all('SELECT id FROM messages').length, 0);
+            await reopened.close();
+        });
+    });
+});
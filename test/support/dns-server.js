@@ -0,0 +1,47 @@
+/**
+ * DNS STUB
+ * Answers MX and A queries over UDP from a fixed zone:
+ *   { MX: { 'example.com': [{ exchange, preference }] }, A: { 'mx.example.com': ['192.0.2.1'] } }
+ * A "*.example.com" name answers for every subdomain; anything else is NXDOMAIN
+ */
+
+const dgram = require('dgram');
+const packet = require('dns-packet');
+
+function findRecords(zone, type, name) {
+    const records = zone[type] || {};
+    if (records[name]) return records[name];
+
+    const parent = name.slice(name.indexOf('.') + 1);
+    return records[`*.${parent}`] || null;
+}
+
+async function startDnsServer(zone) {
+    const socket = dgram.createSocket('udp4');
+
+    socket.on('message', (message, remote) => {
+        const query = packet.decode(message);
+        const [question] = query.questions;
+        const records = findRecords(zone, question.type, question.name.toLowerCase());
+
+        const response = packet.encode({
+            id: query.id,
+            type: 'response',
+            flags: packet.RECURSION_DESIRED | packet.RECURSION_AVAILABLE | (records ? 0 : 3), // 3: NXDOMAIN
+            questions: query.questions,
+            answers: (records || []).map(data => ({ type: question.type, name: question.name, ttl: 60, data }))
+        });
+        socket.send(response, remote.port, remote.address);
+    });
+
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+    return {
+        address: `127.0.0.1:${socket.address().port}`,
+        close: () => new Promise(resolve => socket.close(resolve))
+    };
+}
+
+module.exports = {
+    startDnsServer
+};
@@ -0,0 +1,93 @@
+/**
+ * NETWORK HELPERS
+ * Free ports for listeners where 0 means "disabled", and a line-based TCP
+ * client for talking POP3 and IMAP by hand
+ */
+
+const net = require('net');
+
+// A port that was free a moment ago; good enough on a test machine
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+class LineClient {
+    constructor(socket) {
+        this.socket = socket;
+        this.lines = [];
+        this.waiters = [];
+        this.buffer = '';
+        this.closed = new Promise(resolve => socket.once('close', resolve));
+
+        socket.on('data', chunk => {
+            this.buffer += chunk.toString('binary');
+            let index;
+            while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+                this.lines.push(this.buffer.slice(0, index));
+                this.buffer = this.buffer.slice(index + 2);
+            }
+            this.wake();
+        });
+        socket.on('close', () => this.wake());
+        socket.on('error', () => {});
+    }
+
+    wake() {
+        this.waiters.splice(0).forEach(resolve => resolve());
+    }
+
+    // Next line from the server, or null once the connection is closed
+    async line() {
+        while (this.lines.length === 0) {
+            if (this.socket.destroyed || this.socket.readableEnded) return null;
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+        return this.lines.shift();
+    }
+
+    // Lines up to and including the first one that matches
+    async until(pattern) {
+        const lines = [];
+        let line;
+        do {
+            line = await this.line();
+            if (line === null) throw new Error(`Connection closed before ${pattern}: ${lines.join(' | ')}`);
+            lines.push(line);
+        } while (!pattern.test(line));
+        return lines;
+    }
+
+    write(line) {
+        this.socket.write(`${line}\r\n`);
+    }
+
+    // Sends a command and returns its first response line
+    async command(line) {
+        this.write(line);
+        return this.line();
+    }
+
+    close() {
+        this.socket.destroy();
+    }
+}
+
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => resolve(new LineClient(socket)));
+        socket.once('error', reject);
+    });
+}
+
+module.exports = {
+    freePort,
+    connect,
+    LineClient
+};
@@ -0,0 +1,55 @@
+/**
+ * TEST SERVER
+ * Starts server.js in-process on free ports and delivers mail to it over SMTP
+ */
+
+const nodemailer = require('nodemailer');
+const { createServer } = require('../../server');
+
+// STARTTLS is off by default so the server needs no certificate on disk
+async function startServer(config = {}) {
+    const server = createServer({
+        config: {
+            HTTP_PORT: 0,
+            SMTP_PORT: 0,
+            SMTP_STARTTLS: false,
+            SPAM_FILTER: false,
+            VERIFY_MAIL_AUTH: false,
+            ...config
+        }
+    });
+    await server.start();
+    server.baseUrl = `http://127.0.0.1:${server.config.HTTP_PORT}`;
+    return server;
+}
+
+// message: nodemailer message fields; from defaults to sender@example.com
+async function sendMail(server, message) {
+    const transport = nodemailer.createTransport({
+        host: '127.0.0.1',
+        port: server.config.SMTP_PORT,
+        secure: false,
+        ignoreTLS: true
+    });
+    try {
+        return await transport.sendMail({ from: 'sender@example.com', text: 'Hello from the tests', ...message });
+    } finally {
+        transport.close();
+    }
+}
+
+// JSON request against the HTTP API: { status, body }
+async function api(server, path, { method = 'GET', headers = {}, body } = {}) {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+module.exports = {
+    startServer,
+    sendMail,
+    api
+};
@@ -0,0 +1,140 @@
+/**
+ * WEBHOOK TESTS
+ * Signing, retries with backoff and the guard against non-public targets,
+ * delivered to a stub receiver on 127.0.0.1
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const { WebhookManager, isPrivateAddress, publicLookup } = require('../lib/webhooks');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('webhooks', function () {
+    this.timeout(10000);
+
+    let receiver;
+    let url;
+    let requests;
+    let statuses; // answered in turn, 200 once they run out
+    let manager;
+
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+                res.statusCode = statuses.shift() || 200;
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${receiver.address().port}/hook`;
+    });
+
+    after(done => {
+        receiver.close(done);
+    });
+
+    beforeEach(() => {
+        requests = [];
+        statuses = [];
+        manager = new WebhookManager({ retryDelay: 20, maxRetries: 3, allowPrivateTargets: true });
+    });
+
+    afterEach(() => {
+        manager.close();
+    });
+
+    it('signs the timestamp and body with the webhook secret', async () => {
+        const webhook = await manager.create({ url, address: 'ann@localhost', secret: 'shh' });
+        const entry = await manager.deliver(webhook, 'email.received', { email: { subject: 'Hi' } });
+
+        assert.strictEqual(entry.success, true);
+        const [{ headers, body }] = requests;
+        const expected = crypto.createHmac('sha256', 'shh')
+            .update(`${headers['x-webhook-timestamp']}.${body}`)
+            .digest('hex');
+        assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+        assert.strictEqual(headers['x-webhook-event'], 'email.received');
+        assert.strictEqual(JSON.parse(body).email.subject, 'Hi');
+    });
+
+    it('retries failed deliveries with exponential backoff', async () => {
+        statuses = [500, 503];
+        const webhook = await manager.create({ url, address: 'ann@localhost' });
+
+        manager.dispatch('email.received', 'ann@localhost', {});
+        await sleep(300);
+
+        const log = manager.getDeliveries(webhook.id);
+        assert.deepStrictEqual(log.map(entry => entry.attempt), [3, 2, 1]);
+        assert.deepStrictEqual(log.map(entry => entry.nextRetryIn), [undefined, 40, 20]);
+        assert.strictEqual(new Set(requests.map(request => request.headers['x-webhook-delivery'])).size, 1);
+    });
+
+    it('gives up after maxRetries', async () => {
+        statuses = [500, 500, 500, 500, 500, 500];
+        const webhook = await manager.create({ url, address: 'ann@localhost' });
+
+        manager.dispatch('email.received', 'ann@localhost', {});
+        await sleep(400);
+
+        assert.strictEqual(requests.length, 4);
+        assert.strictEqual(manager.getDeliveries(webhook.id)[0].nextRetryIn, undefined);
+    });
+
+    it('stops retrying once the webhook is removed', async () => {
+        statuses = [500, 500, 500];
+        const webhook = await manager.create({ url, address: 'ann@localhost' });
+
+        await manager.deliver(webhook, 'email.received', {});
+        manager.remove(webhook.id);
+        await sleep(100);
+
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(manager.timers.size, 0);
+    });
+
+    describe('non-public targets', () => {
+        beforeEach(() => {
+            manager = new WebhookManager({ retryDelay: 20, maxRetries: 0 });
+        });
+
+        it('refuses inbox webhooks for loopback, private and link-local hosts', async () => {
+            for (const target of ['http://127.0.0.1/', 'http://localhost/', 'http://[::1]/', 'http://10.1.2.3/', 'http://169.254.169.254/']) {
+                await assert.rejects(manager.create({ url: target, address: 'ann@localhost' }), error => error.statusCode === 400, target);
+            }
+        });
+
+        it('lets an admin register a global webhook anywhere', async () => {
+            const webhook = await manager.create({ url, address: null });
+            assert.strictEqual((await manager.deliver(webhook, 'webhook.test', {})).success, true);
+        });
+
+        it('checks the target again on delivery', async () => {
+            manager.load([{ id: 'stale', url, address: 'ann@localhost', secret: 'x', events: ['*'] }]);
+            const entry = await manager.deliver(manager.get('stale'), 'email.received', {}, { retry: false });
+
+            assert.strictEqual(entry.success, false);
+            assert.match(entry.error, /public address/);
+            assert.strictEqual(requests.length, 0);
+        });
+
+        it('classifies addresses', () => {
+            ['127.0.0.1', '10.0.0.1', '172.16.5.4', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+                '0.0.0.0', '::1', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1', 'not an ip']
+                .forEach(ip => assert.strictEqual(isPrivateAddress(ip), true, ip));
+            ['8.8.8.8', '93.184.216.34', '::ffff:8.8.8.8', '2606:4700::1111']
+                .forEach(ip => assert.strictEqual(isPrivateAddress(ip), false, ip));
+        });
+
+        it('fails lookups that resolve to non-public addresses', async () => {
+            const error = await new Promise(resolve => publicLookup('localhost', {}, resolve));
+            assert.strictEqual(error.statusCode, 400);
+            assert.match(error.message, /non-public/);
+        });
+    });
+});